@@ -0,0 +1,729 @@
+// W3C Verifiable Credentials (VC Data Model 2.0) signed with the keys the
+// server holds for its DIDs, and verification of credentials and presentations
+// against the DIDs registered here. Credential status uses W3C Bitstring
+// Status Lists published as DID-Linked Resources (see status-list.js).
+//
+// Two securing mechanisms are supported:
+//   - ldp_vc: the credential as JSON-LD with an embedded Data Integrity proof
+//     using the eddsa-jcs-2022 cryptosuite (Ed25519 keys only)
+//   - jwt_vc: the credential as the claims of a compact JWS (vc+jwt), signed
+//     with EdDSA or ES256K depending on the key type
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Op } = require('sequelize');
+const {
+  DID,
+  DIDVersion,
+  DIDKey,
+  Resource,
+} = require('./models');
+const { decryptField } = require('./encryption');
+const { canonicalize } = require('./ledger');
+const { findLatestResource } = require('./resources');
+const {
+  importPrivateKey,
+  base58Encode,
+  base58Decode,
+  multibaseToPublicKey,
+  isDIDKey,
+  didKeyDocument,
+} = require('./did');
+
+const VC_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+
+const FORMATS = ['ldp_vc', 'jwt_vc'];
+
+const JWS_ALGORITHMS = { Ed25519: 'EdDSA', secp256k1: 'ES256K' };
+
+const CRYPTOSUITE = 'eddsa-jcs-2022';
+
+const STATUS_LIST_TYPE = 'BitstringStatusListCredential';
+
+const STATUS_PURPOSES = ['revocation', 'suspension'];
+
+// Bits in a status list; the spec's minimum of 16KB gives herd privacy
+const STATUS_LIST_SIZE = 131072;
+
+// Ed25519 signs the message itself; secp256k1 signs its SHA-256 digest and
+// encodes the signature as r || s, as JWS expects
+function signBytes(type, privateKey, data) {
+  if (type === 'Ed25519') {
+    return crypto.sign(null, data, privateKey);
+  }
+  return crypto.sign('sha256', data, { key: privateKey, dsaEncoding: 'ieee-p1363' });
+}
+
+function verifyBytes(type, publicKey, data, signature) {
+  if (type === 'Ed25519') {
+    return crypto.verify(null, data, publicKey, signature);
+  }
+  return crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'ieee-p1363' }, signature);
+}
+
+// Decrypt the private key of a stored DIDKey
+function loadPrivateKey(didKey) {
+  return importPrivateKey(decryptField(didKey.PrivateKey, didKey.DataKey, 'PrivateKey'));
+}
+
+// Expand a relative reference such as "#key-1" against a DID
+function absoluteId(reference, did) {
+  return typeof reference === 'string' && reference.startsWith('#') ? `${did}${reference}` : reference;
+}
+
+/**
+ * The key the server holds for a DID that may sign credentials: not revoked
+ * and listed under assertionMethod in the DID's current document. With keyId,
+ * only that key is considered. Returns null when there is none. Pass the
+ * transaction that changed the DID's keys to see them before it commits.
+ */
+async function findSigningKey(did, keyId = null, transaction = null) {
+  const assertionMethods = (did.DIDDocument.assertionMethod || [])
+    .map((entry) => absoluteId(typeof entry === 'string' ? entry : entry && entry.id, did.ID));
+  const keys = await DIDKey.findAll({
+    where: { DIDID: did.ID, RevokedAt: null },
+    order: [['Created', 'DESC']],
+    transaction,
+  });
+  return keys.find((key) => assertionMethods.includes(key.KeyID) && (!keyId || key.KeyID === keyId)) || null;
+}
+
+// Bytes an eddsa-jcs-2022 proof signs: the SHA-256 of the canonical proof
+// options followed by the SHA-256 of the canonical unsecured document
+function proofHashData(document, proofOptions) {
+  const hash = (value) => crypto.createHash('sha256').update(canonicalize(value)).digest();
+  const { proofValue, ...config } = proofOptions;
+  if (document['@context']) {
+    config['@context'] = document['@context'];
+  }
+  return Buffer.concat([hash(config), hash(document)]);
+}
+
+/**
+ * Add a Data Integrity proof to a document. `options` are the proof's own
+ * members, e.g. { verificationMethod, proofPurpose, created, challenge, domain }.
+ */
+function addProof(document, privateKey, options) {
+  const proof = { type: 'DataIntegrityProof', cryptosuite: CRYPTOSUITE, ...options };
+  const signature = signBytes('Ed25519', privateKey, proofHashData(document, proof));
+  return { ...document, proof: { ...proof, proofValue: `z${base58Encode(signature)}` } };
+}
+
+// Compact JWS over a JSON payload
+function signJWT(payload, { type, privateKey, kid, typ }) {
+  const header = { alg: JWS_ALGORITHMS[type], kid, typ };
+  const signingInput = [header, payload]
+    .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+    .join('.');
+  const signature = signBytes(type, privateKey, Buffer.from(signingInput));
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Secure an unsigned credential with the given DIDKey. Returns { credential,
+ * jwt }: for ldp_vc the credential carries its proof and jwt is null; for
+ * jwt_vc the credential is the JWT's claims.
+ */
+function secureCredential(credential, format, didKey) {
+  const privateKey = loadPrivateKey(didKey);
+  if (format === 'ldp_vc') {
+    const secured = addProof(credential, privateKey, {
+      created: new Date().toISOString(),
+      verificationMethod: didKey.KeyID,
+      proofPurpose: 'assertionMethod',
+    });
+    return { credential: secured, jwt: null };
+  }
+
+  const claims = { ...credential, iat: Math.floor(Date.now() / 1000) };
+  if (credential.validUntil) {
+    claims.exp = Math.floor(new Date(credential.validUntil).getTime() / 1000);
+  }
+  const jwt = signJWT(claims, { type: didKey.Type, privateKey, kid: didKey.KeyID, typ: 'vc+jwt' });
+  return { credential: claims, jwt };
+}
+
+/**
+ * A credential attesting a stored document: the subject holds a document with
+ * the given SHA-256 (hex) digest, expressed as a Subresource Integrity value.
+ */
+function documentCredential({ id, issuer, subjectId, document, types = [], claims = {}, validFrom, validUntil, status }) {
+  const credential = {
+    '@context': [VC_CONTEXT],
+    id,
+    type: ['VerifiableCredential', 'DocumentCredential', ...types],
+    issuer,
+    validFrom: validFrom.toISOString(),
+  };
+  if (validUntil) {
+    credential.validUntil = validUntil.toISOString();
+  }
+  const subject = { ...claims };
+  if (subjectId) {
+    subject.id = subjectId;
+  }
+  subject.document = {
+    type: 'Document',
+    digestSRI: `sha256-${Buffer.from(document.SHA256, 'hex').toString('base64')}`,
+  };
+  if (document.MimeType) {
+    subject.document.mediaType = document.MimeType;
+  }
+  credential.credentialSubject = subject;
+  if (status) {
+    credential.credentialStatus = status;
+  }
+  return credential;
+}
+
+// Status lists
+
+// Name of the resource a purpose's status list is published as
+const statusListName = (purpose) => `${purpose}-status-list`;
+
+// DID URL that dereferences to the latest version of an issuer's status list
+function statusListURL(did, purpose) {
+  return `${did}?resourceName=${statusListName(purpose)}&resourceType=${STATUS_LIST_TYPE}`;
+}
+
+// credentialStatus entries for a status index, one per purpose
+function statusListEntries(did, index) {
+  return STATUS_PURPOSES.map((purpose) => ({
+    id: `${statusListURL(did, purpose)}#${index}`,
+    type: 'BitstringStatusListEntry',
+    statusPurpose: purpose,
+    statusListIndex: String(index),
+    statusListCredential: statusListURL(did, purpose),
+  }));
+}
+
+// The GZIP-compressed bitstring with the given indexes set, as base64url
+// multibase. Index 0 is the most significant bit of the first byte.
+function encodeStatusList(indexes) {
+  const bits = Buffer.alloc(STATUS_LIST_SIZE / 8);
+  indexes.forEach((index) => {
+    bits[index >> 3] |= 0x80 >> (index & 7);
+  });
+  return `u${zlib.gzipSync(bits).toString('base64url')}`;
+}
+
+// Lists are inflated with a cap on their size, so a small compressed list
+// cannot expand to gigabytes; lists larger than ours are refused
+function isStatusSet(encodedList, index) {
+  if (typeof encodedList !== 'string' || !encodedList.startsWith('u')) {
+    throw new Error('encodedList must be base64url multibase');
+  }
+  let bits;
+  try {
+    bits = zlib.gunzipSync(Buffer.from(encodedList.slice(1), 'base64url'), {
+      maxOutputLength: STATUS_LIST_SIZE / 8,
+    });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error(`The status list is larger than ${STATUS_LIST_SIZE} bits`);
+    }
+    throw new Error(`encodedList is not a GZIP-compressed bitstring: ${err.message}`);
+  }
+  if (index >= bits.length * 8) {
+    throw new Error(`statusListIndex ${index} is outside the status list`);
+  }
+  return Boolean(bits[index >> 3] & (0x80 >> (index & 7)));
+}
+
+// An unsigned status list credential for one purpose, with the given indexes set
+function statusListCredential(issuer, purpose, indexes) {
+  const id = statusListURL(issuer, purpose);
+  return {
+    '@context': [VC_CONTEXT],
+    id,
+    type: ['VerifiableCredential', STATUS_LIST_TYPE],
+    issuer,
+    validFrom: new Date().toISOString(),
+    credentialSubject: {
+      id: `${id}#list`,
+      type: 'BitstringStatusList',
+      statusPurpose: purpose,
+      encodedList: encodeStatusList(indexes),
+    },
+  };
+}
+
+// Verification
+
+// Compact JWS split into its decoded parts, or null when it is not one
+function decodeJWT(jwt) {
+  const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url'),
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * The DID Documents of a DID in force at some time in `period` ({ from, to }),
+ * newest first, or just the current one when `period` is null, from the DID
+ * table. did:key documents are derived from the identifier and never read from
+ * the table, whatever a row registered under it says. Throws when the DID
+ * cannot be used to verify anything.
+ *
+ * A rotated key stays in the versions from before its rotation, so what it
+ * signed then keeps verifying, while a signature it claims to have made
+ * afterwards is checked against documents that no longer list it.
+ */
+async function findDIDDocuments(did, period = null) {
+  if (isDIDKey(did)) {
+    return [didKeyDocument(did)];
+  }
+  const record = await DID.findByPk(did);
+  if (!record) {
+    throw new Error(`${did} is not registered here`);
+  }
+  if (record.Deactivated) {
+    throw new Error(`${did} has been deactivated`);
+  }
+  if (!period) {
+    return [record.DIDDocument];
+  }
+  const versions = await DIDVersion.findAll({
+    where: { DIDID: did, Created: { [Op.lte]: period.to } },
+    order: [['VersionNumber', 'DESC']],
+  });
+  // The version current at `from` and any made after it
+  const current = versions.findIndex((version) => version.Created <= period.from);
+  const inForce = current === -1 ? versions : versions.slice(0, current + 1);
+  if (inForce.length === 0) {
+    // A signature claiming to predate the DID is checked against its first version
+    const first = await DIDVersion.findOne({ where: { DIDID: did }, order: [['VersionNumber', 'ASC']] });
+    return [first ? first.DIDDocument : record.DIDDocument];
+  }
+  return inForce.map((version) => version.DIDDocument);
+}
+
+// Public key of a verification method as { type, publicKey }
+function methodPublicKey(method) {
+  if (method.publicKeyMultibase) {
+    return multibaseToPublicKey(method.publicKeyMultibase);
+  }
+  const publicKey = crypto.createPublicKey({ key: method.publicKeyJwk, format: 'jwk' });
+  const { crv } = method.publicKeyJwk;
+  if (!JWS_ALGORITHMS[crv]) {
+    throw new Error(`Unsupported key curve ${crv}`);
+  }
+  return { type: crv, publicKey };
+}
+
+// The verification method `reference` of a DID Document, if it is listed
+// under `relationship`. Throws otherwise.
+function listedMethod(document, did, reference, relationship) {
+  const entries = document[relationship] || [];
+  const embedded = entries.find((entry) => entry && typeof entry === 'object' && absoluteId(entry.id, did) === reference);
+  const listed = embedded || entries.some((entry) => absoluteId(entry, did) === reference);
+  if (!listed) {
+    throw new Error(`${reference} is not an ${relationship} method of ${did}`);
+  }
+  const method = embedded || (document.verificationMethod || [])
+    .find((entry) => absoluteId(entry.id, did) === reference);
+  if (!method) {
+    throw new Error(`${reference} is not in the DID Document`);
+  }
+  return method;
+}
+
+/**
+ * Look up a verification method (a DID URL) in the documents of its DID in
+ * force during `period` and check it is listed under `relationship`. Returns
+ * { did, type, publicKey }.
+ */
+async function resolveVerificationMethod(reference, relationship, period) {
+  if (typeof reference !== 'string' || !reference.includes('#')) {
+    throw new Error('The verification method must be a DID URL with a fragment');
+  }
+  const did = reference.slice(0, reference.indexOf('#'));
+  const documents = await findDIDDocuments(did, period);
+  let error;
+  for (const document of documents) {
+    try {
+      return { did, ...methodPublicKey(listedMethod(document, did, reference, relationship)) };
+    } catch (err) {
+      error = error || err;
+    }
+  }
+  throw error;
+}
+
+const idOf = (value) => (value && typeof value === 'object' ? value.id : value);
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Run checks in order. Each throws to fail, or returns false when it does not
+// apply and is left out. A check is not run unless the checks named in its
+// `after` list passed.
+async function runChecks(checks) {
+  const results = [];
+  for (const { name, after = [], run } of checks) {
+    const unmet = after.filter((dependency) => !results.some((result) => result.check === dependency && result.passed));
+    if (unmet.length) {
+      results.push({ check: name, passed: false, error: `Not checked because ${unmet.join(' and ')} failed` });
+      continue;
+    }
+    try {
+      if ((await run()) !== false) {
+        results.push({ check: name, passed: true });
+      }
+    } catch (err) {
+      results.push({ check: name, passed: false, error: err.message });
+    }
+  }
+  return results;
+}
+
+// Check the time bounds of a credential or presentation, including the exp
+// and nbf claims of a JWT
+function checkValidity(value, now) {
+  const validFrom = value.validFrom && toDate(value.validFrom);
+  const validUntil = value.validUntil && toDate(value.validUntil);
+  if (value.validFrom && !validFrom) {
+    throw new Error('validFrom is not a date');
+  }
+  if (value.validUntil && !validUntil) {
+    throw new Error('validUntil is not a date');
+  }
+  if (validFrom && validFrom > now) {
+    throw new Error(`Not valid until ${validFrom.toISOString()}`);
+  }
+  if (validUntil && validUntil <= now) {
+    throw new Error(`Expired at ${validUntil.toISOString()}`);
+  }
+  if (typeof value.nbf === 'number' && value.nbf * 1000 > now.getTime()) {
+    throw new Error('The JWT is not valid yet (nbf)');
+  }
+  if (typeof value.exp === 'number' && value.exp * 1000 <= now.getTime()) {
+    throw new Error('The JWT has expired (exp)');
+  }
+}
+
+/**
+ * Split a secured credential or presentation into what was signed and how:
+ * { format, value, jwt, proof }. JWTs may be given as a string or as an
+ * Enveloped credential or presentation with a data: URL id.
+ */
+function unwrap(input, kind) {
+  let jwt = input;
+  if (input && typeof input === 'object' && typeof input.id === 'string'
+    && [].concat(input.type).includes(`Enveloped${kind}`)) {
+    jwt = input.id.replace(/^data:application\/v[cp]\+jwt,/, '');
+  }
+  if (typeof jwt === 'string') {
+    const decoded = decodeJWT(jwt);
+    if (!decoded) {
+      throw new Error('Not a compact JWS');
+    }
+    return { format: kind === 'VerifiableCredential' ? 'jwt_vc' : 'jwt_vp', value: decoded.payload, jwt: decoded };
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Must be a JSON object or a JWT');
+  }
+  if (!input.proof || typeof input.proof !== 'object') {
+    throw new Error('Has no proof');
+  }
+  const { proof, ...value } = input;
+  return { format: kind === 'VerifiableCredential' ? 'ldp_vc' : 'ldp_vp', value, proof };
+}
+
+function checkShape(value, type) {
+  const context = [].concat(value['@context']);
+  if (context[0] !== VC_CONTEXT) {
+    throw new Error(`@context must start with ${VC_CONTEXT}`);
+  }
+  if (![].concat(value.type).includes(type)) {
+    throw new Error(`type must include ${type}`);
+  }
+}
+
+// The latest status list a statusListCredential DID URL refers to, from the
+// resources published here
+async function fetchStatusList(url) {
+  const match = typeof url === 'string' && /^(did:[^?#]+)\?([^#]*)$/.exec(url);
+  const query = new URLSearchParams(match ? match[2] : '');
+  const latest = match && await findLatestResource(match[1], query.get('resourceName'), query.get('resourceType'));
+  if (!latest) {
+    throw new Error(`${url} is not a status list published here`);
+  }
+  const resource = await Resource.findByPk(latest.ResourceID);
+  return resource.MediaType === 'application/vc+jwt' ? resource.Payload : JSON.parse(resource.Payload);
+}
+
+// Check each Bitstring Status List entry of a credential against the latest
+// list, which must itself verify and come from the same issuer
+async function checkStatus(credential, now) {
+  if (credential.credentialStatus === undefined) {
+    return false;
+  }
+  for (const entry of [].concat(credential.credentialStatus)) {
+    if (!entry || entry.type !== 'BitstringStatusListEntry' || !STATUS_PURPOSES.includes(entry.statusPurpose)) {
+      throw new Error('Only revocation and suspension BitstringStatusListEntry statuses are supported');
+    }
+    const index = Number(entry.statusListIndex);
+    if (!Number.isInteger(index) || index < 0) {
+      throw new Error('statusListIndex must be a non-negative integer');
+    }
+    const list = await verifyCredential(await fetchStatusList(entry.statusListCredential), { now });
+    if (!list.verified) {
+      throw new Error(`The status list ${entry.statusListCredential} failed verification`);
+    }
+    if (![].concat(list.credential.type).includes(STATUS_LIST_TYPE)
+      || idOf(list.credential.issuer) !== idOf(credential.issuer)) {
+      throw new Error(`${entry.statusListCredential} is not a status list of the issuer`);
+    }
+    const { statusPurpose, encodedList } = list.credential.credentialSubject || {};
+    if (statusPurpose !== entry.statusPurpose) {
+      throw new Error(`${entry.statusListCredential} is not a ${entry.statusPurpose} list`);
+    }
+    if (isStatusSet(encodedList, index)) {
+      throw new Error(entry.statusPurpose === 'revocation' ? 'The credential has been revoked' : 'The credential is suspended');
+    }
+  }
+}
+
+// When an unwrapped credential or presentation says it was signed, as
+// { from, to }, or null. JWT times are whole seconds, so a JWT may have been
+// signed at any time in its second.
+function signingPeriod({ value, jwt, proof }) {
+  let from = null;
+  let to = null;
+  if (jwt) {
+    const seconds = [jwt.payload.iat, jwt.payload.nbf].find((time) => typeof time === 'number');
+    if (seconds !== undefined) {
+      from = toDate(seconds * 1000);
+      to = toDate(seconds * 1000 + 999);
+    }
+  } else if (typeof proof.created === 'string') {
+    from = toDate(proof.created);
+    to = from;
+  }
+  if (!from && typeof value.validFrom === 'string') {
+    from = toDate(value.validFrom);
+    to = from;
+  }
+  return from && to ? { from, to } : null;
+}
+
+/**
+ * Check the signature of an unwrapped credential or presentation with a key
+ * listed under `relationship` in its DID's document as of when it says it
+ * was signed. Returns the DID that signed it.
+ */
+async function checkSignature(unwrapped, relationship) {
+  const { value, jwt, proof } = unwrapped;
+  const period = signingPeriod(unwrapped);
+  if (jwt) {
+    const method = await resolveVerificationMethod(jwt.header.kid, relationship, period);
+    if (jwt.header.alg !== JWS_ALGORITHMS[method.type]) {
+      throw new Error(`alg ${jwt.header.alg} does not match the ${method.type} key`);
+    }
+    if (!verifyBytes(method.type, method.publicKey, Buffer.from(jwt.signingInput), jwt.signature)) {
+      throw new Error('The JWS signature is invalid');
+    }
+    return method.did;
+  }
+
+  if (proof.type !== 'DataIntegrityProof' || proof.cryptosuite !== CRYPTOSUITE) {
+    throw new Error(`Only DataIntegrityProof proofs with the ${CRYPTOSUITE} cryptosuite are supported`);
+  }
+  if (proof.proofPurpose !== relationship) {
+    throw new Error(`proofPurpose must be ${relationship}`);
+  }
+  if (typeof proof.proofValue !== 'string' || !proof.proofValue.startsWith('z')) {
+    throw new Error('proofValue must be base58btc multibase');
+  }
+  const method = await resolveVerificationMethod(proof.verificationMethod, relationship, period);
+  if (method.type !== 'Ed25519') {
+    throw new Error(`${CRYPTOSUITE} needs an Ed25519 key`);
+  }
+  if (!verifyBytes('Ed25519', method.publicKey, proofHashData(value, proof), base58Decode(proof.proofValue.slice(1)))) {
+    throw new Error('The proof signature is invalid');
+  }
+  return method.did;
+}
+
+/**
+ * Verify a credential (an object with a Data Integrity proof or a vc+jwt).
+ * Returns { verified, format, checks, credential } where checks lists
+ * { check, passed, error } for format, signature, issuer, expiry and, when the
+ * credential has a credentialStatus, status.
+ */
+async function verifyCredential(input, { now = new Date() } = {}) {
+  let unwrapped = null;
+  let signer = null;
+  const checks = await runChecks([
+    {
+      name: 'format',
+      run: () => {
+        unwrapped = unwrap(input, 'VerifiableCredential');
+        checkShape(unwrapped.value, 'VerifiableCredential');
+        if (!idOf(unwrapped.value.issuer) || !unwrapped.value.credentialSubject) {
+          throw new Error('issuer and credentialSubject are required');
+        }
+      },
+    },
+    {
+      name: 'signature',
+      after: ['format'],
+      run: async () => {
+        signer = await checkSignature(unwrapped, 'assertionMethod');
+      },
+    },
+    {
+      name: 'issuer',
+      after: ['signature'],
+      run: () => {
+        if (idOf(unwrapped.value.issuer) !== signer) {
+          throw new Error(`Signed by ${signer}, not the issuer`);
+        }
+      },
+    },
+    {
+      name: 'expiry',
+      after: ['format'],
+      run: () => checkValidity(unwrapped.value, now),
+    },
+    {
+      name: 'status',
+      after: ['issuer'],
+      run: () => checkStatus(unwrapped.value, now),
+    },
+  ]);
+  return {
+    verified: checks.every((check) => check.passed),
+    format: unwrapped ? unwrapped.format : null,
+    checks,
+    credential: unwrapped ? unwrapped.value : null,
+  };
+}
+
+/**
+ * Verify a presentation and every credential in it. `challenge` and `domain`
+ * are checked when given: against the proof for Data Integrity
+ * presentations, and the nonce and aud claims for vp+jwt. Holder binding
+ * requires the holder to have signed the presentation and to be the subject
+ * of each credential.
+ */
+async function verifyPresentation(input, { challenge, domain, now = new Date() } = {}) {
+  let unwrapped = null;
+  let signer = null;
+  let credentials = [];
+  const checks = await runChecks([
+    {
+      name: 'format',
+      run: () => {
+        unwrapped = unwrap(input, 'VerifiablePresentation');
+        checkShape(unwrapped.value, 'VerifiablePresentation');
+      },
+    },
+    {
+      name: 'signature',
+      after: ['format'],
+      run: async () => {
+        signer = await checkSignature(unwrapped, 'authentication');
+      },
+    },
+    {
+      name: 'challenge',
+      after: ['format'],
+      run: () => {
+        if (challenge === undefined) {
+          return false;
+        }
+        const given = unwrapped.jwt ? unwrapped.value.nonce : unwrapped.proof.challenge;
+        if (given !== challenge) {
+          throw new Error('The presentation was not made for this challenge');
+        }
+      },
+    },
+    {
+      name: 'domain',
+      after: ['format'],
+      run: () => {
+        if (domain === undefined) {
+          return false;
+        }
+        const given = unwrapped.jwt ? unwrapped.value.aud : unwrapped.proof.domain;
+        if (![].concat(given === undefined ? [] : given).includes(domain)) {
+          throw new Error('The presentation was not made for this domain');
+        }
+      },
+    },
+    {
+      name: 'expiry',
+      after: ['format'],
+      run: () => checkValidity(unwrapped.value, now),
+    },
+    {
+      name: 'credentials',
+      after: ['format'],
+      run: async () => {
+        const embedded = [].concat(unwrapped.value.verifiableCredential || []);
+        credentials = await Promise.all(embedded.map((credential) => verifyCredential(credential, { now })));
+        const failed = credentials.filter((result) => !result.verified).length;
+        if (failed) {
+          throw new Error(`${failed} of ${credentials.length} credentials failed verification`);
+        }
+      },
+    },
+    {
+      name: 'holderBinding',
+      after: ['signature'],
+      run: () => {
+        const holder = idOf(unwrapped.value.holder);
+        if (holder !== signer) {
+          throw new Error(`Signed by ${signer}, not the holder`);
+        }
+        const unbound = credentials.filter((result) => result.credential
+          && [].concat(result.credential.credentialSubject).some((subject) => idOf(subject) !== holder));
+        if (unbound.length) {
+          throw new Error(`The holder is not the subject of ${unbound.map((result) => idOf(result.credential) || 'a credential').join(', ')}`);
+        }
+      },
+    },
+  ]);
+  return {
+    verified: checks.every((check) => check.passed),
+    format: unwrapped ? unwrapped.format : null,
+    checks,
+    holder: unwrapped ? idOf(unwrapped.value.holder) || null : null,
+    credentials,
+  };
+}
+
+module.exports = {
+  VC_CONTEXT,
+  FORMATS,
+  JWS_ALGORITHMS,
+  CRYPTOSUITE,
+  STATUS_LIST_TYPE,
+  STATUS_PURPOSES,
+  STATUS_LIST_SIZE,
+  findSigningKey,
+  proofHashData,
+  addProof,
+  signJWT,
+  secureCredential,
+  documentCredential,
+  statusListName,
+  statusListURL,
+  statusListEntries,
+  statusListCredential,
+  verifyCredential,
+  verifyPresentation,
+};
@@ -0,0 +1,254 @@
+// Key generation and the did:key and did:web methods.
+//
+// Keys are described in DID Documents as Multikey verification methods: the
+// public key prefixed with its multicodec code and base58btc multibase encoded.
+// Private keys stay on the server, encrypted with a per-key data key, so DIDs
+// it generates can later be used to sign on their controller's behalf.
+const crypto = require('crypto');
+const { DID_CONTEXT, VERIFICATION_RELATIONSHIPS } = require('./validators/did');
+
+const MULTIKEY_CONTEXT = 'https://w3id.org/security/multikey/v1';
+
+// Multicodec prefixes (unsigned varints) for the supported public key types
+const KEY_TYPES = {
+  Ed25519: { codec: Buffer.from([0xed, 0x01]) },
+  secp256k1: { codec: Buffer.from([0xe7, 0x01]) },
+};
+
+// Relationships a generated key is listed under
+const KEY_RELATIONSHIPS = [
+  'authentication',
+  'assertionMethod',
+  'capabilityInvocation',
+  'capabilityDelegation',
+];
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Encode(bytes) {
+  const digits = [0];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i += 1) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = Math.floor(carry / 58);
+    }
+    while (carry) {
+      digits.push(carry % 58);
+      carry = Math.floor(carry / 58);
+    }
+  }
+  const zeros = bytes.findIndex((byte) => byte !== 0);
+  const leading = '1'.repeat(zeros === -1 ? bytes.length : zeros);
+  const encoded = digits.reverse().map((digit) => BASE58_ALPHABET[digit]).join('');
+  return leading + (bytes.length && zeros !== -1 ? encoded : '');
+}
+
+function base58Decode(text) {
+  const bytes = [0];
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) {
+      throw new Error('Invalid base58 character');
+    }
+    for (let i = 0; i < bytes.length; i += 1) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  const zeros = text.length - text.replace(/^1+/, '').length;
+  const decoded = text.length > zeros ? bytes.reverse() : [];
+  return Buffer.concat([Buffer.alloc(zeros), Buffer.from(decoded)]);
+}
+
+// Raw public key bytes: 32 bytes for Ed25519, the 33 byte compressed point for secp256k1
+function rawPublicKey(type, publicKey) {
+  const jwk = publicKey.export({ format: 'jwk' });
+  const x = Buffer.from(jwk.x, 'base64url');
+  if (type === 'Ed25519') {
+    return x;
+  }
+  const y = Buffer.from(jwk.y, 'base64url');
+  return Buffer.concat([Buffer.from([y[y.length - 1] & 1 ? 0x03 : 0x02]), x]);
+}
+
+function publicKeyToMultibase(type, publicKey) {
+  return `z${base58Encode(Buffer.concat([KEY_TYPES[type].codec, rawPublicKey(type, publicKey)]))}`;
+}
+
+// Decode a Multikey publicKeyMultibase value into { type, publicKey }
+function multibaseToPublicKey(multibase) {
+  if (typeof multibase !== 'string' || !multibase.startsWith('z')) {
+    throw new Error('Only base58btc multibase keys are supported');
+  }
+  const bytes = base58Decode(multibase.slice(1));
+  const type = Object.keys(KEY_TYPES).find((name) => bytes.subarray(0, 2).equals(KEY_TYPES[name].codec));
+  const raw = bytes.subarray(2);
+
+  let jwk;
+  if (type === 'Ed25519' && raw.length === 32) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: raw.toString('base64url') };
+  } else if (type === 'secp256k1' && raw.length === 33) {
+    const point = crypto.ECDH.convertKey(raw, 'secp256k1', null, null, 'uncompressed');
+    jwk = {
+      kty: 'EC',
+      crv: 'secp256k1',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33).toString('base64url'),
+    };
+  } else {
+    throw new Error('Unsupported or malformed multicodec public key');
+  }
+  return { type, publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+}
+
+/**
+ * Generate a key pair of the given type (Ed25519 or secp256k1). Returns
+ * { type, publicKey, privateKey, publicKeyMultibase } with Node KeyObjects.
+ */
+function generateKeyPair(type) {
+  if (!KEY_TYPES[type]) {
+    throw new Error(`Unsupported key type ${type}`);
+  }
+  const { publicKey, privateKey } = type === 'Ed25519'
+    ? crypto.generateKeyPairSync('ed25519')
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+  return { type, publicKey, privateKey, publicKeyMultibase: publicKeyToMultibase(type, publicKey) };
+}
+
+// PKCS#8 form of a private key, for storing encrypted
+function exportPrivateKey(privateKey) {
+  return privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64');
+}
+
+function importPrivateKey(exported) {
+  return crypto.createPrivateKey({ key: Buffer.from(exported, 'base64'), format: 'der', type: 'pkcs8' });
+}
+
+function multikeyMethod(id, controller, publicKeyMultibase) {
+  return { id, type: 'Multikey', controller, publicKeyMultibase };
+}
+
+// A DID Document with a single key, listed under every relationship it is
+// generated for
+function singleKeyDocument(did, methodId, publicKeyMultibase) {
+  const document = {
+    '@context': [DID_CONTEXT, MULTIKEY_CONTEXT],
+    id: did,
+    verificationMethod: [multikeyMethod(methodId, did, publicKeyMultibase)],
+  };
+  KEY_RELATIONSHIPS.forEach((relationship) => {
+    document[relationship] = [methodId];
+  });
+  return document;
+}
+
+// Swap one verification method for a new Multikey one wherever the document
+// lists or refers to it. The old method disappears from the document; earlier
+// versions of the document still carry it for checking past signatures.
+function replaceVerificationMethod(document, oldId, { id, publicKeyMultibase }) {
+  const expand = (ref) => (typeof ref === 'string' && ref.startsWith('#') ? `${document.id}${ref}` : ref);
+  const isOld = (entry) => expand(typeof entry === 'string' ? entry : entry && entry.id) === oldId;
+  const next = {
+    ...document,
+    verificationMethod: [
+      ...(document.verificationMethod || []).filter((entry) => !isOld(entry)),
+      multikeyMethod(id, document.id, publicKeyMultibase),
+    ],
+  };
+  KEY_RELATIONSHIPS.forEach((relationship) => {
+    if (Array.isArray(document[relationship])) {
+      next[relationship] = document[relationship].map((entry) => (isOld(entry) ? id : entry));
+    }
+  });
+
+  const context = [].concat(document['@context'] || DID_CONTEXT);
+  if (!context.includes(MULTIKEY_CONTEXT)) {
+    next['@context'] = [...context, MULTIKEY_CONTEXT];
+  }
+  return next;
+}
+
+// Every verification method a document defines, whether in verificationMethod
+// or embedded in a relationship, with its id made absolute
+function verificationMethods(document) {
+  const embedded = VERIFICATION_RELATIONSHIPS.flatMap((relationship) =>
+    (Array.isArray(document[relationship]) ? document[relationship] : [])
+      .filter((entry) => entry && typeof entry === 'object'));
+  return [...(document.verificationMethod || []), ...embedded].map((method) => ({
+    ...method,
+    id: typeof method.id === 'string' && method.id.startsWith('#') ? `${document.id}${method.id}` : method.id,
+  }));
+}
+
+// The first {did}#key-N id that neither the document nor `taken` uses, for a
+// new verification method
+function unusedKeyId(document, taken = []) {
+  const references = VERIFICATION_RELATIONSHIPS.flatMap((relationship) =>
+    (Array.isArray(document[relationship]) ? document[relationship] : [])
+      .filter((entry) => typeof entry === 'string')
+      .map((entry) => (entry.startsWith('#') ? `${document.id}${entry}` : entry)));
+  const used = new Set([...verificationMethods(document).map((method) => method.id), ...references, ...taken]);
+  let number = 1;
+  while (used.has(`${document.id}#key-${number}`)) {
+    number += 1;
+  }
+  return `${document.id}#key-${number}`;
+}
+
+// did:key identifiers are the multibase public key itself; the document is
+// derived from the identifier alone
+function didKeyFromMultibase(publicKeyMultibase) {
+  return `did:key:${publicKeyMultibase}`;
+}
+
+function isDIDKey(did) {
+  return typeof did === 'string' && /^did:key:z[1-9A-HJ-NP-Za-km-z]+$/.test(did);
+}
+
+function didKeyDocument(did) {
+  const publicKeyMultibase = did.slice('did:key:'.length);
+  multibaseToPublicKey(publicKeyMultibase);
+  return singleKeyDocument(did, `${did}#${publicKeyMultibase}`, publicKeyMultibase);
+}
+
+/**
+ * did:web identifier for a domain (which may include a port) and optional path
+ * segments, e.g. ("example.com:3005", ["users", "alice"]) gives
+ * did:web:example.com%3A3005:users:alice.
+ */
+function didWebId(domain, segments = []) {
+  return ['did:web', encodeURIComponent(domain), ...segments].join(':');
+}
+
+// Path a did:web document is served at, relative to the domain root
+function didWebPath(did) {
+  const segments = did.split(':').slice(3);
+  return segments.length ? `/${segments.join('/')}/did.json` : '/.well-known/did.json';
+}
+
+module.exports = {
+  KEY_TYPES,
+  base58Encode,
+  base58Decode,
+  generateKeyPair,
+  exportPrivateKey,
+  importPrivateKey,
+  publicKeyToMultibase,
+  multibaseToPublicKey,
+  singleKeyDocument,
+  replaceVerificationMethod,
+  verificationMethods,
+  unusedKeyId,
+  didKeyFromMultibase,
+  isDIDKey,
+  didKeyDocument,
+  didWebId,
+  didWebPath,
+};
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const config = require('./config');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const FIELD_PREFIX = 'enc:v1:';
+
+// Document content is encrypted in fixed-size chunks, each with its own IV and
+// tag, so a byte range can be decrypted without reading the whole file.
+const CHUNK_SIZE = 64 * 1024;
+const CHUNK_OVERHEAD = IV_LENGTH + TAG_LENGTH;
+
+// Master keys wrap the per-record data keys. They come from ENCRYPTION_KEYS or
+// the encryption section of config.json (see config/index.js, which checks
+// them); the active key is used for wrapping and the others stay available for
+// unwrapping.
+function loadMasterKeys() {
+  const { activeKey, keys } = config.encryption;
+  return {
+    activeKeyId: activeKey,
+    keys: new Map(Object.entries(keys).map(([id, key]) => [id, Buffer.from(key, 'base64')])),
+  };
+}
+
+const masterKeys = loadMasterKeys();
+
+// The blind index key is kept apart from the master keys so they can rotate
+// without rebuilding the indexes. ENCRYPTION_INDEX_KEY takes precedence.
+const indexKey = config.encryption.indexKey ? Buffer.from(config.encryption.indexKey, 'base64') : null;
+
+function getActiveKeyId() {
+  if (!masterKeys.activeKeyId) {
+    throw new Error('No encryption keys configured; set ENCRYPTION_KEYS');
+  }
+  return masterKeys.activeKeyId;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) {
+    cipher.setAAD(aad);
+  }
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, ciphertext, tag: cipher.getAuthTag() };
+}
+
+function open(key, { iv, ciphertext, tag }, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  if (aad) {
+    decipher.setAAD(aad);
+  }
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// Wrap a data key with the active master key: `keyId:iv:tag:ciphertext`
+function wrapKey(dataKey) {
+  const keyId = getActiveKeyId();
+  const { iv, ciphertext, tag } = seal(masterKeys.keys.get(keyId), dataKey, Buffer.from(keyId));
+  return [keyId, ...[iv, tag, ciphertext].map((part) => part.toString('base64'))].join(':');
+}
+
+function unwrapKey(wrappedKey) {
+  const [keyId, iv, tag, ciphertext] = wrappedKey.split(':');
+  if (!masterKeys.keys.has(keyId)) {
+    throw new Error(`Encryption key "${keyId}" is not configured`);
+  }
+  return open(
+    masterKeys.keys.get(keyId),
+    {
+      iv: Buffer.from(iv, 'base64'),
+      tag: Buffer.from(tag, 'base64'),
+      ciphertext: Buffer.from(ciphertext, 'base64'),
+    },
+    Buffer.from(keyId)
+  );
+}
+
+// The master key a wrapped data key was sealed with
+function wrappedKeyId(wrappedKey) {
+  return wrappedKey.split(':')[0];
+}
+
+// Re-wrap a data key under the active master key; the data itself is untouched
+function rewrapKey(wrappedKey) {
+  return wrapKey(unwrapKey(wrappedKey));
+}
+
+function generateDataKey() {
+  const dataKey = crypto.randomBytes(32);
+  return { dataKey, wrappedKey: wrapKey(dataKey) };
+}
+
+function chunkAAD(index, isLast) {
+  const aad = Buffer.alloc(5);
+  aad.writeUInt32BE(index, 0);
+  aad.writeUInt8(isLast ? 1 : 0, 4);
+  return aad;
+}
+
+// Encrypt document content under a fresh data key
+function encryptContent(plaintext) {
+  const { dataKey, wrappedKey } = generateDataKey();
+  const chunks = [];
+  const count = Math.max(1, Math.ceil(plaintext.length / CHUNK_SIZE));
+  for (let index = 0; index < count; index += 1) {
+    const chunk = plaintext.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+    const { iv, ciphertext, tag } = seal(dataKey, chunk, chunkAAD(index, index === count - 1));
+    chunks.push(iv, ciphertext, tag);
+  }
+  return { ciphertext: Buffer.concat(chunks), wrappedKey };
+}
+
+/**
+ * Encrypt document content under a fresh data key as it streams through.
+ * Returns the wrapped data key and a transform producing the same chunks as
+ * encryptContent. A full chunk is held back until more bytes arrive, since
+ * the last chunk is marked as such.
+ */
+function createContentEncryption() {
+  const { dataKey, wrappedKey } = generateDataKey();
+  let index = 0;
+  let pending = Buffer.alloc(0);
+
+  const encryptChunk = (transform, chunk, isLast) => {
+    const { iv, ciphertext, tag } = seal(dataKey, chunk, chunkAAD(index, isLast));
+    index += 1;
+    transform.push(Buffer.concat([iv, ciphertext, tag]));
+  };
+
+  const transform = new Transform({
+    transform(data, encoding, callback) {
+      pending = Buffer.concat([pending, data]);
+      while (pending.length > CHUNK_SIZE) {
+        encryptChunk(this, pending.subarray(0, CHUNK_SIZE), false);
+        pending = pending.subarray(CHUNK_SIZE);
+      }
+      callback();
+    },
+    flush(callback) {
+      encryptChunk(this, pending, true);
+      callback();
+    },
+  });
+
+  return { wrappedKey, transform };
+}
+
+/**
+ * Plan the decryption of plaintext bytes start..end (inclusive) of a document
+ * whose plaintext is `size` bytes long. Returns the ciphertext byte range to
+ * read from storage and a transform turning those bytes into the plaintext.
+ */
+function createContentDecryption(wrappedKey, size, { start = 0, end = size - 1 } = {}) {
+  const dataKey = unwrapKey(wrappedKey);
+  const count = Math.max(1, Math.ceil(size / CHUNK_SIZE));
+  const firstChunk = Math.floor(start / CHUNK_SIZE);
+  const lastChunk = Math.floor(end / CHUNK_SIZE);
+  const cipherSize = size + count * CHUNK_OVERHEAD;
+
+  let index = firstChunk;
+  let skip = start - firstChunk * CHUNK_SIZE;
+  let remaining = end - start + 1;
+  let pending = Buffer.alloc(0);
+
+  const decryptChunk = (transform, encrypted) => {
+    const plaintext = open(
+      dataKey,
+      {
+        iv: encrypted.subarray(0, IV_LENGTH),
+        ciphertext: encrypted.subarray(IV_LENGTH, encrypted.length - TAG_LENGTH),
+        tag: encrypted.subarray(encrypted.length - TAG_LENGTH),
+      },
+      chunkAAD(index, index === count - 1)
+    );
+    const output = plaintext.subarray(skip, skip + remaining);
+    index += 1;
+    skip = 0;
+    remaining -= output.length;
+    transform.push(output);
+  };
+
+  const transform = new Transform({
+    transform(data, encoding, callback) {
+      pending = Buffer.concat([pending, data]);
+      try {
+        while (pending.length >= CHUNK_SIZE + CHUNK_OVERHEAD) {
+          decryptChunk(this, pending.subarray(0, CHUNK_SIZE + CHUNK_OVERHEAD));
+          pending = pending.subarray(CHUNK_SIZE + CHUNK_OVERHEAD);
+        }
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        if (pending.length) {
+          decryptChunk(this, pending);
+        }
+        callback(remaining === 0 ? null : new Error('Encrypted content is truncated'));
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+
+  return {
+    range: {
+      start: firstChunk * (CHUNK_SIZE + CHUNK_OVERHEAD),
+      end: Math.min((lastChunk + 1) * (CHUNK_SIZE + CHUNK_OVERHEAD), cipherSize) - 1,
+    },
+    transform,
+  };
+}
+
+// Encrypt a single string field with a record's data key. The field name is
+// bound in as associated data so values cannot be swapped between columns.
+function encryptField(value, wrappedKey, field) {
+  const { iv, ciphertext, tag } = seal(unwrapKey(wrappedKey), Buffer.from(String(value)), Buffer.from(field));
+  return FIELD_PREFIX + [iv, tag, ciphertext].map((part) => part.toString('base64')).join(':');
+}
+
+// Values written before encryption was introduced are returned unchanged
+function decryptField(value, wrappedKey, field) {
+  if (!isEncryptedField(value) || !wrappedKey) {
+    return value;
+  }
+  const [iv, tag, ciphertext] = value.slice(FIELD_PREFIX.length).split(':');
+  return open(
+    unwrapKey(wrappedKey),
+    {
+      iv: Buffer.from(iv, 'base64'),
+      tag: Buffer.from(tag, 'base64'),
+      ciphertext: Buffer.from(ciphertext, 'base64'),
+    },
+    Buffer.from(field)
+  ).toString();
+}
+
+// Keyed hash of a field value, so encrypted columns can still be matched on
+// equality (e.g. for uniqueness checks) without decrypting every row
+function blindIndex(value, field) {
+  if (!indexKey) {
+    throw new Error('No encryption index key configured; set ENCRYPTION_INDEX_KEY');
+  }
+  return crypto.createHmac('sha256', indexKey).update(`${field}:${value}`).digest('hex');
+}
+
+function isEncryptedField(value) {
+  return typeof value === 'string' && value.startsWith(FIELD_PREFIX);
+}
+
+module.exports = {
+  getActiveKeyId,
+  generateDataKey,
+  wrappedKeyId,
+  rewrapKey,
+  encryptContent,
+  createContentEncryption,
+  createContentDecryption,
+  encryptField,
+  decryptField,
+  isEncryptedField,
+  blindIndex,
+};
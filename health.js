@@ -0,0 +1,121 @@
+// What the orchestrator asks before routing traffic here (GET /readyz) and
+// what operators look at when it will not (GET /diagnostics). Liveness
+// (GET /healthz) needs nothing from here: answering at all is the check.
+const { sequelize } = require('./models');
+const config = require('./config');
+const { MIGRATIONS, stepStatus } = require('./migrate');
+const { getStorage } = require('./storage');
+const { version } = require('./package.json');
+
+// A dependency that has not answered by then counts as down, so a hung
+// database connection makes the service unready instead of hanging the probe
+const CHECK_TIMEOUT_MS = 5000;
+
+const startedAt = new Date(Date.now() - process.uptime() * 1000);
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Each check resolves to details added to its result, or rejects when the
+// dependency is not usable. migrations needs the database, so it fails with it.
+const CHECKS = {
+  database: async () => {
+    await sequelize.authenticate();
+    return {};
+  },
+  migrations: async () => {
+    const status = await stepStatus(MIGRATIONS);
+    const pending = status.filter((step) => !step.applied).map((step) => step.name);
+    if (pending.length) {
+      throw Object.assign(new Error(`${pending.length} pending migration(s)`), { details: { pending } });
+    }
+    return {};
+  },
+  storage: async () => {
+    await getStorage().check();
+    return { driver: config.documentStorage.driver };
+  },
+};
+
+/**
+ * Run every readiness check side by side. Resolves to { ready, checks }, each
+ * check being { status: 'ok' | 'failing', error?, ...details }; error is the
+ * reason a check failed and is for operators, not for public responses.
+ */
+async function checkReadiness() {
+  const names = Object.keys(CHECKS);
+  const results = await Promise.allSettled(names.map((name) => withTimeout(CHECKS[name](), CHECK_TIMEOUT_MS)));
+  const checks = {};
+  results.forEach((result, index) => {
+    checks[names[index]] = result.status === 'fulfilled'
+      ? { status: 'ok', ...result.value }
+      : { status: 'failing', error: result.reason.message, ...result.reason.details };
+  });
+  return { ready: results.every((result) => result.status === 'fulfilled'), checks };
+}
+
+// Connections held by Sequelize's pool; null for dialects without one
+function poolStats() {
+  const { pool } = sequelize.connectionManager;
+  if (!pool || typeof pool.size !== 'number') {
+    return null;
+  }
+  return {
+    size: pool.size,
+    available: pool.available,
+    using: pool.using,
+    waiting: pool.waiting,
+    min: pool.minSize,
+    max: pool.maxSize,
+  };
+}
+
+// The schema version is the name of the last migration applied
+async function schemaVersion() {
+  const status = await stepStatus(MIGRATIONS);
+  const applied = status.filter((step) => step.applied);
+  return {
+    version: applied.length ? applied[applied.length - 1].name : null,
+    applied: applied.length,
+    pending: status.filter((step) => !step.applied).map((step) => step.name),
+    missing: status.filter((step) => step.missing).map((step) => step.name),
+  };
+}
+
+/**
+ * Everything GET /diagnostics reports. The schema is null, with the reason in
+ * checks, when the database cannot be read.
+ */
+async function collectDiagnostics() {
+  const [readiness, schema] = await Promise.all([
+    checkReadiness(),
+    withTimeout(schemaVersion(), CHECK_TIMEOUT_MS).catch(() => null),
+  ]);
+  return {
+    version,
+    node: process.version,
+    environment: config.env,
+    startedAt: startedAt.toISOString(),
+    uptime: Math.round(process.uptime()),
+    memory: process.memoryUsage(),
+    database: {
+      dialect: sequelize.getDialect(),
+      pool: poolStats(),
+    },
+    schema,
+    storage: { driver: config.documentStorage.driver },
+    ready: readiness.ready,
+    checks: readiness.checks,
+  };
+}
+
+module.exports = {
+  CHECK_TIMEOUT_MS,
+  checkReadiness,
+  collectDiagnostics,
+};
@@ -1,23 +1,391 @@
 const express = require("express");
 const bodyParser = require("body-parser");
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { pipeline } = require("stream");
+const { Op } = require("sequelize");
 const {
   User,
   Resource,
   DocumentTransaction,
   DID,
+  DIDVersion,
+  DIDKey,
   Document,
+  DocumentGrant,
+  DocumentShare,
+  ConsentRequest,
+  Credential,
+  StatusListEntry,
+  RefreshToken,
+  RevokedToken,
+  AuditLog,
+  Role,
+  Permission,
+  RolePermission,
+  sequelize,
 } = require("./models/index");
-require("dotenv").config();
+const config = require("./config");
 const setupSwagger = require("./swagger");
 const authenticateJWT = require("./middleware/auth");
+const {
+  authorizeDocument,
+  getDocumentAccess,
+  findGrantedDocumentIds,
+} = require("./middleware/documentAccess");
+const receiveUpload = require("./middleware/upload");
+const {
+  listQuery,
+  findPage,
+  pickFields,
+  setPageHeaders,
+} = require("./middleware/listQuery");
+const { SYSTEM_ACTIONS, appendTransaction, verifyChain } = require("./ledger");
+const {
+  RESOURCE_MEDIA_TYPES,
+  servedMediaType,
+  findLatestResource,
+  publishResource,
+} = require("./resources");
+const {
+  authorize,
+  hasPermission,
+  clearPermissionCache,
+} = require("./middleware/authorize");
+const { getStorage, getDocumentStorage } = require("./storage");
+const { checkReadiness, collectDiagnostics } = require("./health");
+const {
+  FORMATS: CREDENTIAL_FORMATS,
+  STATUS_LIST_TYPE,
+  findSigningKey,
+  secureCredential,
+  documentCredential,
+  statusListName,
+  statusListEntries,
+  verifyCredential,
+  verifyPresentation,
+} = require("./credentials");
+const {
+  STATUS_CHANGES,
+  allocateStatusIndex,
+  republishStatusLists,
+  statusChangeConflict,
+  changeStatus,
+} = require("./status-list");
+const {
+  createContentEncryption,
+  createContentDecryption,
+  generateDataKey,
+  encryptField,
+} = require("./encryption");
+const { serializeUser } = require("./serializers/user");
+const { validateUser, normalizePhoneNumber } = require("./validators/user");
+const { isDID, parseDIDDocument, validateDIDDocument } = require("./validators/did");
+const {
+  KEY_TYPES,
+  generateKeyPair,
+  exportPrivateKey,
+  singleKeyDocument,
+  replaceVerificationMethod,
+  verificationMethods,
+  unusedKeyId,
+  didKeyFromMultibase,
+  isDIDKey,
+  didKeyDocument,
+  didWebId,
+} = require("./did");
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  generateAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  generateShareToken,
+  verifyShareToken,
+} = require("./token");
 
 const app = express();
-app.use(bodyParser.json());
+
+// Content uploads stream their body into middleware/upload.js whatever its
+// Content-Type, so the JSON parser must leave it alone
+const UPLOAD_PATHS = [/^\/documents\/[^/]+\/content\/?$/];
+const parseJson = bodyParser.json();
+app.use((req, res, next) => {
+  if (req.method === "POST" && UPLOAD_PATHS.some((path) => path.test(req.path))) {
+    return next();
+  }
+  parseJson(req, res, next);
+});
 
 // Swagger setup
 setupSwagger(app);
 
-// CRUD Operations for Resources
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ListLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 200
+ *         default: 50
+ *       description: How many items to return
+ *     ListCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Where to continue from, as given in X-Next-Cursor by the previous
+ *         page. Use it with the same sort.
+ *     ListSort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Comma-separated fields to sort by, each prefixed with - for
+ *         descending order, e.g. -createdAt
+ *     ListFields:
+ *       in: query
+ *       name: fields
+ *       schema:
+ *         type: string
+ *       description: Comma-separated fields to return, e.g. DocumentID,FileName
+ *   schemas:
+ *     Range:
+ *       type: object
+ *       description: >
+ *         Bounds for a date or number, given as e.g.
+ *         createdAt[gte]=2026-01-01&createdAt[lt]=2026-02-01. A plain value
+ *         matches exactly.
+ *       properties:
+ *         gt:
+ *           type: string
+ *         gte:
+ *           type: string
+ *         lt:
+ *           type: string
+ *         lte:
+ *           type: string
+ *   headers:
+ *     X-Total-Count:
+ *       description: How many items match the filters, across all pages
+ *       schema:
+ *         type: integer
+ *     X-Next-Cursor:
+ *       description: The cursor of the next page; absent on the last page
+ *       schema:
+ *         type: string
+ *     Link:
+ *       description: The URL of the next page as rel="next"; absent on the last page
+ *       schema:
+ *         type: string
+ */
+
+// Documents the caller owns or has been granted
+async function visibleDocumentsWhere(req) {
+  const grantedIds = await findGrantedDocumentIds(req.user);
+  return { [Op.or]: [{ OwnerID: req.user.id }, { DocumentID: grantedIds }] };
+}
+
+// Related records that GET routes embed with ?include=, by parent model: the
+// property they are embedded as, the keys that link them, and how to load the
+// ones the caller may see for several parents at once
+const RELATIONS = {
+  User: {
+    documents: {
+      as: "Documents",
+      key: "UserID",
+      foreignKey: "OwnerID",
+      load: async (req, ids) => Document.findAll({
+        where: { [Op.and]: [{ OwnerID: ids }, await visibleDocumentsWhere(req)] },
+        order: [["DocumentID", "ASC"]],
+      }),
+    },
+  },
+  DID: {
+    resources: {
+      as: "Resources",
+      key: "ID",
+      foreignKey: "DIDID",
+      load: async (req, ids) => serializeResources(
+        await Resource.findAll({
+          attributes: { exclude: ["Payload"] },
+          where: { DIDID: ids },
+          order: [["Created", "DESC"]],
+        }),
+        { withPayload: false }
+      ),
+    },
+  },
+  Document: {
+    transactions: {
+      as: "DocumentTransactions",
+      key: "DocumentID",
+      foreignKey: "DocumentID",
+      load: (req, ids) => DocumentTransaction.findAll({
+        where: { DocumentID: ids },
+        order: [["Sequence", "ASC"]],
+      }),
+    },
+  },
+};
+
+// Read ?include=documents,... for a route returning `model` rows into
+// req.include, or answer 422
+const includeQuery = (model) => (req, res, next) => {
+  const relations = RELATIONS[model.name];
+  const { include } = req.query;
+  const names = typeof include === "string" ? [...new Set(include.split(",").filter(Boolean))] : [];
+  if ((include !== undefined && typeof include !== "string") || names.some((name) => !relations[name])) {
+    return sendValidationErrors(res, [
+      { field: "include", message: `must list relations from ${Object.keys(relations).join(", ")}` },
+    ]);
+  }
+  req.include = names;
+  next();
+};
+
+/**
+ * Load the relations asked for with ?include= for `rows` of `model`. Resolves
+ * to a function (row, values) that adds them to the serialized row.
+ */
+async function loadIncludes(req, model, rows) {
+  const loaded = [];
+  for (const name of rows.length ? req.include : []) {
+    const relation = RELATIONS[model.name][name];
+    const children = await relation.load(req, rows.map((row) => row.get(relation.key)));
+    const byParent = new Map();
+    children.forEach((child) => {
+      const values = typeof child.toJSON === "function" ? child.toJSON() : child;
+      const parentId = values[relation.foreignKey];
+      byParent.set(parentId, [...(byParent.get(parentId) || []), values]);
+    });
+    loaded.push({ relation, byParent });
+  }
+  return (row, values) => {
+    loaded.forEach(({ relation, byParent }) => {
+      values[relation.as] = byParent.get(row.get(relation.key)) || [];
+    });
+    return values;
+  };
+}
+
+// Nested routes such as /dids/{id}/resources: 404 unless the parent exists
+const findParent = (model) => async (req, res, next) => {
+  try {
+    if (!(await model.findByPk(req.params.id, { attributes: [model.primaryKeyAttribute] }))) {
+      return res.status(404).json({ error: `${model.name} not found` });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Set a record's foreign key from the parent in the path of a nested route
+const takeFromPath = (field) => (req, res, next) => {
+  req.body = { ...req.body, [field]: req.params.id };
+  next();
+};
+
+// Operations for DID-Linked Resources
+
+// Whether the caller controls the DID a resource hangs off
+async function controlsResourceDID(req, didId) {
+  if (!didId) {
+    return false;
+  }
+  const did = await DID.findByPk(didId, { attributes: ["Controller"] });
+  return Boolean(did) && did.Controller === String(req.user.id);
+}
+
+const controlsNewResource = (req) => controlsResourceDID(req, req.body.DIDID);
+
+// The ids of the resources that follow the given ones, keyed by their predecessor
+async function findNextVersionIds(resources) {
+  const next = await Resource.findAll({
+    attributes: ["ResourceID", "PreviousVersionID"],
+    where: { PreviousVersionID: resources.map((resource) => resource.ResourceID) },
+  });
+  return new Map(next.map((resource) => [resource.PreviousVersionID, resource.ResourceID]));
+}
+
+// Resource metadata with its DID URL and the id of its next version, if any.
+// The payload is included unless `withPayload` is false.
+function serializeResource(resource, nextVersionIds, { withPayload = true } = {}) {
+  const values = { ...resource.get() };
+  if (!withPayload) {
+    delete values.Payload;
+  }
+  return {
+    ...values,
+    ResourceURI: `${resource.DIDID}/resources/${resource.ResourceID}`,
+    NextVersionID: nextVersionIds.get(resource.ResourceID) || null,
+  };
+}
+
+async function serializeResources(resources, options) {
+  const nextVersionIds = await findNextVersionIds(resources);
+  return resources.map((resource) => serializeResource(resource, nextVersionIds, options));
+}
+
+// What GET /resources can filter, sort and select by
+const RESOURCE_LIST = {
+  key: "ResourceID",
+  sort: "-Created",
+  sortable: { Created: "date", Name: "string", Type: "string", ResourceID: "string" },
+  filters: {
+    DIDID: "string",
+    Name: "string",
+    Type: "string",
+    Version: "string",
+    MediaType: "string",
+    Created: "date",
+  },
+  fields: [
+    "ResourceID",
+    "DIDID",
+    "Name",
+    "Type",
+    "MediaType",
+    "Version",
+    "Checksum",
+    "PreviousVersionID",
+    "Created",
+    "ResourceURI",
+    "NextVersionID",
+  ],
+  computed: ["ResourceURI", "NextVersionID"],
+  requires: { ResourceURI: ["DIDID"] },
+};
+
+/**
+ * Find the version of a DID's resource that matches the query: by Name and/or
+ * Type, optionally an exact Version label, and the latest created at or before
+ * `time` (now by default). Resolves to null if nothing matches.
+ */
+function findResourceVersion(didId, { name, type, version, time }) {
+  const where = { DIDID: didId };
+  if (name !== undefined) {
+    where.Name = name;
+  }
+  if (type !== undefined) {
+    where.Type = type;
+  }
+  if (version !== undefined) {
+    where.Version = version;
+  }
+  if (time) {
+    where.Created = { [Op.lte]: time };
+  }
+  return Resource.findOne({ where, order: [["Created", "DESC"]] });
+}
+
 /**
  * @swagger
  * components:
@@ -25,31 +393,133 @@ setupSwagger(app);
  *     Resource:
  *       type: object
  *       required:
- *         - name
+ *         - DIDID
+ *         - Name
+ *         - Type
+ *         - Payload
  *       properties:
- *         id:
- *           type: integer
- *           description: The auto-generated id of the resource
- *         name:
+ *         ResourceID:
+ *           type: string
+ *           format: uuid
+ *           readOnly: true
+ *         DIDID:
+ *           type: string
+ *           description: The DID the resource belongs to
+ *         Name:
+ *           type: string
+ *         Type:
+ *           type: string
+ *           description: The kind of resource, e.g. JSONSchema2020 or StatusList2021
+ *         MediaType:
+ *           type: string
+ *           enum: [application/json, application/ld+json, application/schema+json, application/vc, application/vc+jwt, application/octet-stream, text/plain, image/png, image/jpeg, image/gif, image/webp]
+ *           description: Defaults to application/json for object payloads and text/plain otherwise
+ *         Version:
+ *           type: string
+ *           description: Optional version label, unique among versions of the same Name and Type
+ *         Payload:
+ *           description: The content; objects are stored as JSON
+ *           oneOf:
+ *             - type: string
+ *             - type: object
+ *         Checksum:
+ *           type: string
+ *           readOnly: true
+ *           description: Hex SHA-256 of the stored payload
+ *         PreviousVersionID:
  *           type: string
- *           description: The name of the resource
+ *           readOnly: true
+ *         NextVersionID:
+ *           type: string
+ *           readOnly: true
+ *         ResourceURI:
+ *           type: string
+ *           readOnly: true
+ *           description: The DID URL the resource is addressed by
+ *         Created:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
  *       example:
- *         id: 1
- *         name: Sample Resource
+ *         ResourceID: 3f2504e0-4f89-41d3-9a0c-0305e82c3301
+ *         DIDID: did:example:123456
+ *         Name: DegreeSchema
+ *         Type: JSONSchema2020
+ *         MediaType: application/json
+ *         Version: "1.0"
+ *         Payload: '{"type":"object"}'
+ *         Checksum: 2d1e9b2f0d0f6d3a3c1d1f5a7d5f1b8e3f6c2a9d4e7b0c5a8f1d2e3b4c5d6e7f
+ *         PreviousVersionID: null
+ *         NextVersionID: null
+ *         ResourceURI: did:example:123456/resources/3f2504e0-4f89-41d3-9a0c-0305e82c3301
  */
 
 /**
  * @swagger
  * tags:
  *   name: Resources
- *   description: Resource management
+ *   description: DID-Linked Resources
  */
 
+// Publish a resource, or a new version of one, on req.body.DIDID
+async function createResource(req, res) {
+  try {
+    const { DIDID, Name, Type, Version, Payload } = req.body;
+    const errors = ["Name", "Type"]
+      .filter((field) => typeof req.body[field] !== "string" || !req.body[field].trim())
+      .map((field) => ({ field, message: "is required" }));
+    if (typeof Payload !== "string" && (Payload === null || typeof Payload !== "object")) {
+      errors.push({ field: "Payload", message: "must be a string or a JSON value" });
+    }
+    if (Version !== undefined && Version !== null && typeof Version !== "string") {
+      errors.push({ field: "Version", message: "must be a string" });
+    }
+    if (req.body.MediaType !== undefined && !RESOURCE_MEDIA_TYPES.includes(req.body.MediaType)) {
+      errors.push({ field: "MediaType", message: `must be one of ${RESOURCE_MEDIA_TYPES.join(", ")}` });
+    }
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const content = typeof Payload === "string" ? Payload : JSON.stringify(Payload);
+    const MediaType = req.body.MediaType || (typeof Payload === "string" ? "text/plain" : "application/json");
+
+    const result = await sequelize.transaction(async (transaction) => {
+      // Locking the DID serializes publishing, so two versions cannot claim
+      // the same predecessor
+      const did = await DID.findByPk(DIDID, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!did) {
+        return { status: 404, body: { error: "DID not found" } };
+      }
+      if (did.Deactivated) {
+        return { status: 410, body: { error: "DID has been deactivated" } };
+      }
+
+      if (Version && (await Resource.count({ where: { DIDID: did.ID, Name, Type, Version }, transaction }))) {
+        return { status: 409, body: { error: `Version ${Version} of this resource already exists` } };
+      }
+      const resource = await publishResource(
+        did.ID,
+        { Name, Type, MediaType, Version: Version || null, content },
+        transaction
+      );
+      return { status: 201, body: serializeResource(resource, new Map()) };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
 /**
  * @swagger
  * /resources:
  *   post:
- *     summary: Create a new resource
+ *     summary: Publish a resource on a DID
+ *     description: >
+ *       Resources cannot be changed or removed once published. Publishing a
+ *       resource with the same Name and Type as an existing one on the DID makes
+ *       it the next version of the latest of those.
  *     tags: [Resources]
  *     requestBody:
  *       required: true
@@ -59,45 +529,125 @@ setupSwagger(app);
  *             $ref: '#/components/schemas/Resource'
  *     responses:
  *       201:
- *         description: The resource was successfully created
+ *         description: The resource was published
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Resource'
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: The caller does not control the DID
+ *       404:
+ *         description: DID not found
+ *       409:
+ *         description: The Version label is already used by this resource
+ *       410:
+ *         description: The DID has been deactivated
+ *       422:
+ *         description: Missing or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-app.post("/resources", authenticateJWT, async (req, res) => {
-  try {
-    const resource = await Resource.create(req.body);
-    res.status(201).json(resource);
-  } catch (err) {
-    res.status(400).json({ error: err.message });
+app.post("/resources", authenticateJWT, authorize("resources:manage", { allowIf: controlsNewResource }), createResource);
+
+// Send a page of the resource metadata matching req.list within `where`; with
+// ?latest=true only the latest versions
+async function sendResourcePage(req, res, where) {
+  const conditions = { ...where };
+  if (req.query.latest === "true") {
+    // The latest versions are those no other version points back to
+    conditions[Op.and] = [
+      sequelize.literal(
+        'NOT EXISTS (SELECT 1 FROM "Resources" AS "Next" WHERE "Next"."PreviousVersionID" = "Resource"."ResourceID")'
+      ),
+    ];
   }
-});
+  const page = await findPage(Resource, req.list, {
+    where: conditions,
+    attributes: { exclude: ["Payload"] },
+  });
+  const serialized = await serializeResources(page.rows, { withPayload: false });
+  setPageHeaders(req, res, page);
+  res.status(200).json(serialized.map((resource) => pickFields(req.list, resource)));
+}
 
 /**
  * @swagger
  * /resources:
  *   get:
- *     summary: Returns the list of all the resources
+ *     summary: Find resources
+ *     description: >
+ *       Returns the metadata of matching resources, newest first by default.
+ *       With latest=true only the latest version of each Name and Type is
+ *       returned.
  *     tags: [Resources]
+ *     parameters:
+ *       - in: query
+ *         name: DIDID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: Name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: Type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: Version
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: MediaType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: Created
+ *         style: deepObject
+ *         schema:
+ *           $ref: '#/components/schemas/Range'
+ *       - in: query
+ *         name: latest
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
- *         description: The list of the resources
+ *         description: >
+ *           The metadata of the matching resources, without payloads. Sortable
+ *           by Created, Name, Type and ResourceID.
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Resource'
+ *       422:
+ *         description: Invalid list parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       500:
  *         description: Some server error
  */
-app.get("/resources", authenticateJWT, async (req, res) => {
+app.get("/resources", authenticateJWT, listQuery(RESOURCE_LIST), async (req, res) => {
   try {
-    const resources = await Resource.findAll();
-    res.status(200).json(resources);
+    await sendResourcePage(req, res, {});
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -113,12 +663,12 @@ app.get("/resources", authenticateJWT, async (req, res) => {
  *       - in: path
  *         name: id
  *         schema:
- *           type: integer
+ *           type: string
  *         required: true
  *         description: The resource id
  *     responses:
  *       200:
- *         description: The resource description by id
+ *         description: The resource with its payload
  *         content:
  *           application/json:
  *             schema:
@@ -130,7 +680,8 @@ app.get("/resources/:id", authenticateJWT, async (req, res) => {
   try {
     const resource = await Resource.findByPk(req.params.id);
     if (resource) {
-      res.status(200).json(resource);
+      const [serialized] = await serializeResources([resource]);
+      res.status(200).json(serialized);
     } else {
       res.status(404).json({ error: "Resource not found" });
     }
@@ -141,81 +692,104 @@ app.get("/resources/:id", authenticateJWT, async (req, res) => {
 
 /**
  * @swagger
- * /resources/{id}:
- *   put:
- *     summary: Update a resource by id
+ * /dids/{id}/resources:
+ *   get:
+ *     summary: Returns the metadata of a DID's resources
+ *     description: Takes the same filters as GET /resources, including latest=true.
  *     tags: [Resources]
  *     parameters:
  *       - in: path
  *         name: id
  *         schema:
- *           type: integer
+ *           type: string
  *         required: true
- *         description: The resource id
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/Resource'
+ *         description: The DID
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
- *         description: The resource was updated
+ *         description: The metadata of the DID's resources, without payloads
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Resource'
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Resource'
  *       404:
- *         description: Resource not found
- *       400:
- *         description: Bad request
+ *         description: DID not found
+ *       422:
+ *         description: Invalid list parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-app.put("/resources/:id", authenticateJWT, async (req, res) => {
+app.get("/dids/:id/resources", authenticateJWT, findParent(DID), listQuery(RESOURCE_LIST), async (req, res) => {
   try {
-    const resource = await Resource.findByPk(req.params.id);
-    if (resource) {
-      await resource.update(req.body);
-      res.status(200).json(resource);
-    } else {
-      res.status(404).json({ error: "Resource not found" });
-    }
+    await sendResourcePage(req, res, { DIDID: req.params.id });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
 /**
  * @swagger
- * /resources/{id}:
- *   delete:
- *     summary: Delete a resource by id
+ * /dids/{id}/resources:
+ *   post:
+ *     summary: Publish a resource on a DID
+ *     description: Like POST /resources, with the DID taken from the path.
  *     tags: [Resources]
  *     parameters:
  *       - in: path
  *         name: id
  *         schema:
- *           type: integer
+ *           type: string
  *         required: true
- *         description: The resource id
+ *         description: The DID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Resource'
  *     responses:
- *       204:
- *         description: The resource was deleted
+ *       201:
+ *         description: The resource was published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Resource'
+ *       403:
+ *         description: The caller does not control the DID
  *       404:
- *         description: Resource not found
+ *         description: DID not found
+ *       409:
+ *         description: The version already exists
+ *       410:
+ *         description: The DID has been deactivated
+ *       422:
+ *         description: Invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-app.delete("/resources/:id", authenticateJWT, async (req, res) => {
-  try {
-    const resource = await Resource.findByPk(req.params.id);
-    if (resource) {
-      await resource.destroy();
-      res.status(204).send();
-    } else {
-      res.status(404).json({ error: "Resource not found" });
-    }
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+app.post(
+  "/dids/:id/resources",
+  authenticateJWT,
+  takeFromPath("DIDID"),
+  authorize("resources:manage", { allowIf: controlsNewResource }),
+  createResource
+);
 
 // CRUD Operations for Users
 /**
@@ -225,22 +799,184 @@ app.delete("/resources/:id", authenticateJWT, async (req, res) => {
  *     User:
  *       type: object
  *       required:
- *         - name
- *         - email
+ *         - PhoneNumber
+ *         - LoginPIN
  *       properties:
- *         id:
+ *         UserID:
  *           type: integer
  *           description: The auto-generated id of the user
- *         name:
+ *         Name:
  *           type: string
  *           description: The name of the user
- *         email:
+ *         Email:
+ *           type: string
+ *           description: The email of the user, unique across users
+ *         PhoneNumber:
+ *           type: string
+ *           description: The E.164 phone number the user signs in with, unique across users
+ *         LoginPIN:
+ *           type: string
+ *           description: A 4 to 6 digit PIN, stored hashed
+ *         DateOfBirth:
+ *           type: string
+ *           format: date
+ *         AadhaarNumber:
  *           type: string
- *           description: The email of the user
+ *           description: 12 digits with a valid Verhoeff check digit; masked in responses
+ *         PANNumber:
+ *           type: string
+ *           description: Format AAAAA9999A; masked in responses
+ *         Role:
+ *           type: string
+ *           readOnly: true
+ *           description: The user's role; cannot be set through this API
+ *       example:
+ *         UserID: 1
+ *         Name: John Doe
+ *         Email: john.doe@example.com
+ *         PhoneNumber: "+919876543210"
+ *     ValidationError:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: string
+ *         fields:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               message:
+ *                 type: string
  *       example:
- *         id: 1
- *         name: John Doe
- *         email: john.doe@example.com
+ *         error: Validation failed
+ *         fields:
+ *           - field: PANNumber
+ *             message: must match the PAN format AAAAA9999A
+ */
+
+// Columns managed by the server rather than through the /users routes
+const USER_READONLY_FIELDS = [
+  "UserID",
+  "FailedLoginAttempts",
+  "LockedUntil",
+  "TokensValidAfter",
+  "Role",
+  "AadhaarHash",
+  "DataKey",
+];
+
+// Changing these on one's own record needs the current PIN
+const LOGIN_FIELDS = ["LoginPIN", "PhoneNumber"];
+
+function userFields(body) {
+  const fields = { ...body };
+  USER_READONLY_FIELDS.forEach((field) => delete fields[field]);
+  return fields;
+}
+
+/**
+ * Send a 422 listing every failing field as { field, message }. Accepts either
+ * such a list or a Sequelize unique constraint error raised by a racing write.
+ */
+function sendValidationErrors(res, errors) {
+  const fields = Array.isArray(errors)
+    ? errors
+    : errors.errors.map((item) => ({
+      field: item.path === "AadhaarHash" ? "AadhaarNumber" : item.path,
+      message: "is already registered to another user",
+    }));
+  res.status(422).json({ error: "Validation failed", fields });
+}
+
+/**
+ * Read the serialization options a caller asked for with ?unmasked=true and
+ * ?includeImage=true. Resolves to null if the caller may not see unmasked values.
+ */
+async function userResponseOptions(req) {
+  const unmasked = req.query.unmasked === "true";
+  if (unmasked && !(await hasPermission(req, "users:read-unmasked"))) {
+    return null;
+  }
+  return { unmasked, includeImage: req.query.includeImage === "true" };
+}
+
+// What GET /users can filter, sort and select by. Aadhaar and PAN are
+// decrypted with the row's DataKey.
+const USER_LIST = {
+  key: "UserID",
+  sort: "UserID",
+  sortable: { UserID: "integer", createdAt: "date", updatedAt: "date" },
+  filters: {
+    Role: "string",
+    Email: "string",
+    PhoneNumber: "string",
+    createdAt: "date",
+    updatedAt: "date",
+  },
+  fields: [
+    "UserID",
+    "Name",
+    "Email",
+    "PhoneNumber",
+    "DateOfBirth",
+    "AadhaarNumber",
+    "PANNumber",
+    "UserImage",
+    "Role",
+    "createdAt",
+    "updatedAt",
+  ],
+  requires: { AadhaarNumber: ["DataKey"], PANNumber: ["DataKey"] },
+};
+
+// Users may always read and update their own record
+const isSelf = (req) => String(req.params.id) === String(req.user.id);
+
+// Serialize users for a response, auditing every unmasked record handed out
+async function sendUsers(req, res, status, users, options) {
+  const list = Array.isArray(users) ? users : [users];
+  if (options.unmasked) {
+    await AuditLog.bulkCreate(
+      list.map((user) => ({
+        ActorID: req.user.id,
+        Action: "user.read-unmasked",
+        TargetType: "User",
+        TargetID: String(user.UserID),
+        Details: { method: req.method, path: req.originalUrl },
+      }))
+    );
+  }
+
+  const body = list.map((user) => {
+    const values = serializeUser(user, options);
+    const picked = options.list ? pickFields(options.list, values) : values;
+    return options.embed ? options.embed(user, picked) : picked;
+  });
+  res.status(status).json(Array.isArray(users) ? body : body[0]);
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     UserUnmasked:
+ *       in: query
+ *       name: unmasked
+ *       schema:
+ *         type: boolean
+ *       required: false
+ *       description: >
+ *         Return AadhaarNumber and PANNumber in full instead of masked. Only
+ *         allowed for privileged roles; every such read is audited.
+ *     UserIncludeImage:
+ *       in: query
+ *       name: includeImage
+ *       schema:
+ *         type: boolean
+ *       required: false
+ *       description: Include UserImage, base64 encoded
  */
 
 /**
@@ -271,12 +1007,29 @@ app.delete("/resources/:id", authenticateJWT, async (req, res) => {
  *               $ref: '#/components/schemas/User'
  *       400:
  *         description: Bad request
+ *       422:
+ *         description: Invalid or already registered fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: The caller may not create users
  */
-app.post("/users", authenticateJWT, async (req, res) => {
+app.post("/users", authenticateJWT, authorize("users:create"), async (req, res) => {
   try {
-    const user = await User.create(req.body);
-    res.status(201).json(user);
+    const { values, errors } = await validateUser(userFields(req.body), {
+      required: ["PhoneNumber"],
+    });
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    const user = await User.create(values);
+    res.status(201).json(serializeUser(user));
   } catch (err) {
+    if (err.name === "SequelizeUniqueConstraintError") {
+      return sendValidationErrors(res, err);
+    }
     res.status(400).json({ error: err.message });
   }
 });
@@ -286,23 +1039,82 @@ app.post("/users", authenticateJWT, async (req, res) => {
  * /users:
  *   get:
  *     summary: Returns the list of all the users
+ *     description: LoginPIN is never returned; Aadhaar and PAN are masked by default.
  *     tags: [Users]
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserUnmasked'
+ *       - $ref: '#/components/parameters/UserIncludeImage'
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           enum: [documents]
+ *         description: Embed the user's documents the caller can see, as Documents
+ *       - in: query
+ *         name: Role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: Email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: PhoneNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdAt
+ *         style: deepObject
+ *         schema:
+ *           $ref: '#/components/schemas/Range'
+ *       - in: query
+ *         name: updatedAt
+ *         style: deepObject
+ *         schema:
+ *           $ref: '#/components/schemas/Range'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
  *     responses:
  *       200:
- *         description: The list of the users
+ *         description: The list of the users, sortable by UserID, createdAt and updatedAt
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/User'
+ *       403:
+ *         description: The caller may not list users, or asked for unmasked values without permission
+ *       422:
+ *         description: Invalid list parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       500:
  *         description: Some server error
  */
-app.get("/users", authenticateJWT, async (req, res) => {
+app.get("/users", authenticateJWT, authorize("users:list"), listQuery(USER_LIST), includeQuery(User), async (req, res) => {
   try {
-    const users = await User.findAll();
-    res.status(200).json(users);
+    const options = await userResponseOptions(req);
+    if (!options) {
+      return res.sendStatus(403);
+    }
+    const page = await findPage(User, req.list, {
+      attributes: options.includeImage ? undefined : { exclude: ["UserImage"] },
+    });
+    const embed = await loadIncludes(req, User, page.rows);
+    setPageHeaders(req, res, page);
+    await sendUsers(req, res, 200, page.rows, { ...options, list: req.list, embed });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -313,6 +1125,7 @@ app.get("/users", authenticateJWT, async (req, res) => {
  * /users/{id}:
  *   get:
  *     summary: Get a user by id
+ *     description: LoginPIN is never returned; Aadhaar and PAN are masked by default.
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -321,6 +1134,14 @@ app.get("/users", authenticateJWT, async (req, res) => {
  *           type: integer
  *         required: true
  *         description: The user id
+ *       - $ref: '#/components/parameters/UserUnmasked'
+ *       - $ref: '#/components/parameters/UserIncludeImage'
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           enum: [documents]
+ *         description: Embed the user's documents the caller can see, as Documents
  *     responses:
  *       200:
  *         description: The user description by id
@@ -328,14 +1149,22 @@ app.get("/users", authenticateJWT, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: The caller may not read this user, or asked for unmasked values without permission
  *       404:
  *         description: User not found
  */
-app.get("/users/:id", authenticateJWT, async (req, res) => {
+app.get("/users/:id", authenticateJWT, authorize("users:read", { allowIf: isSelf }), includeQuery(User), async (req, res) => {
   try {
-    const user = await User.findByPk(req.params.id);
+    const options = await userResponseOptions(req);
+    if (!options) {
+      return res.sendStatus(403);
+    }
+    const user = await User.findByPk(req.params.id, {
+      attributes: options.includeImage ? undefined : { exclude: ["UserImage"] },
+    });
     if (user) {
-      res.status(200).json(user);
+      await sendUsers(req, res, 200, user, { ...options, embed: await loadIncludes(req, User, [user]) });
     } else {
       res.status(404).json({ error: "User not found" });
     }
@@ -349,6 +1178,11 @@ app.get("/users/:id", authenticateJWT, async (req, res) => {
  * /users/{id}:
  *   put:
  *     summary: Update a user by id
+ *     description: >
+ *       Users changing their own LoginPIN or PhoneNumber must also send their
+ *       current PIN as CurrentPIN; wrong ones count towards the login lockout.
+ *       A new LoginPIN revokes every refresh and access token of the user, who
+ *       then logs in again.
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -374,17 +1208,59 @@ app.get("/users/:id", authenticateJWT, async (req, res) => {
  *         description: User not found
  *       400:
  *         description: Bad request
+ *       422:
+ *         description: Invalid or already registered fields, or CurrentPIN missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: The caller may only update their own record, or CurrentPIN is wrong
+ *       423:
+ *         description: The account is temporarily locked
  */
-app.put("/users/:id", authenticateJWT, async (req, res) => {
+app.put("/users/:id", authenticateJWT, authorize("users:update", { allowIf: isSelf }), async (req, res) => {
   try {
     const user = await User.findByPk(req.params.id);
     if (user) {
-      await user.update(req.body);
-      res.status(200).json(user);
+      const { CurrentPIN, ...body } = req.body;
+      const { values, errors } = await validateUser(userFields(body), {
+        existingUserID: user.UserID,
+      });
+      const changesLogin = LOGIN_FIELDS.some((field) => values[field] !== undefined);
+      if (isSelf(req) && changesLogin && !CurrentPIN) {
+        errors.push({ field: "CurrentPIN", message: "is required to change LoginPIN or PhoneNumber" });
+      }
+      if (errors.length) {
+        return sendValidationErrors(res, errors);
+      }
+      if (isSelf(req) && changesLogin) {
+        const check = await checkLoginPIN(user, CurrentPIN);
+        if (check.retryAfter) {
+          return sendLockedOut(res, check.retryAfter);
+        }
+        if (!check.valid) {
+          return res.status(403).json({ error: "CurrentPIN is incorrect." });
+        }
+      }
+
+      // A new PIN signs the user out everywhere, as /logout/all does
+      const changesPIN = values.LoginPIN !== undefined;
+      if (changesPIN) {
+        values.TokensValidAfter = new Date(Math.floor(Date.now() / 1000) * 1000);
+      }
+      await user.update(values);
+      if (changesPIN) {
+        await revokeRefreshTokens({ UserID: user.UserID });
+      }
+      res.status(200).json(serializeUser(user));
     } else {
       res.status(404).json({ error: "User not found" });
     }
   } catch (err) {
+    if (err.name === "SequelizeUniqueConstraintError") {
+      return sendValidationErrors(res, err);
+    }
     res.status(400).json({ error: err.message });
   }
 });
@@ -407,8 +1283,10 @@ app.put("/users/:id", authenticateJWT, async (req, res) => {
  *         description: The user was deleted
  *       404:
  *         description: User not found
+ *       403:
+ *         description: The caller may not delete users
  */
-app.delete("/users/:id", authenticateJWT, async (req, res) => {
+app.delete("/users/:id", authenticateJWT, authorize("users:delete"), async (req, res) => {
   try {
     const user = await User.findByPk(req.params.id);
     if (user) {
@@ -422,87 +1300,93 @@ app.delete("/users/:id", authenticateJWT, async (req, res) => {
   }
 });
 
-// CRUD Operations for DIDs
+// Role management
 /**
  * @swagger
  * components:
  *   schemas:
- *     DID:
+ *     Role:
  *       type: object
- *       required:
- *         - identifier
  *       properties:
- *         id:
- *           type: integer
- *           description: The auto-generated id of the DID
- *         identifier:
+ *         Name:
+ *           type: string
+ *         Description:
  *           type: string
- *           description: The identifier of the DID
+ *         Permissions:
+ *           type: array
+ *           items:
+ *             type: string
  *       example:
- *         id: 1
- *         identifier: did:example:123456
+ *         Name: verifier
+ *         Description: Relying parties that check users' documents and credentials
+ *         Permissions: []
  */
 
 /**
  * @swagger
  * tags:
- *   name: DIDs
- *   description: DID management
+ *   name: Roles
+ *   description: Roles, permissions and role assignment (requires roles:manage)
  */
 
+// Roles with the names of the permissions they grant
+async function findRoles(where = {}) {
+  const roles = await Role.findAll({ where, order: [["Name", "ASC"]] });
+  const grants = await RolePermission.findAll({
+    where: { RoleName: roles.map((role) => role.Name) },
+    order: [["PermissionName", "ASC"]],
+  });
+  return roles.map((role) => ({
+    Name: role.Name,
+    Description: role.Description,
+    Permissions: grants
+      .filter((grant) => grant.RoleName === role.Name)
+      .map((grant) => grant.PermissionName),
+  }));
+}
+
 /**
  * @swagger
- * /dids:
- *   post:
- *     summary: Create a new DID
- *     tags: [DIDs]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/DID'
+ * /permissions:
+ *   get:
+ *     summary: Returns every permission a role can be granted
+ *     tags: [Roles]
  *     responses:
- *       201:
- *         description: The DID was successfully created
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/DID'
- *       400:
- *         description: Bad request
+ *       200:
+ *         description: The list of the permissions
+ *       403:
+ *         description: The caller may not manage roles
  */
-app.post("/dids", authenticateJWT, async (req, res) => {
+app.get("/permissions", authenticateJWT, authorize("roles:manage"), async (req, res) => {
   try {
-    const did = await DID.create(req.body);
-    res.status(201).json(did);
+    const permissions = await Permission.findAll({ order: [["Name", "ASC"]] });
+    res.status(200).json(permissions);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
 /**
  * @swagger
- * /dids:
+ * /roles:
  *   get:
- *     summary: Returns the list of all the DIDs
- *     tags: [DIDs]
+ *     summary: Returns the roles and the permissions they grant
+ *     tags: [Roles]
  *     responses:
  *       200:
- *         description: The list of the DIDs
+ *         description: The list of the roles
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/DID'
- *       500:
- *         description: Some server error
+ *                 $ref: '#/components/schemas/Role'
+ *       403:
+ *         description: The caller may not manage roles
  */
-app.get("/dids", authenticateJWT, async (req, res) => {
+app.get("/roles", authenticateJWT, authorize("roles:manage"), async (req, res) => {
   try {
-    const dids = await DID.findAll();
-    res.status(200).json(dids);
+    res.status(200).json(await findRoles());
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -510,378 +1394,869 @@ app.get("/dids", authenticateJWT, async (req, res) => {
 
 /**
  * @swagger
- * /dids/{id}:
- *   get:
- *     summary: Get a DID by id
- *     tags: [DIDs]
+ * /roles/{name}:
+ *   put:
+ *     summary: Create or replace a role and the permissions it grants
+ *     tags: [Roles]
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: name
  *         schema:
- *           type: integer
+ *           type: string
  *         required: true
- *         description: The DID id
+ *         description: The role name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Role'
  *     responses:
  *       200:
- *         description: The DID description by id
+ *         description: The role was saved
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/DID'
- *       404:
- *         description: DID not found
+ *               $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Unknown permissions
+ *       403:
+ *         description: The caller may not manage roles
  */
-app.get("/dids/:id", authenticateJWT, async (req, res) => {
+app.put("/roles/:name", authenticateJWT, authorize("roles:manage"), async (req, res) => {
   try {
-    const did = await DID.findByPk(req.params.id);
-    if (did) {
-      res.status(200).json(did);
-    } else {
-      res.status(404).json({ error: "DID not found" });
+    const names = req.body.Permissions || [];
+    const permissions = Array.isArray(names)
+      ? await Permission.findAll({ where: { Name: names } })
+      : [];
+    if (!Array.isArray(names) || permissions.length !== new Set(names).size) {
+      return res.status(400).json({ error: "Permissions must list existing permission names." });
     }
+
+    const [role] = await Role.upsert({
+      Name: req.params.name,
+      Description: req.body.Description,
+    });
+    await role.setPermissions(permissions);
+    clearPermissionCache();
+
+    const [saved] = await findRoles({ Name: role.Name });
+    res.status(200).json(saved);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(400).json({ error: err.message });
   }
 });
 
 /**
  * @swagger
- * /dids/{id}:
- *   put:
- *     summary: Update a DID by id
- *     tags: [DIDs]
+ * /roles/{name}:
+ *   delete:
+ *     summary: Delete a role no user holds
+ *     tags: [Roles]
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: name
  *         schema:
- *           type: integer
+ *           type: string
  *         required: true
- *         description: The DID id
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/DID'
+ *         description: The role name
  *     responses:
- *       200:
- *         description: The DID was updated
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/DID'
+ *       204:
+ *         description: The role was deleted
+ *       403:
+ *         description: The caller may not manage roles
  *       404:
- *         description: DID not found
- *       400:
- *         description: Bad request
+ *         description: Role not found
+ *       409:
+ *         description: Users still hold the role
  */
-app.put("/dids/:id", authenticateJWT, async (req, res) => {
+app.delete("/roles/:name", authenticateJWT, authorize("roles:manage"), async (req, res) => {
   try {
-    const did = await DID.findByPk(req.params.id);
-    if (did) {
-      await did.update(req.body);
-      res.status(200).json(did);
-    } else {
-      res.status(404).json({ error: "DID not found" });
+    const role = await Role.findByPk(req.params.name);
+    if (!role) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+    if (await User.count({ where: { Role: role.Name } })) {
+      return res.status(409).json({ error: "Role is still assigned to users" });
     }
+    await role.setPermissions([]);
+    await role.destroy();
+    clearPermissionCache();
+    res.status(204).send();
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
 /**
  * @swagger
- * /dids/{id}:
- *   delete:
- *     summary: Delete a DID by id
- *     tags: [DIDs]
+ * /users/{id}/role:
+ *   put:
+ *     summary: Assign a role to a user
+ *     tags: [Roles]
  *     parameters:
  *       - in: path
  *         name: id
  *         schema:
  *           type: integer
  *         required: true
- *         description: The DID id
+ *         description: The user id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Role:
+ *                 type: string
  *     responses:
- *       204:
- *         description: The DID was deleted
+ *       200:
+ *         description: The role was assigned
+ *       400:
+ *         description: Unknown role
+ *       403:
+ *         description: The caller may not manage roles
  *       404:
- *         description: DID not found
+ *         description: User not found
  */
-app.delete("/dids/:id", authenticateJWT, async (req, res) => {
+app.put("/users/:id/role", authenticateJWT, authorize("roles:manage"), async (req, res) => {
   try {
-    const did = await DID.findByPk(req.params.id);
-    if (did) {
-      await did.destroy();
-      res.status(204).send();
-    } else {
-      res.status(404).json({ error: "DID not found" });
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (!req.body.Role || !(await Role.findByPk(req.body.Role))) {
+      return res.status(400).json({ error: "Role must name an existing role." });
     }
+    await user.update({ Role: req.body.Role });
+    res.status(200).json(serializeUser(user));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// CRUD Operations for Documents
+// CRUD Operations for DIDs
+
+// What GET /dids can filter, sort and select by
+const DID_LIST = {
+  key: "ID",
+  sort: "ID",
+  sortable: { ID: "string", createdAt: "date", updatedAt: "date" },
+  filters: {
+    Controller: "string",
+    Deactivated: "boolean",
+    createdAt: "date",
+    updatedAt: "date",
+  },
+  fields: ["ID", "Controller", "Created", "Updated", "DIDDocument", "Deactivated", "createdAt", "updatedAt"],
+};
+
+// Let the route 404 for missing DIDs; otherwise require being their controller
+async function controlsDID(req) {
+  const did = await DID.findByPk(req.params.id, { attributes: ["Controller"] });
+  return !did || did.Controller === String(req.user.id);
+}
+
+/**
+ * Parse and validate the DIDDocument of a request body against the DID it is
+ * stored under. Returns { document, errors }.
+ */
+function checkDIDDocument(input, did) {
+  const { document, errors } = parseDIDDocument(input);
+  if (errors.length) {
+    return { document, errors };
+  }
+  return { document, errors: validateDIDDocument(document, did) };
+}
+
+/**
+ * Record a DID's current state as its next version. Call within the
+ * transaction that changed the DID, after locking its row.
+ */
+async function recordDIDVersion(did, userId, transaction) {
+  const latest = await DIDVersion.max("VersionNumber", { where: { DIDID: did.ID }, transaction });
+  return DIDVersion.create(
+    {
+      DIDID: did.ID,
+      VersionNumber: (latest || 0) + 1,
+      DIDDocument: did.DIDDocument,
+      Deactivated: did.Deactivated,
+      CreatedBy: userId,
+      Created: did.Updated,
+    },
+    { transaction }
+  );
+}
+
+// Load req.params.id for a change, locked for the rest of the transaction
+function findDIDForUpdate(req, transaction) {
+  return DID.findByPk(req.params.id, { transaction, lock: transaction.LOCK.UPDATE });
+}
+
 /**
  * @swagger
  * components:
  *   schemas:
- *     Document:
+ *     DID:
+ *       type: object
+ *       required:
+ *         - ID
+ *         - DIDDocument
+ *       properties:
+ *         ID:
+ *           type: string
+ *           description: The DID itself
+ *         Controller:
+ *           type: string
+ *           description: >
+ *             The id of the controlling user. Set to the caller unless they
+ *             have dids:manage.
+ *         Created:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         Updated:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         Deactivated:
+ *           type: boolean
+ *           readOnly: true
+ *         DIDDocument:
+ *           $ref: '#/components/schemas/DIDDocument'
+ *       example:
+ *         ID: did:example:123456
+ *         Controller: "1"
+ *         DIDDocument:
+ *           "@context": ["https://www.w3.org/ns/did/v1"]
+ *           id: did:example:123456
+ *           verificationMethod:
+ *             - id: did:example:123456#key-1
+ *               type: Ed25519VerificationKey2020
+ *               controller: did:example:123456
+ *               publicKeyMultibase: z6MkmM42vxfqZQsv4ehtTjFFxQ4sQKS2w6WR7emozFAn5cxu
+ *           authentication: ["#key-1"]
+ *     DIDDocument:
  *       type: object
+ *       description: >
+ *         A DID Document following the W3C DID Core data model. It may also be
+ *         sent as a JSON string. Its id must equal the DID's ID; verification
+ *         relationships must embed a verification method or refer to one in
+ *         the document.
  *       required:
- *         - title
+ *         - id
+ *       properties:
+ *         "@context":
+ *           oneOf:
+ *             - type: string
+ *             - type: array
+ *               items: {}
+ *         id:
+ *           type: string
+ *         controller:
+ *           oneOf:
+ *             - type: string
+ *             - type: array
+ *               items:
+ *                 type: string
+ *         alsoKnownAs:
+ *           type: array
+ *           items:
+ *             type: string
+ *         verificationMethod:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VerificationMethod'
+ *         authentication:
+ *           type: array
+ *           items: {}
+ *         assertionMethod:
+ *           type: array
+ *           items: {}
+ *         keyAgreement:
+ *           type: array
+ *           items: {}
+ *         capabilityInvocation:
+ *           type: array
+ *           items: {}
+ *         capabilityDelegation:
+ *           type: array
+ *           items: {}
+ *         service:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [id, type, serviceEndpoint]
+ *             properties:
+ *               id:
+ *                 type: string
+ *               type:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *               serviceEndpoint: {}
+ *     VerificationMethod:
+ *       type: object
+ *       required: [id, type, controller]
+ *       description: Exactly one of publicKeyJwk or publicKeyMultibase is required
  *       properties:
  *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *         controller:
+ *           type: string
+ *         publicKeyJwk:
+ *           type: object
+ *         publicKeyMultibase:
+ *           type: string
+ *     DIDResolutionResult:
+ *       type: object
+ *       properties:
+ *         "@context":
+ *           type: string
+ *           example: https://w3id.org/did-resolution/v1
+ *         didDocument:
+ *           $ref: '#/components/schemas/DIDDocument'
+ *         didResolutionMetadata:
+ *           type: object
+ *           properties:
+ *             contentType:
+ *               type: string
+ *             error:
+ *               type: string
+ *               enum: [invalidDid, notFound, representationNotSupported]
+ *         didDocumentMetadata:
+ *           type: object
+ *           properties:
+ *             created:
+ *               type: string
+ *               format: date-time
+ *             updated:
+ *               type: string
+ *               format: date-time
+ *             deactivated:
+ *               type: boolean
+ *             versionId:
+ *               type: string
+ *             linkedResourceMetadata:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Resource'
+ *             nextUpdate:
+ *               type: string
+ *               format: date-time
+ *             nextVersionId:
+ *               type: string
+ *     DIDVersion:
+ *       type: object
+ *       properties:
+ *         VersionNumber:
  *           type: integer
- *           description: The auto-generated id of the document
- *         title:
+ *           description: The versionId the version resolves under
+ *         DIDDocument:
+ *           $ref: '#/components/schemas/DIDDocument'
+ *         Deactivated:
+ *           type: boolean
+ *         CreatedBy:
+ *           type: integer
+ *           description: The user who made the change
+ *         Created:
  *           type: string
- *           description: The title of the document
- *       example:
- *         id: 1
- *         title: Sample Document
+ *           format: date-time
  */
 
 /**
  * @swagger
  * tags:
- *   name: Documents
- *   description: Document management
+ *   name: DIDs
+ *   description: DID management
  */
 
 /**
  * @swagger
- * /documents:
+ * /dids:
  *   post:
- *     summary: Create a new document
- *     tags: [Documents]
+ *     summary: Create a new DID
+ *     description: >
+ *       Registers a DID with a document of the caller's own. did:key DIDs are
+ *       not accepted (see POST /dids/key), and did:web DIDs only under
+ *       DID_WEB_DOMAIN; the domain's own did:web DID requires dids:manage.
+ *     tags: [DIDs]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Document'
+ *             $ref: '#/components/schemas/DID'
  *     responses:
  *       201:
- *         description: The document was successfully created
+ *         description: The DID was successfully created
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Document'
+ *               $ref: '#/components/schemas/DID'
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: Only callers with dids:manage may register the domain's own did:web DID
+ *       409:
+ *         description: The DID already exists
+ *       422:
+ *         description: The ID or DID Document is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-app.post("/documents", authenticateJWT, async (req, res) => {
+app.post("/dids", authenticateJWT, async (req, res) => {
   try {
-    const document = await Document.create(req.body);
-    res.status(201).json(document);
+    const { ID, Controller, DIDDocument } = req.body;
+    if (!isDID(ID)) {
+      return sendValidationErrors(res, [{ field: "ID", message: "must be a DID" }]);
+    }
+    // Registering a did:key or another domain's did:web here would let the
+    // registrant publish a document for a DID that is not theirs
+    if (ID.startsWith("did:key:")) {
+      return sendValidationErrors(res, [
+        { field: "ID", message: "cannot be a did:key; its document is derived from the key (see POST /dids/key)" },
+      ]);
+    }
+    if (ID.startsWith("did:web:")) {
+      const domainDID = config.didWebDomain && didWebId(config.didWebDomain);
+      if (!domainDID || (ID !== domainDID && !ID.startsWith(`${domainDID}:`))) {
+        return sendValidationErrors(res, [
+          { field: "ID", message: domainDID ? `must be ${domainDID} or below it for did:web` : "cannot be a did:web; DID_WEB_DOMAIN is not configured" },
+        ]);
+      }
+      if (ID === domainDID && !(await hasPermission(req, "dids:manage"))) {
+        return res.sendStatus(403);
+      }
+    }
+    if (DIDDocument === undefined || DIDDocument === null) {
+      return sendValidationErrors(res, [{ field: "DIDDocument", message: "is required" }]);
+    }
+    const { document, errors } = checkDIDDocument(DIDDocument, ID);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    if (await DID.findByPk(ID, { attributes: ["ID"] })) {
+      return res.status(409).json({ error: "DID already exists" });
+    }
+
+    // Only managers may register a DID on behalf of another controller
+    const controller = (await hasPermission(req, "dids:manage")) && Controller
+      ? String(Controller)
+      : String(req.user.id);
+    const now = new Date();
+    const did = await sequelize.transaction(async (transaction) => {
+      const created = await DID.create(
+        { ID, Controller: controller, DIDDocument: document, Created: now, Updated: now },
+        { transaction }
+      );
+      await recordDIDVersion(created, req.user.id, transaction);
+      return created;
+    });
+    res.status(201).json(did);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+const DID_WEB_SEGMENT = /^[A-Za-z0-9._-]+$/;
+
+// did:web identifiers are issued under and served from DID_WEB_DOMAIN only.
+// The Host header is the client's to choose, so it cannot stand in for it.
+function requireDIDWebDomain(req, res, next) {
+  if (!config.didWebDomain) {
+    return res.status(503).json({ error: "did:web is not available: DID_WEB_DOMAIN is not configured" });
+  }
+  next();
+}
+
+// Keep a generated key pair for a DID. The private key is encrypted under a
+// data key of its own.
+function storeDIDKey(ID, key, methodId, transaction) {
+  const { wrappedKey } = generateDataKey();
+  return DIDKey.create(
+    {
+      KeyID: methodId,
+      DIDID: ID,
+      Type: key.type,
+      PublicKeyMultibase: key.publicKeyMultibase,
+      PrivateKey: encryptField(exportPrivateKey(key.privateKey), wrappedKey, "PrivateKey"),
+      DataKey: wrappedKey,
+      Created: new Date(),
+    },
+    { transaction }
+  );
+}
+
+// Store a DID generated by the server together with its key pair, controlled
+// by the caller
+async function createGeneratedDID(req, ID, key, methodId) {
+  const now = new Date();
+  return sequelize.transaction(async (transaction) => {
+    const did = await DID.create(
+      {
+        ID,
+        Controller: String(req.user.id),
+        DIDDocument: singleKeyDocument(ID, methodId, key.publicKeyMultibase),
+        Created: now,
+        Updated: now,
+      },
+      { transaction }
+    );
+    await storeDIDKey(ID, key, methodId, transaction);
+    await recordDIDVersion(did, req.user.id, transaction);
+    return did;
+  });
+}
+
 /**
  * @swagger
- * /documents:
- *   get:
- *     summary: Returns the list of all the documents
- *     tags: [Documents]
- *     responses:
- *       200:
- *         description: The list of the documents
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Document'
- *       500:
- *         description: Some server error
+ * components:
+ *   schemas:
+ *     KeyType:
+ *       type: string
+ *       enum: [Ed25519, secp256k1]
+ *       default: Ed25519
  */
-app.get("/documents", authenticateJWT, async (req, res) => {
-  try {
-    const documents = await Document.findAll();
-    res.status(200).json(documents);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
 
 /**
  * @swagger
- * /documents/{id}:
- *   get:
- *     summary: Get a document by id
- *     tags: [Documents]
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: integer
- *         required: true
- *         description: The document id
+ * /dids/key:
+ *   post:
+ *     summary: Generate a key pair and register it as a did:key DID
+ *     description: >
+ *       The private key is kept on the server, encrypted, and the caller
+ *       becomes the DID's controller.
+ *     tags: [DIDs]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               KeyType:
+ *                 $ref: '#/components/schemas/KeyType'
  *     responses:
- *       200:
- *         description: The document description by id
+ *       201:
+ *         description: The DID was created
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Document'
- *       404:
- *         description: Document not found
+ *               $ref: '#/components/schemas/DID'
+ *       422:
+ *         description: Unsupported key type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-app.get("/documents/:id", authenticateJWT, async (req, res) => {
+app.post("/dids/key", authenticateJWT, async (req, res) => {
   try {
-    const document = await Document.findByPk(req.params.id);
-    if (document) {
-      res.status(200).json(document);
-    } else {
-      res.status(404).json({ error: "Document not found" });
+    const { KeyType = "Ed25519" } = req.body;
+    if (!KEY_TYPES[KeyType]) {
+      return sendValidationErrors(res, [{ field: "KeyType", message: "must be Ed25519 or secp256k1" }]);
     }
+    const key = generateKeyPair(KeyType);
+    const ID = didKeyFromMultibase(key.publicKeyMultibase);
+    const did = await createGeneratedDID(req, ID, key, `${ID}#${key.publicKeyMultibase}`);
+    res.status(201).json(did);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(400).json({ error: err.message });
   }
 });
 
 /**
  * @swagger
- * /documents/{id}:
- *   put:
- *     summary: Update a document by id
- *     tags: [Documents]
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: integer
- *         required: true
- *         description: The document id
+ * /dids/web:
+ *   post:
+ *     summary: Generate a key pair and register a did:web DID served by this server
+ *     description: >
+ *       The DID is issued under DID_WEB_DOMAIN; without it the did:web routes
+ *       answer 503. Path "users/alice" gives did:web:{domain}:users:alice,
+ *       served at /users/alice/did.json. Without a Path the DID is the domain's
+ *       own, served at /.well-known/did.json, and requires dids:manage.
+ *     tags: [DIDs]
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Document'
+ *             type: object
+ *             properties:
+ *               Path:
+ *                 type: string
+ *                 example: users/alice
+ *               KeyType:
+ *                 $ref: '#/components/schemas/KeyType'
  *     responses:
- *       200:
- *         description: The document was updated
+ *       201:
+ *         description: The DID was created
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Document'
- *       404:
- *         description: Document not found
- *       400:
- *         description: Bad request
+ *               $ref: '#/components/schemas/DID'
+ *       403:
+ *         description: Only callers with dids:manage may create the domain's own DID
+ *       409:
+ *         description: The DID already exists
+ *       422:
+ *         description: Invalid path or key type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       503:
+ *         description: DID_WEB_DOMAIN is not configured
  */
-app.put("/documents/:id", authenticateJWT, async (req, res) => {
+app.post("/dids/web", requireDIDWebDomain, authenticateJWT, async (req, res) => {
   try {
-    const document = await Document.findByPk(req.params.id);
-    if (document) {
-      await document.update(req.body);
-      res.status(200).json(document);
-    } else {
-      res.status(404).json({ error: "Document not found" });
+    const { Path = "", KeyType = "Ed25519" } = req.body;
+    const segments = String(Path).split("/").filter(Boolean);
+    const errors = [];
+    if (!segments.every((segment) => DID_WEB_SEGMENT.test(segment)) || segments[0] === ".well-known") {
+      errors.push({ field: "Path", message: "must be /-separated segments of letters, digits, '.', '_' or '-'" });
     }
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
-});
+    if (!KEY_TYPES[KeyType]) {
+      errors.push({ field: "KeyType", message: "must be Ed25519 or secp256k1" });
+    }
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    if (!segments.length && !(await hasPermission(req, "dids:manage"))) {
+      return res.sendStatus(403);
+    }
+
+    const ID = didWebId(config.didWebDomain, segments);
+    if (await DID.findByPk(ID, { attributes: ["ID"] })) {
+      return res.status(409).json({ error: "DID already exists" });
+    }
+    const did = await createGeneratedDID(req, ID, generateKeyPair(KeyType), `${ID}#key-1`);
+    res.status(201).json(did);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
 /**
  * @swagger
- * /documents/{id}:
- *   delete:
- *     summary: Delete a document by id
- *     tags: [Documents]
+ * /dids:
+ *   get:
+ *     summary: Returns the list of all the DIDs
+ *     tags: [DIDs]
+ *     parameters:
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           enum: [resources]
+ *         description: Embed the metadata of the DID's resources, as Resources
+ *       - in: query
+ *         name: Controller
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: Deactivated
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: createdAt
+ *         style: deepObject
+ *         schema:
+ *           $ref: '#/components/schemas/Range'
+ *       - in: query
+ *         name: updatedAt
+ *         style: deepObject
+ *         schema:
+ *           $ref: '#/components/schemas/Range'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: The list of the DIDs, sortable by ID, createdAt and updatedAt
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DID'
+ *       422:
+ *         description: Invalid list parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Some server error
+ */
+app.get("/dids", authenticateJWT, listQuery(DID_LIST), includeQuery(DID), async (req, res) => {
+  try {
+    const page = await findPage(DID, req.list);
+    const embed = await loadIncludes(req, DID, page.rows);
+    setPageHeaders(req, res, page);
+    res.status(200).json(page.rows.map((did) => embed(did, pickFields(req.list, did.toJSON()))));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /dids/{id}:
+ *   get:
+ *     summary: Get a DID by id
+ *     tags: [DIDs]
  *     parameters:
  *       - in: path
  *         name: id
  *         schema:
- *           type: integer
+ *           type: string
  *         required: true
- *         description: The document id
+ *         description: The DID
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           enum: [resources]
+ *         description: Embed the metadata of the DID's resources, as Resources
  *     responses:
- *       204:
- *         description: The document was deleted
+ *       200:
+ *         description: The DID description by id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DID'
  *       404:
- *         description: Document not found
+ *         description: DID not found
  */
-app.delete("/documents/:id", authenticateJWT, async (req, res) => {
+app.get("/dids/:id", authenticateJWT, includeQuery(DID), async (req, res) => {
   try {
-    const document = await Document.findByPk(req.params.id);
-    if (document) {
-      await document.destroy();
-      res.status(204).send();
+    const did = await DID.findByPk(req.params.id);
+    if (did) {
+      const embed = await loadIncludes(req, DID, [did]);
+      res.status(200).json(embed(did, did.toJSON()));
     } else {
-      res.status(404).json({ error: "Document not found" });
+      res.status(404).json({ error: "DID not found" });
     }
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-
-// CRUD Operations for DocumentTransactions
-/**
- * @swagger
- * components:
- *   schemas:
- *     DocumentTransaction:
- *       type: object
- *       required:
- *         - documentId
- *         - userId
- *       properties:
- *         id:
- *           type: integer
- *           description: The auto-generated id of the document transaction
- *         documentId:
- *           type: integer
- *           description: The id of the document
- *         userId:
- *           type: integer
- *           description: The id of the user
- *       example:
- *         id: 1
- *         documentId: 1
- *         userId: 1
- */
-
-/**
- * @swagger
- * tags:
- *   name: DocumentTransactions
- *   description: Document transaction management
- */
-
 /**
  * @swagger
- * /documenttransactions:
- *   post:
- *     summary: Create a new document transaction
- *     tags: [DocumentTransactions]
+ * /dids/{id}:
+ *   put:
+ *     summary: Update a DID by id
+ *     description: >
+ *       The ID cannot be changed, and only callers with dids:manage may change
+ *       the Controller. A new DIDDocument is validated as on creation, and
+ *       keys the server holds for methods it no longer has are revoked; the
+ *       DID's status lists are signed again with the key left. Every change is
+ *       kept as a new version; earlier versions stay resolvable.
+ *     tags: [DIDs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The DID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/DocumentTransaction'
+ *             $ref: '#/components/schemas/DID'
  *     responses:
- *       201:
- *         description: The document transaction was successfully created
+ *       200:
+ *         description: The DID was updated
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/DocumentTransaction'
+ *               $ref: '#/components/schemas/DID'
+ *       404:
+ *         description: DID not found
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: The caller is not the DID controller
+ *       409:
+ *         description: The DIDDocument of a did:key DID cannot be changed
+ *       410:
+ *         description: The DID has been deactivated
+ *       422:
+ *         description: The DID Document is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-app.post("/documenttransactions", async (req, res) => {
+app.put("/dids/:id", authenticateJWT, authorize("dids:manage", { allowIf: controlsDID }), async (req, res) => {
   try {
-    const transaction = await DocumentTransaction.create(req.body);
-    res.status(201).json(transaction);
+    const fields = { Updated: new Date() };
+    if (req.body.Controller !== undefined && (await hasPermission(req, "dids:manage"))) {
+      fields.Controller = String(req.body.Controller);
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const did = await findDIDForUpdate(req, transaction);
+      if (!did) {
+        return { status: 404, body: { error: "DID not found" } };
+      }
+      if (did.Deactivated) {
+        return { status: 410, body: { error: "DID has been deactivated" } };
+      }
+      if (req.body.DIDDocument !== undefined) {
+        if (isDIDKey(did.ID)) {
+          return { status: 409, body: { error: "The document of a did:key DID is derived from its key and cannot be changed." } };
+        }
+        const { document, errors } = checkDIDDocument(req.body.DIDDocument, did.ID);
+        if (errors.length) {
+          return { errors };
+        }
+        fields.DIDDocument = document;
+
+        // Keys the server holds stop signing once the document no longer has
+        // a method for them
+        const methods = verificationMethods(document);
+        const keys = await DIDKey.findAll({ where: { DIDID: did.ID, RevokedAt: null }, transaction });
+        const removed = keys.filter((key) => !methods.some((method) =>
+          method.id === key.KeyID && method.publicKeyMultibase === key.PublicKeyMultibase));
+        if (removed.length) {
+          await DIDKey.update(
+            { RevokedAt: fields.Updated },
+            { where: { KeyID: removed.map((key) => key.KeyID) }, transaction }
+          );
+        }
+      }
+      await did.update(fields, { transaction });
+      await recordDIDVersion(did, req.user.id, transaction);
+      if (fields.DIDDocument) {
+        await republishStatusLists(did, transaction);
+      }
+      return { status: 200, body: did };
+    });
+    if (result.errors) {
+      return sendValidationErrors(res, result.errors);
+    }
+    res.status(result.status).json(result.body);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
@@ -889,26 +2264,57 @@ app.post("/documenttransactions", async (req, res) => {
 
 /**
  * @swagger
- * /documenttransactions:
- *   get:
- *     summary: Returns the list of all the document transactions
- *     tags: [DocumentTransactions]
+ * /dids/{id}:
+ *   delete:
+ *     summary: Deactivate a DID
+ *     description: >
+ *       The DID is kept as a tombstone: it resolves with deactivated set in
+ *       its metadata, its earlier versions stay resolvable, and it can no
+ *       longer be changed. Keys the server holds for it are revoked.
+ *     tags: [DIDs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The DID
  *     responses:
- *       200:
- *         description: The list of the document transactions
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/DocumentTransaction'
- *       500:
- *         description: Some server error
+ *       204:
+ *         description: The DID was deactivated
+ *       404:
+ *         description: DID not found
+ *       403:
+ *         description: The caller is not the DID controller
+ *       410:
+ *         description: The DID was already deactivated
  */
-app.get("/documenttransactions", async (req, res) => {
+app.delete("/dids/:id", authenticateJWT, authorize("dids:manage", { allowIf: controlsDID }), async (req, res) => {
   try {
-    const transactions = await DocumentTransaction.findAll();
-    res.status(200).json(transactions);
+    const status = await sequelize.transaction(async (transaction) => {
+      const did = await findDIDForUpdate(req, transaction);
+      if (!did) {
+        return 404;
+      }
+      if (did.Deactivated) {
+        return 410;
+      }
+      const now = new Date();
+      await did.update({ Deactivated: true, Updated: now }, { transaction });
+      await DIDKey.update(
+        { RevokedAt: now },
+        { where: { DIDID: did.ID, RevokedAt: null }, transaction }
+      );
+      await recordDIDVersion(did, req.user.id, transaction);
+      return 204;
+    });
+    if (status === 404) {
+      return res.status(404).json({ error: "DID not found" });
+    }
+    if (status === 410) {
+      return res.status(410).json({ error: "DID has been deactivated" });
+    }
+    res.status(204).send();
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -916,35 +2322,41 @@ app.get("/documenttransactions", async (req, res) => {
 
 /**
  * @swagger
- * /documenttransactions/{id}:
+ * /dids/{id}/versions:
  *   get:
- *     summary: Get a document transaction by id
- *     tags: [DocumentTransactions]
+ *     summary: List every version of a DID's document, oldest first
+ *     tags: [DIDs]
  *     parameters:
  *       - in: path
  *         name: id
  *         schema:
- *           type: integer
+ *           type: string
  *         required: true
- *         description: The document transaction id
+ *         description: The DID
  *     responses:
  *       200:
- *         description: The document transaction description by id
+ *         description: The versions of the DID
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/DocumentTransaction'
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DIDVersion'
  *       404:
- *         description: Document transaction not found
+ *         description: DID not found
  */
-app.get("/documenttransactions/:id", async (req, res) => {
+app.get("/dids/:id/versions", authenticateJWT, async (req, res) => {
   try {
-    const transaction = await DocumentTransaction.findByPk(req.params.id);
-    if (transaction) {
-      res.status(200).json(transaction);
-    } else {
-      res.status(404).json({ error: "DocumentTransaction not found" });
+    const did = await DID.findByPk(req.params.id, { attributes: ["ID"] });
+    if (!did) {
+      return res.status(404).json({ error: "DID not found" });
     }
+    const versions = await DIDVersion.findAll({
+      attributes: ["VersionNumber", "DIDDocument", "Deactivated", "CreatedBy", "Created"],
+      where: { DIDID: did.ID },
+      order: [["VersionNumber", "ASC"]],
+    });
+    res.status(200).json(versions);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -952,116 +2364,4526 @@ app.get("/documenttransactions/:id", async (req, res) => {
 
 /**
  * @swagger
- * /documenttransactions/{id}:
- *   put:
- *     summary: Update a document transaction by id
- *     tags: [DocumentTransactions]
+ * /dids/{id}/keys/rotate:
+ *   post:
+ *     summary: Replace a key the server holds for a DID with a newly generated one
+ *     description: >
+ *       The new key takes the old one's place in the DID Document, and the old
+ *       key is revoked so it no longer signs. Credentials are verified against
+ *       the document current when they were signed, so those the old key
+ *       signed before the rotation still verify and any it signs afterwards do
+ *       not; the DID's status lists are signed again with the new key.
+ *       Earlier documents stay available by resolving with versionTime. KeyID may
+ *       be left out when the DID has a single active key; KeyType defaults to
+ *       the old key's type. did:key DIDs cannot rotate, as the key is the DID.
+ *     tags: [DIDs]
  *     parameters:
  *       - in: path
  *         name: id
  *         schema:
- *           type: integer
+ *           type: string
  *         required: true
- *         description: The document transaction id
+ *         description: The DID
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/DocumentTransaction'
+ *             type: object
+ *             properties:
+ *               KeyID:
+ *                 type: string
+ *                 description: The verification method id of the key to replace
+ *               KeyType:
+ *                 $ref: '#/components/schemas/KeyType'
  *     responses:
  *       200:
- *         description: The document transaction was updated
+ *         description: The DID with its new document
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/DocumentTransaction'
+ *               $ref: '#/components/schemas/DID'
+ *       403:
+ *         description: The caller is not the DID controller
  *       404:
- *         description: Document transaction not found
- *       400:
- *         description: Bad request
+ *         description: DID not found
+ *       409:
+ *         description: The DID is a did:key, or the server holds no keys for it
+ *       410:
+ *         description: The DID has been deactivated
+ *       422:
+ *         description: Unknown key or unsupported key type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  */
-app.put("/documenttransactions/:id", async (req, res) => {
-  try {
-    const transaction = await DocumentTransaction.findByPk(req.params.id);
-    if (transaction) {
-      await transaction.update(req.body);
-      res.status(200).json(transaction);
-    } else {
-      res.status(404).json({ error: "DocumentTransaction not found" });
+app.post(
+  "/dids/:id/keys/rotate",
+  authenticateJWT,
+  authorize("dids:manage", { allowIf: controlsDID }),
+  async (req, res) => {
+    try {
+      const result = await sequelize.transaction(async (transaction) => {
+        const did = await findDIDForUpdate(req, transaction);
+        if (!did) {
+          return { status: 404, body: { error: "DID not found" } };
+        }
+        if (did.Deactivated) {
+          return { status: 410, body: { error: "DID has been deactivated" } };
+        }
+        if (isDIDKey(did.ID)) {
+          return { status: 409, body: { error: "The key of a did:key DID cannot be rotated." } };
+        }
+
+        const keys = await DIDKey.findAll({
+          where: { DIDID: did.ID, RevokedAt: null },
+          transaction,
+        });
+        if (!keys.length) {
+          return {
+            status: 409,
+            body: { error: "The server holds no keys for this DID; update its DIDDocument instead." },
+          };
+        }
+        const { KeyID } = req.body;
+        const current = KeyID ? keys.find((key) => key.KeyID === KeyID) : keys.length === 1 && keys[0];
+        const KeyType = req.body.KeyType || (current && current.Type);
+        const errors = [];
+        if (!current) {
+          errors.push({ field: "KeyID", message: "must name one of the DID's active keys" });
+        }
+        if (KeyType && !KEY_TYPES[KeyType]) {
+          errors.push({ field: "KeyType", message: "must be Ed25519 or secp256k1" });
+        }
+        if (errors.length) {
+          return { errors };
+        }
+
+        const key = generateKeyPair(KeyType);
+        const held = await DIDKey.findAll({ attributes: ["KeyID"], where: { DIDID: did.ID }, transaction });
+        const methodId = unusedKeyId(did.DIDDocument, held.map((heldKey) => heldKey.KeyID));
+        const now = new Date();
+        await storeDIDKey(did.ID, key, methodId, transaction);
+        await current.update({ RevokedAt: now }, { transaction });
+        await did.update(
+          {
+            DIDDocument: replaceVerificationMethod(did.DIDDocument, current.KeyID, {
+              id: methodId,
+              publicKeyMultibase: key.publicKeyMultibase,
+            }),
+            Updated: now,
+          },
+          { transaction }
+        );
+        await recordDIDVersion(did, req.user.id, transaction);
+        await republishStatusLists(did, transaction);
+        return { status: 200, body: did };
+      });
+      if (result.errors) {
+        return sendValidationErrors(res, result.errors);
+      }
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
     }
-  } catch (err) {
-    res.status(400).json({ error: err.message });
   }
-});
+);
+
+const DID_RESOLUTION_CONTEXT = "https://w3id.org/did-resolution/v1";
+const DID_RESOLUTION_CONTENT_TYPE = 'application/ld+json;profile="https://w3id.org/did-resolution"';
+
+// DID resolution result as defined by W3C DID Resolution; the document and its
+// metadata are empty when resolution failed
+function didResolutionResult(didDocument, didResolutionMetadata, didDocumentMetadata = {}) {
+  return {
+    "@context": DID_RESOLUTION_CONTEXT,
+    didDocument,
+    didResolutionMetadata,
+    didDocumentMetadata,
+  };
+}
+
+/**
+ * Pick the version of a DID asked for by versionId or versionTime, or the
+ * latest, and describe it in DID document metadata. Resolves to
+ * { didDocument, didDocumentMetadata }, or null if there is no such version.
+ */
+async function resolveDIDVersion(did, { versionId, versionTime }) {
+  let versions = await DIDVersion.findAll({
+    where: { DIDID: did.ID },
+    order: [["VersionNumber", "ASC"]],
+  });
+  // DIDs registered before versions were kept have none; their row is their
+  // only version
+  if (!versions.length) {
+    versions = [{
+      VersionNumber: 1,
+      DIDDocument: did.DIDDocument,
+      Deactivated: did.Deactivated,
+      Created: did.Updated || did.updatedAt,
+    }];
+  }
+
+  let index = versions.length - 1;
+  if (versionId !== undefined) {
+    index = versions.findIndex((version) => String(version.VersionNumber) === versionId);
+  } else if (versionTime) {
+    index = versions.filter((version) => version.Created <= versionTime).length - 1;
+  }
+  if (index < 0) {
+    return null;
+  }
+
+  const version = versions[index];
+  const next = versions[index + 1];
+  const created = did.Created || did.createdAt;
+  const didDocumentMetadata = {
+    created: created.toISOString(),
+    updated: version.Created.toISOString(),
+    versionId: String(version.VersionNumber),
+    deactivated: version.Deactivated,
+  };
+  if (next) {
+    didDocumentMetadata.nextUpdate = next.Created.toISOString();
+    didDocumentMetadata.nextVersionId = String(next.VersionNumber);
+  }
+
+  // Resources published while this version was current or before
+  const resources = await Resource.findAll({
+    where: next ? { DIDID: did.ID, Created: { [Op.lt]: next.Created } } : { DIDID: did.ID },
+    order: [["Created", "ASC"]],
+  });
+  didDocumentMetadata.linkedResourceMetadata = await serializeResources(resources, { withPayload: false });
+  return { didDocument: version.DIDDocument, didDocumentMetadata };
+}
+
+// The DID in a resolver path. Express decodes parameters, but did:web DIDs
+// keep their port percent-encoded, so prefer the DID exactly as sent.
+function requestedDID(req) {
+  const rawDID = req.path.split("/")[3];
+  return isDID(rawDID) ? rawDID : req.params.did;
+}
+
+// Send a resource's content as its own media type
+function sendResourceContent(res, resource) {
+  res
+    .status(200)
+    .set({
+      ETag: `"${resource.Checksum}"`,
+      // Anyone can publish a resource, so its content must not run as a page
+      // on our origin, as with share links
+      "X-Content-Type-Options": "nosniff",
+      "Content-Security-Policy": "sandbox",
+    })
+    .type(servedMediaType(resource))
+    .send(resource.Payload);
+}
 
 /**
  * @swagger
- * /documenttransactions/{id}:
- *   delete:
- *     summary: Delete a document transaction by id
- *     tags: [DocumentTransactions]
+ * /1.0/identifiers/{did}:
+ *   get:
+ *     summary: Resolve a DID
+ *     description: >
+ *       Public DID resolver. Returns a DID resolution result by default; asking
+ *       for application/did+ld+json or application/did+json returns the DID
+ *       Document alone. Resolves the latest version unless versionId or
+ *       versionTime asks for an earlier one. With resourceName and/or
+ *       resourceType the DID URL is dereferenced to the content of the latest
+ *       matching resource instead, narrowed by resourceVersion or
+ *       resourceVersionTime.
+ *     tags: [DIDs]
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: did
  *         schema:
- *           type: integer
+ *           type: string
  *         required: true
- *         description: The document transaction id
+ *         description: The DID to resolve
+ *       - in: query
+ *         name: versionId
+ *         schema:
+ *           type: string
+ *         description: The version to resolve, as given in didDocumentMetadata.versionId
+ *       - in: query
+ *         name: versionTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Resolve the version that was current at this time
+ *       - in: query
+ *         name: resourceName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resourceVersion
+ *         schema:
+ *           type: string
+ *         description: The Version label of the resource
+ *       - in: query
+ *         name: resourceVersionTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Dereference the resource version that was latest at this time
  *     responses:
- *       204:
- *         description: The document transaction was deleted
+ *       200:
+ *         description: The DID resolution result
+ *         content:
+ *           application/ld+json:
+ *             schema:
+ *               $ref: '#/components/schemas/DIDResolutionResult'
+ *           application/did+ld+json:
+ *             schema:
+ *               $ref: '#/components/schemas/DIDDocument'
+ *       400:
+ *         description: The DID is not valid (invalidDid), or both versionId and versionTime were given or versionTime is not a date (invalidOptions)
  *       404:
- *         description: Document transaction not found
+ *         description: The DID or the requested version was not found (notFound)
+ *       410:
+ *         description: The DID (at the requested version) is deactivated; the result is still returned
+ *       406:
+ *         description: The requested representation is not supported (representationNotSupported)
  */
-app.delete("/documenttransactions/:id", async (req, res) => {
+app.get("/1.0/identifiers/:did", async (req, res) => {
   try {
-    const transaction = await DocumentTransaction.findByPk(req.params.id);
-    if (transaction) {
-      await transaction.destroy();
-      res.status(204).send();
-    } else {
-      res.status(404).json({ error: "DocumentTransaction not found" });
+    const type = req.accepts([
+      "application/ld+json",
+      "application/json",
+      "application/did+ld+json",
+      "application/did+json",
+    ]);
+    if (!type) {
+      return res
+        .status(406)
+        .type(DID_RESOLUTION_CONTENT_TYPE)
+        .send(didResolutionResult(null, { error: "representationNotSupported" }));
+    }
+
+    const id = requestedDID(req);
+    if (!isDID(id)) {
+      return res
+        .status(400)
+        .type(DID_RESOLUTION_CONTENT_TYPE)
+        .send(didResolutionResult(null, { error: "invalidDid" }));
+    }
+
+    const { versionId, versionTime } = req.query;
+    const time = versionTime === undefined ? null : new Date(versionTime);
+    if ((versionId !== undefined && time) || (time && isNaN(time))) {
+      return res
+        .status(400)
+        .type(DID_RESOLUTION_CONTENT_TYPE)
+        .send(didResolutionResult(null, { error: "invalidOptions" }));
+    }
+
+    // A DID URL query naming a resource dereferences to the resource itself
+    const { resourceName, resourceType, resourceVersion, resourceVersionTime } = req.query;
+    if (resourceName !== undefined || resourceType !== undefined) {
+      const resourceTime = resourceVersionTime === undefined ? null : new Date(resourceVersionTime);
+      if (resourceTime && isNaN(resourceTime)) {
+        return res
+          .status(400)
+          .type(DID_RESOLUTION_CONTENT_TYPE)
+          .send(didResolutionResult(null, { error: "invalidOptions" }));
+      }
+      const resource = await findResourceVersion(id, {
+        name: resourceName,
+        type: resourceType,
+        version: resourceVersion,
+        time: resourceTime,
+      });
+      if (!resource) {
+        return res
+          .status(404)
+          .type(DID_RESOLUTION_CONTENT_TYPE)
+          .send(didResolutionResult(null, { error: "notFound" }));
+      }
+      return sendResourceContent(res, resource);
+    }
+
+    // did:key documents are derived from the identifier, so any did:key
+    // resolves whether or not it was generated here
+    let resolved = null;
+    const did = await DID.findByPk(id);
+    if (did) {
+      resolved = await resolveDIDVersion(did, { versionId, versionTime: time });
+      // Rows keep a did:key's versions and resources, never its document
+      if (resolved && isDIDKey(id) && !resolved.didDocumentMetadata.deactivated) {
+        resolved.didDocument = didKeyDocument(id);
+      }
+    } else if (isDIDKey(id) && versionId === undefined && !time) {
+      try {
+        resolved = { didDocument: didKeyDocument(id), didDocumentMetadata: {} };
+      } catch (err) {
+        return res
+          .status(400)
+          .type(DID_RESOLUTION_CONTENT_TYPE)
+          .send(didResolutionResult(null, { error: "invalidDid" }));
+      }
+    }
+    if (!resolved) {
+      return res
+        .status(404)
+        .type(DID_RESOLUTION_CONTENT_TYPE)
+        .send(didResolutionResult(null, { error: "notFound" }));
+    }
+
+    const status = resolved.didDocumentMetadata.deactivated ? 410 : 200;
+    if (type === "application/did+ld+json" || type === "application/did+json") {
+      return res.status(status).type(type).send(resolved.didDocument);
     }
+    res
+      .status(status)
+      .type(DID_RESOLUTION_CONTENT_TYPE)
+      .send(didResolutionResult(
+        resolved.didDocument,
+        { contentType: "application/did+ld+json" },
+        resolved.didDocumentMetadata
+      ));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /1.0/identifiers/{did}/resources/{resourceId}:
+ *   get:
+ *     summary: Dereference a DID-Linked Resource
+ *     description: Returns the resource's content with its own media type.
+ *     tags: [Resources]
+ *     parameters:
+ *       - in: path
+ *         name: did
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The resource content
+ *       404:
+ *         description: Resource not found
+ */
+app.get("/1.0/identifiers/:did/resources/:resourceId", async (req, res) => {
+  try {
+    const resource = await Resource.findOne({
+      where: { ResourceID: req.params.resourceId, DIDID: requestedDID(req) },
+    });
+    if (!resource) {
+      return res.status(404).json({ error: "Resource not found" });
+    }
+    sendResourceContent(res, resource);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// did:web documents of DIDs registered under this server's domain
+async function sendDIDWebDocument(req, res, segments) {
+  try {
+    const did = await DID.findByPk(didWebId(config.didWebDomain, segments));
+    if (!did) {
+      return res.status(404).json({ error: "DID not found" });
+    }
+    if (did.Deactivated) {
+      return res.status(410).json({ error: "DID has been deactivated" });
+    }
+    res.status(200).type("application/did+json").send(did.DIDDocument);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * @swagger
+ * /.well-known/did.json:
+ *   get:
+ *     summary: The did:web DID Document of this server's domain
+ *     tags: [DIDs]
+ *     responses:
+ *       200:
+ *         description: The DID Document
+ *         content:
+ *           application/did+json:
+ *             schema:
+ *               $ref: '#/components/schemas/DIDDocument'
+ *       404:
+ *         description: DID not found
+ *       410:
+ *         description: The DID has been deactivated
+ *       503:
+ *         description: DID_WEB_DOMAIN is not configured
+ */
+app.get("/.well-known/did.json", requireDIDWebDomain, (req, res) => sendDIDWebDocument(req, res, []));
+
+/**
+ * @swagger
+ * /{path}/did.json:
+ *   get:
+ *     summary: The DID Document of a path-based did:web DID
+ *     description: /users/alice/did.json serves did:web:{domain}:users:alice.
+ *     tags: [DIDs]
+ *     parameters:
+ *       - in: path
+ *         name: path
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: One or more /-separated path segments
+ *     responses:
+ *       200:
+ *         description: The DID Document
+ *         content:
+ *           application/did+json:
+ *             schema:
+ *               $ref: '#/components/schemas/DIDDocument'
+ *       404:
+ *         description: DID not found
+ *       410:
+ *         description: The DID has been deactivated
+ *       503:
+ *         description: DID_WEB_DOMAIN is not configured
+ */
+app.get(/^\/(.+)\/did\.json$/, requireDIDWebDomain, (req, res) => {
+  const segments = req.params[0].split("/");
+  if (!segments.every((segment) => DID_WEB_SEGMENT.test(segment))) {
+    return res.status(404).json({ error: "DID not found" });
+  }
+  sendDIDWebDocument(req, res, segments);
+});
+
+// CRUD Operations for Documents
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Document:
+ *       type: object
+ *       properties:
+ *         DocumentID:
+ *           type: integer
+ *           description: The auto-generated id of the document
+ *         OwnerID:
+ *           type: integer
+ *           description: The id of the owning user, taken from the access token
+ *         DocumentType:
+ *           type: string
+ *           description: What the document is, e.g. aadhaar or pan; consent requests ask for documents by type
+ *         MimeType:
+ *           type: string
+ *           description: The MIME type of the uploaded content
+ *         FileName:
+ *           type: string
+ *           description: The original file name of the uploaded content
+ *         Size:
+ *           type: integer
+ *           description: The content length in bytes
+ *         SHA256:
+ *           type: string
+ *           description: Hex SHA-256 digest of the content, also used as its ETag
+ *         Created:
+ *           type: string
+ *           format: date-time
+ *         Updated:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         DocumentID: 1
+ *         OwnerID: 1
+ *         DocumentType: aadhaar
+ *     DocumentGrant:
+ *       type: object
+ *       properties:
+ *         GrantID:
+ *           type: integer
+ *           description: The auto-generated id of the grant
+ *         DocumentID:
+ *           type: integer
+ *         GranteeUserID:
+ *           type: integer
+ *           description: The user given access (either this or GranteeDID)
+ *         GranteeDID:
+ *           type: string
+ *           description: The DID given access, which must be registered here; applies to whoever controls it
+ *         CanRead:
+ *           type: boolean
+ *         CanWrite:
+ *           type: boolean
+ *         CanShare:
+ *           type: boolean
+ *           description: Whether the grantee may grant access to others
+ *         GrantedBy:
+ *           type: integer
+ *         ExpiresAt:
+ *           type: string
+ *           format: date-time
+ *         ConsentID:
+ *           type: string
+ *           readOnly: true
+ *           description: The consent request whose approval made the grant, if any
+ *       example:
+ *         GrantID: 1
+ *         DocumentID: 1
+ *         GranteeUserID: 2
+ *         CanRead: true
+ *         CanWrite: false
+ *         CanShare: false
+ *         ExpiresAt: 2030-01-01T00:00:00.000Z
+ */
+
+// Fields a client may set through the JSON routes. Ownership is taken from the
+// token and content is only written through /documents/{id}/content.
+const DOCUMENT_READONLY_FIELDS = [
+  "DocumentID",
+  "OwnerID",
+  "Content",
+  "MimeType",
+  "FileName",
+  "Size",
+  "SHA256",
+  "StorageDriver",
+  "StorageKey",
+  "DataKey",
+];
+
+function documentFields(body) {
+  const fields = { ...body };
+  DOCUMENT_READONLY_FIELDS.forEach((field) => delete fields[field]);
+  return fields;
+}
+
+// What GET /documents can filter, sort and select by
+const DOCUMENT_LIST = {
+  key: "DocumentID",
+  sort: "DocumentID",
+  sortable: { DocumentID: "integer", OwnerID: "integer", createdAt: "date", updatedAt: "date" },
+  filters: {
+    OwnerID: "integer",
+    DocumentType: "string",
+    MimeType: "string",
+    createdAt: "date",
+    updatedAt: "date",
+  },
+  fields: [
+    "DocumentID",
+    "OwnerID",
+    "DocumentType",
+    "MimeType",
+    "FileName",
+    "Size",
+    "SHA256",
+    "StorageDriver",
+    "StorageKey",
+    "Created",
+    "Updated",
+    "createdAt",
+    "updatedAt",
+  ],
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Documents
+ *   description: Document management
+ */
+
+// Create a document owned by req.params.id on nested routes, else the caller
+async function createDocument(req, res) {
+  try {
+    const document = await sequelize.transaction(async (transaction) => {
+      const created = await Document.create(
+        { ...documentFields(req.body), OwnerID: req.params.id ? Number(req.params.id) : req.user.id },
+        { transaction }
+      );
+      await appendTransaction(created.DocumentID, { ActorID: req.user.id, Action: "document.created" }, transaction);
+      return created;
+    });
+    res.status(201).json(document);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+/**
+ * @swagger
+ * /documents:
+ *   post:
+ *     summary: Create a new document owned by the caller
+ *     tags: [Documents]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Document'
+ *     responses:
+ *       201:
+ *         description: The document was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Bad request
+ */
+app.post("/documents", authenticateJWT, createDocument);
+
+// Send a page of the documents matching req.list within `where`, with the
+// relations asked for in ?include=
+async function sendDocumentPage(req, res, where) {
+  const page = await findPage(Document, req.list, { where });
+  const embed = await loadIncludes(req, Document, page.rows);
+  setPageHeaders(req, res, page);
+  res.status(200).json(page.rows.map((document) => embed(document, pickFields(req.list, document.toJSON()))));
+}
+
+/**
+ * @swagger
+ * /documents:
+ *   get:
+ *     summary: Returns the documents the caller owns or has been granted
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           enum: [transactions]
+ *         description: Embed the document's transactions, as DocumentTransactions
+ *       - in: query
+ *         name: OwnerID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: DocumentType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: MimeType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdAt
+ *         style: deepObject
+ *         schema:
+ *           $ref: '#/components/schemas/Range'
+ *       - in: query
+ *         name: updatedAt
+ *         style: deepObject
+ *         schema:
+ *           $ref: '#/components/schemas/Range'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: The list of the documents, sortable by DocumentID, OwnerID, createdAt and updatedAt
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Document'
+ *       422:
+ *         description: Invalid list parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Some server error
+ */
+app.get("/documents", authenticateJWT, listQuery(DOCUMENT_LIST), includeQuery(Document), async (req, res) => {
+  try {
+    await sendDocumentPage(req, res, await visibleDocumentsWhere(req));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/documents:
+ *   get:
+ *     summary: Returns a user's documents that the caller owns or has been granted
+ *     description: Takes the same filters as GET /documents.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The user id
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           enum: [transactions]
+ *         description: Embed the document's transactions, as DocumentTransactions
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: The user's documents
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Document'
+ *       404:
+ *         description: User not found
+ *       422:
+ *         description: Invalid list parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+app.get(
+  "/users/:id/documents",
+  authenticateJWT,
+  findParent(User),
+  listQuery(DOCUMENT_LIST),
+  includeQuery(Document),
+  async (req, res) => {
+    try {
+      await sendDocumentPage(req, res, {
+        [Op.and]: [{ OwnerID: Number(req.params.id) }, await visibleDocumentsWhere(req)],
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /users/{id}/documents:
+ *   post:
+ *     summary: Create a document owned by a user
+ *     description: >
+ *       Like POST /documents, with the owner taken from the path. Users may
+ *       create documents for themselves; others need users:update.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The user id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Document'
+ *     responses:
+ *       201:
+ *         description: The document was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: The caller may not create documents for this user
+ *       404:
+ *         description: User not found
+ */
+app.post(
+  "/users/:id/documents",
+  authenticateJWT,
+  authorize("users:update", { allowIf: isSelf }),
+  findParent(User),
+  createDocument
+);
+
+/**
+ * @swagger
+ * /documents/{id}:
+ *   get:
+ *     summary: Get a document by id
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           enum: [transactions]
+ *         description: Embed the document's transactions, as DocumentTransactions
+ *     responses:
+ *       200:
+ *         description: The document description by id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Document'
+ *       404:
+ *         description: Document not found
+ */
+app.get("/documents/:id", authenticateJWT, includeQuery(Document), authorizeDocument("read"), async (req, res) => {
+  try {
+    const embed = await loadIncludes(req, Document, [req.document]);
+    res.status(200).json(embed(req.document, req.document.toJSON()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /documents/{id}:
+ *   put:
+ *     summary: Update a document by id
+ *     description: Requires ownership or a write grant. OwnerID cannot be changed.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Document'
+ *     responses:
+ *       200:
+ *         description: The document was updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Document'
+ *       403:
+ *         description: The caller may not modify this document
+ *       404:
+ *         description: Document not found
+ *       400:
+ *         description: Bad request
+ */
+app.put("/documents/:id", authenticateJWT, authorizeDocument("write"), async (req, res) => {
+  try {
+    const fields = documentFields(req.body);
+    await sequelize.transaction(async (transaction) => {
+      await req.document.update(fields, { transaction });
+      await appendTransaction(req.document.DocumentID, {
+        ActorID: req.user.id,
+        Action: "document.updated",
+        TransactionData: { fields: Object.keys(fields) },
+      }, transaction);
+    });
+    res.status(200).json(req.document);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /documents/{id}:
+ *   delete:
+ *     summary: Delete a document by id
+ *     description: Only the owner may delete a document.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *     responses:
+ *       204:
+ *         description: The document was deleted
+ *       403:
+ *         description: The caller does not own this document
+ *       404:
+ *         description: Document not found
+ */
+app.delete("/documents/:id", authenticateJWT, authorizeDocument("owner"), async (req, res) => {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      const where = { DocumentID: req.document.DocumentID };
+      await appendTransaction(req.document.DocumentID, { ActorID: req.user.id, Action: "document.deleted" }, transaction);
+      await DocumentGrant.destroy({ where, transaction });
+      await DocumentShare.destroy({ where, transaction });
+      await req.document.destroy({ transaction });
+    });
+    // The content goes once the row is gone for good
+    if (req.document.SHA256) {
+      await getDocumentStorage(req.document).remove(req.document);
+    }
+    res.status(204).send();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /documents/{id}/content:
+ *   post:
+ *     summary: Upload the content of a document
+ *     description: >
+ *       Accepts either multipart/form-data with a "file" field, or the raw bytes
+ *       with their own Content-Type and the file name in an X-Filename header.
+ *       Replaces any existing content.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *       - in: header
+ *         name: X-Filename
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: URI-encoded original file name for raw uploads
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: The content was stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Empty or malformed upload
+ *       403:
+ *         description: The caller may not modify this document
+ *       404:
+ *         description: Document not found
+ *       413:
+ *         description: The file is too large
+ */
+app.post(
+  "/documents/:id/content",
+  authenticateJWT,
+  authorizeDocument("write"),
+  receiveUpload(),
+  async (req, res) => {
+    try {
+      const { stream, summary, mimeType, fileName } = req.upload;
+      const { document } = req;
+      const previous = { ...document.get() };
+      const storage = getStorage();
+
+      const { wrappedKey, transform } = createContentEncryption();
+      const ciphertext = pipeline(stream, transform, () => {});
+      await sequelize.transaction(async (transaction) => {
+        const StorageKey = await storage.write(document, ciphertext, { mimeType, transaction });
+        const { size, sha256 } = summary;
+        await document.update({
+          MimeType: mimeType || "application/octet-stream",
+          FileName: fileName,
+          Size: size,
+          SHA256: sha256,
+          StorageDriver: storage.name,
+          StorageKey,
+          DataKey: wrappedKey,
+          Updated: new Date(),
+        }, { transaction });
+        await appendTransaction(document.DocumentID, {
+          ActorID: req.user.id,
+          Action: "content.uploaded",
+          TransactionData: { FileName: fileName, MimeType: document.MimeType, Size: size },
+        }, transaction);
+      });
+
+      // Drop the replaced bytes unless they were overwritten in place
+      if (
+        previous.SHA256 &&
+        (getDocumentStorage(previous) !== storage || previous.StorageKey !== document.StorageKey)
+      ) {
+        await getDocumentStorage(previous).remove(previous);
+      }
+      res.status(200).json(document);
+    } catch (err) {
+      // Whatever is left of the upload is read and dropped
+      req.upload.stream.destroy();
+      res.status(err.status || 400).json({ error: err.message });
+    }
+  }
+);
+
+// A stream of a document's content, or of a byte range of it, decrypted if
+// it was stored encrypted. Content stored before encryption was introduced
+// has no DataKey.
+async function readDocumentContent(document, range) {
+  const decryption = document.DataKey
+    ? createContentDecryption(document.DataKey, Number(document.Size), range || {})
+    : null;
+  const stream = await getDocumentStorage(document).read(
+    document,
+    decryption ? decryption.range : range || {}
+  );
+  return decryption ? pipeline(stream, decryption.transform, () => {}) : stream;
+}
+
+/**
+ * @swagger
+ * /documents/{id}/content:
+ *   get:
+ *     summary: Download the content of a document
+ *     description: >
+ *       Supports conditional requests through If-None-Match against the
+ *       SHA-256 ETag, and single byte ranges through the Range header.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: A single byte range, e.g. bytes=0-1023
+ *     responses:
+ *       200:
+ *         description: The full content
+ *       206:
+ *         description: The requested byte range
+ *       304:
+ *         description: The content matches the given ETag
+ *       404:
+ *         description: Document or content not found
+ *       416:
+ *         description: The requested range cannot be satisfied
+ */
+app.get("/documents/:id/content", authenticateJWT, authorizeDocument("read"), async (req, res) => {
+  try {
+    const { document } = req;
+    if (!document.SHA256) {
+      return res.status(404).json({ error: "Document has no content" });
+    }
+
+    const size = Number(document.Size);
+    res.attachment(document.FileName || `document-${document.DocumentID}`);
+    res.set({
+      "Content-Type": document.MimeType || "application/octet-stream",
+      ETag: `"${document.SHA256}"`,
+      "Accept-Ranges": "bytes",
+      "Last-Modified": (document.Updated || document.updatedAt).toUTCString(),
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // Honour Range only when If-Range is absent or still matches this content
+    const ifRange = req.headers["if-range"];
+    const ranges = req.headers.range && (!ifRange || ifRange === res.get("ETag"))
+      ? req.range(size, { combine: true })
+      : undefined;
+    if (ranges === -1) {
+      res.set("Content-Range", `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    // Multiple ranges are answered with the whole body rather than multipart
+    const range = Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1
+      ? ranges[0]
+      : null;
+    const stream = await readDocumentContent(document, range);
+    if (range) {
+      res.status(206).set({
+        "Content-Range": `bytes ${range.start}-${range.end}/${size}`,
+        "Content-Length": String(range.end - range.start + 1),
+      });
+    } else {
+      res.status(200).set("Content-Length", String(size));
+    }
+    pipeline(stream, res, () => {});
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /documents/{id}/grants:
+ *   post:
+ *     summary: Grant another user or DID access to a document
+ *     description: >
+ *       Requires ownership or a grant with CanShare. A re-sharer cannot pass on
+ *       write access they do not have, nor grant access that outlives their own.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DocumentGrant'
+ *     responses:
+ *       201:
+ *         description: The grant was created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DocumentGrant'
+ *       400:
+ *         description: Bad request, or GranteeDID is not a registered, active DID
+ *       403:
+ *         description: The caller may not share this document
+ *       404:
+ *         description: Document not found
+ */
+app.post("/documents/:id/grants", authenticateJWT, authorizeDocument("share"), async (req, res) => {
+  try {
+    const { GranteeUserID, GranteeDID, CanWrite = false, CanShare = false } = req.body;
+    if (!GranteeUserID === !GranteeDID) {
+      return res.status(400).json({ error: "Exactly one of GranteeUserID or GranteeDID is required." });
+    }
+    if (CanWrite && !req.documentAccess.write) {
+      return res.status(403).json({ error: "Cannot grant write access you do not have." });
+    }
+    // Grants to a DID apply to its controller, so the DID must already have
+    // one; otherwise whoever registered it next would inherit the grant
+    if (GranteeDID) {
+      const did = await DID.findByPk(String(GranteeDID), { attributes: ["Controller", "Deactivated"] });
+      if (!did || !did.Controller || did.Deactivated) {
+        return res.status(400).json({ error: "GranteeDID must be a registered, active DID." });
+      }
+    }
+
+    const ExpiresAt = req.body.ExpiresAt ? new Date(req.body.ExpiresAt) : null;
+    if (ExpiresAt && (isNaN(ExpiresAt) || ExpiresAt <= new Date())) {
+      return res.status(400).json({ error: "ExpiresAt must be a future date." });
+    }
+    const cap = req.documentAccess.shareExpiresAt;
+    if (cap && (!ExpiresAt || ExpiresAt > cap)) {
+      return res.status(403).json({ error: "Cannot grant access beyond your own expiry." });
+    }
+
+    const grant = await DocumentGrant.create({
+      DocumentID: req.document.DocumentID,
+      GranteeUserID: GranteeUserID || null,
+      GranteeDID: GranteeDID || null,
+      CanRead: true,
+      CanWrite: Boolean(CanWrite),
+      CanShare: Boolean(CanShare),
+      GrantedBy: req.user.id,
+      ExpiresAt,
+    });
+    res.status(201).json(grant);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /documents/{id}/grants:
+ *   get:
+ *     summary: List the grants on a document
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *     responses:
+ *       200:
+ *         description: The grants on the document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DocumentGrant'
+ *       403:
+ *         description: The caller may not share this document
+ *       404:
+ *         description: Document not found
+ */
+app.get("/documents/:id/grants", authenticateJWT, authorizeDocument("share"), async (req, res) => {
+  try {
+    const grants = await DocumentGrant.findAll({
+      where: { DocumentID: req.document.DocumentID },
+    });
+    res.status(200).json(grants);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /documents/{id}/grants/{grantId}:
+ *   delete:
+ *     summary: Revoke a grant
+ *     description: The owner may revoke any grant; a re-sharer only the grants they made.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *       - in: path
+ *         name: grantId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The grant id
+ *     responses:
+ *       204:
+ *         description: The grant was revoked
+ *       403:
+ *         description: The caller may not revoke this grant
+ *       404:
+ *         description: Grant not found
+ */
+app.delete("/documents/:id/grants/:grantId", authenticateJWT, authorizeDocument("share"), async (req, res) => {
+  try {
+    const grant = await DocumentGrant.findOne({
+      where: { GrantID: req.params.grantId, DocumentID: req.document.DocumentID },
+    });
+    if (!grant) {
+      return res.status(404).json({ error: "Grant not found" });
+    }
+    if (!req.documentAccess.owner && grant.GrantedBy !== req.user.id) {
+      return res.sendStatus(403);
+    }
+    await grant.destroy();
+    res.status(204).send();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// Share links for documents
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DocumentShare:
+ *       type: object
+ *       properties:
+ *         ShareID:
+ *           type: string
+ *           readOnly: true
+ *         DocumentID:
+ *           type: integer
+ *           readOnly: true
+ *         ExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Defaults to 7 days from now; at most 30 days away
+ *         PIN:
+ *           type: string
+ *           writeOnly: true
+ *           description: 4 to 8 digits the recipient must send as X-Share-PIN
+ *         RequirePIN:
+ *           type: boolean
+ *           readOnly: true
+ *         RequireOTP:
+ *           type: boolean
+ *           description: >
+ *             Require a one-time password, created by the owner through
+ *             /documents/{id}/shares/{shareId}/otp, sent as X-Share-OTP
+ *         MaxDownloads:
+ *           type: integer
+ *           description: How many times the link may be used; unlimited when absent
+ *         Downloads:
+ *           type: integer
+ *           readOnly: true
+ *         ViewOnly:
+ *           type: boolean
+ *           description: Serve the content inline for viewing rather than as a download
+ *         FailedAttempts:
+ *           type: integer
+ *           readOnly: true
+ *         RevokedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         CreatedBy:
+ *           type: integer
+ *           readOnly: true
+ *       example:
+ *         ShareID: 1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed
+ *         DocumentID: 1
+ *         ExpiresAt: 2026-01-08T00:00:00.000Z
+ *         RequirePIN: true
+ *         RequireOTP: false
+ *         MaxDownloads: 3
+ *         Downloads: 0
+ *         ViewOnly: true
+ *     CreatedDocumentShare:
+ *       allOf:
+ *         - $ref: '#/components/schemas/DocumentShare'
+ *         - type: object
+ *           properties:
+ *             Token:
+ *               type: string
+ *               description: The signed token of the link; only returned when the share is created
+ *             URL:
+ *               type: string
+ *               description: The link to give the recipient
+ */
+
+const SHARE_DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SHARE_MAX_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SHARE_OTP_TTL_MS = 10 * 60 * 1000;
+// Wrong PINs or OTPs after which a share link stops working for good
+const MAX_FAILED_SHARE_ATTEMPTS = 5;
+
+function checkShareRequest(body) {
+  const { ExpiresAt, PIN, RequireOTP, MaxDownloads, ViewOnly } = body;
+  const errors = [];
+  if (ExpiresAt !== undefined && ExpiresAt !== null) {
+    const expiresAt = new Date(ExpiresAt);
+    if (isNaN(expiresAt) || expiresAt <= new Date()) {
+      errors.push({ field: "ExpiresAt", message: "must be a future date" });
+    } else if (expiresAt - Date.now() > SHARE_MAX_TTL_MS) {
+      errors.push({ field: "ExpiresAt", message: "must be at most 30 days away" });
+    }
+  }
+  if (PIN !== undefined && PIN !== null && !/^\d{4,8}$/.test(PIN)) {
+    errors.push({ field: "PIN", message: "must be 4 to 8 digits" });
+  }
+  if (MaxDownloads !== undefined && MaxDownloads !== null && !(Number.isInteger(MaxDownloads) && MaxDownloads > 0)) {
+    errors.push({ field: "MaxDownloads", message: "must be a positive integer" });
+  }
+  ["RequireOTP", "ViewOnly"].forEach((field) => {
+    if (body[field] !== undefined && typeof body[field] !== "boolean") {
+      errors.push({ field, message: "must be a boolean" });
+    }
+  });
+  return errors;
+}
+
+// Load req.params.shareId of req.document, or send a 404
+async function findShare(req, res) {
+  const share = await DocumentShare.findOne({
+    where: { ShareID: req.params.shareId, DocumentID: req.document.DocumentID },
+  });
+  if (!share) {
+    res.status(404).json({ error: "Share not found" });
+  }
+  return share;
+}
+
+// Why a share link cannot be used at all, whatever PIN or OTP is sent, as
+// { status, error }, or null
+function shareUnavailable(share) {
+  if (share.RevokedAt) {
+    return { status: 410, error: "The share link has been revoked" };
+  }
+  if (share.ExpiresAt <= new Date()) {
+    return { status: 410, error: "The share link has expired" };
+  }
+  if (share.FailedAttempts >= MAX_FAILED_SHARE_ATTEMPTS) {
+    return { status: 423, error: "The share link is locked after too many failed attempts" };
+  }
+  if (share.MaxDownloads && share.Downloads >= share.MaxDownloads) {
+    return { status: 410, error: "The share link has been used the maximum number of times" };
+  }
+  return null;
+}
+
+/**
+ * Decide whether a share link may be used now, with the PIN and OTP sent in
+ * the request headers. Call within the transaction that locked the share.
+ * Wrong PINs and OTPs count towards locking the link. On success the OTP is
+ * used up and the download counted. Returns null when access is allowed,
+ * otherwise { status, error }.
+ */
+async function checkShareAccess(share, req, transaction) {
+  const unavailable = shareUnavailable(share);
+  if (unavailable) {
+    return unavailable;
+  }
+
+  const pin = req.get("X-Share-PIN");
+  const otp = req.get("X-Share-OTP");
+  if ((share.PinHash && !pin) || (share.RequireOTP && !otp)) {
+    return { status: 401, error: share.PinHash && !pin ? "PIN required" : "OTP required" };
+  }
+  const pinValid = !share.PinHash || (await bcrypt.compare(pin, share.PinHash));
+  const otpValid = !share.RequireOTP
+    || (share.OTPHash && share.OTPExpiresAt > new Date() && (await bcrypt.compare(otp, share.OTPHash)));
+  if (!pinValid || !otpValid) {
+    await share.increment("FailedAttempts", { transaction });
+    return { status: 401, error: !pinValid ? "Incorrect PIN" : "Incorrect or expired OTP" };
+  }
+
+  await share.update(
+    {
+      Downloads: share.Downloads + 1,
+      ...(share.RequireOTP ? { OTPHash: null, OTPExpiresAt: null } : {}),
+    },
+    { transaction }
+  );
+  return null;
+}
+
+/**
+ * @swagger
+ * /documents/{id}/shares:
+ *   post:
+ *     summary: Create a share link for a document
+ *     description: >
+ *       Owner only. Creates a signed link to the document's content for
+ *       someone without an account, valid until ExpiresAt. It may require a
+ *       PIN and/or a one-time password, and be limited to a number of uses.
+ *       The token is only returned here.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DocumentShare'
+ *     responses:
+ *       201:
+ *         description: The share link was created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CreatedDocumentShare'
+ *       403:
+ *         description: The caller does not own the document
+ *       404:
+ *         description: Document not found
+ *       409:
+ *         description: The document has no content
+ *       422:
+ *         description: Invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+app.post("/documents/:id/shares", authenticateJWT, authorizeDocument("owner"), async (req, res) => {
+  try {
+    const errors = checkShareRequest(req.body);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    if (!req.document.SHA256) {
+      return res.status(409).json({ error: "The document has no content to share" });
+    }
+
+    const { PIN, RequireOTP = false, MaxDownloads = null, ViewOnly = false } = req.body;
+    const share = await DocumentShare.create({
+      DocumentID: req.document.DocumentID,
+      CreatedBy: req.user.id,
+      ExpiresAt: req.body.ExpiresAt ? new Date(req.body.ExpiresAt) : new Date(Date.now() + SHARE_DEFAULT_TTL_MS),
+      PinHash: PIN ? await bcrypt.hash(PIN, 10) : null,
+      RequireOTP,
+      MaxDownloads,
+      ViewOnly,
+    });
+    await appendTransaction(req.document.DocumentID, {
+      ActorID: req.user.id,
+      Action: "share.created",
+      TransactionData: { ShareID: share.ShareID, ExpiresAt: share.ExpiresAt, MaxDownloads, ViewOnly },
+    });
+
+    const Token = generateShareToken(share.ShareID, share.ExpiresAt);
+    res.status(201).json({ ...share.toJSON(), Token, URL: `${config.publicBaseUrl}/s/${Token}` });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /documents/{id}/shares:
+ *   get:
+ *     summary: List the share links of a document
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *     responses:
+ *       200:
+ *         description: The document's share links, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DocumentShare'
+ *       403:
+ *         description: The caller does not own the document
+ *       404:
+ *         description: Document not found
+ */
+app.get("/documents/:id/shares", authenticateJWT, authorizeDocument("owner"), async (req, res) => {
+  try {
+    const shares = await DocumentShare.findAll({
+      where: { DocumentID: req.document.DocumentID },
+      order: [["createdAt", "DESC"]],
+    });
+    res.status(200).json(shares);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /documents/{id}/shares/{shareId}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     description: The link stops working at once. The share is kept for the record.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *       - in: path
+ *         name: shareId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The share id
+ *     responses:
+ *       204:
+ *         description: The share link was revoked
+ *       403:
+ *         description: The caller does not own the document
+ *       404:
+ *         description: Share not found
+ *       410:
+ *         description: The share link was already revoked
+ */
+app.delete("/documents/:id/shares/:shareId", authenticateJWT, authorizeDocument("owner"), async (req, res) => {
+  try {
+    const share = await findShare(req, res);
+    if (!share) {
+      return;
+    }
+    if (share.RevokedAt) {
+      return res.status(410).json({ error: "The share link has already been revoked" });
+    }
+    await share.update({ RevokedAt: new Date() });
+    await appendTransaction(req.document.DocumentID, {
+      ActorID: req.user.id,
+      Action: "share.revoked",
+      TransactionData: { ShareID: share.ShareID },
+    });
+    res.status(204).send();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /documents/{id}/shares/{shareId}/otp:
+ *   post:
+ *     summary: Create a one-time password for a share link
+ *     description: >
+ *       For links with RequireOTP. The owner passes the password on to the
+ *       recipient, who can use the link once with it within 10 minutes.
+ *       Creating a new password replaces the previous one.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *       - in: path
+ *         name: shareId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The share id
+ *     responses:
+ *       201:
+ *         description: The one-time password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 OTP:
+ *                   type: string
+ *                 ExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       403:
+ *         description: The caller does not own the document
+ *       404:
+ *         description: Share not found
+ *       409:
+ *         description: The share link does not use one-time passwords
+ *       410:
+ *         description: The share link has been revoked or has expired
+ */
+app.post("/documents/:id/shares/:shareId/otp", authenticateJWT, authorizeDocument("owner"), async (req, res) => {
+  try {
+    const share = await findShare(req, res);
+    if (!share) {
+      return;
+    }
+    if (!share.RequireOTP) {
+      return res.status(409).json({ error: "The share link does not use one-time passwords" });
+    }
+    if (share.RevokedAt || share.ExpiresAt <= new Date()) {
+      return res.status(410).json({ error: "The share link has been revoked or has expired" });
+    }
+
+    const OTP = String(crypto.randomInt(1000000)).padStart(6, "0");
+    const ExpiresAt = new Date(Date.now() + SHARE_OTP_TTL_MS);
+    await share.update({ OTPHash: await bcrypt.hash(OTP, 10), OTPExpiresAt: ExpiresAt });
+    res.status(201).json({ OTP, ExpiresAt });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The headers of a share link's content, for GET and HEAD
+function setShareHeaders(res, share, document) {
+  const fileName = document.FileName || `document-${document.DocumentID}`;
+  res.set({
+    "Content-Type": document.MimeType || "application/octet-stream",
+    "Content-Length": String(Number(document.Size)),
+    "Cache-Control": "no-store",
+    "X-Content-Type-Options": "nosniff",
+  });
+  if (share.ViewOnly) {
+    // Inline, and sandboxed so active content cannot run on our origin
+    res.set({
+      "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+      "Content-Security-Policy": "sandbox",
+    });
+  } else {
+    res.attachment(fileName);
+  }
+}
+
+/**
+ * @swagger
+ * /s/{token}:
+ *   head:
+ *     summary: Check a share link without opening it
+ *     description: >
+ *       Public. Answers as GET would, without the content, but does not count
+ *       a download, use up a one-time password or record an attempt, so link
+ *       previews and scanners do not use links up. PINs and one-time
+ *       passwords are not checked: links that need them answer 401.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The link can be opened
+ *       401:
+ *         description: The link needs a PIN or one-time password
+ *       404:
+ *         description: The link is not valid
+ *       410:
+ *         description: The link has expired, been revoked or been used up, or the document is gone
+ *       423:
+ *         description: The link is locked after too many failed attempts
+ */
+app.head("/s/:token", async (req, res) => {
+  try {
+    let claims;
+    try {
+      claims = verifyShareToken(req.params.token);
+    } catch (err) {
+      return res.status(err.name === "TokenExpiredError" ? 410 : 404).end();
+    }
+    const share = await DocumentShare.findByPk(claims.sub);
+    if (!share) {
+      return res.status(404).end();
+    }
+    const document = await Document.findByPk(share.DocumentID);
+    if (!document || !document.SHA256) {
+      return res.status(410).end();
+    }
+    const unavailable = shareUnavailable(share);
+    if (unavailable) {
+      return res.status(unavailable.status).end();
+    }
+    if (share.PinHash || share.RequireOTP) {
+      return res.status(401).end();
+    }
+    setShareHeaders(res, share, document);
+    res.status(200).end();
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+/**
+ * @swagger
+ * /s/{token}:
+ *   get:
+ *     summary: Open a share link
+ *     description: >
+ *       Public. Returns the shared document's content, as an attachment or, for
+ *       view-only links, inline. Links with a PIN or one-time password need
+ *       them in the X-Share-PIN and X-Share-OTP headers; five wrong attempts
+ *       lock the link. Every attempt on a valid link is recorded in the
+ *       document's transactions.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: header
+ *         name: X-Share-PIN
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Share-OTP
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The document content
+ *       401:
+ *         description: A PIN or one-time password is missing or wrong
+ *       404:
+ *         description: The link is not valid
+ *       410:
+ *         description: The link has expired, been revoked or been used up, or the document is gone
+ *       423:
+ *         description: The link is locked after too many failed attempts
+ */
+app.get("/s/:token", async (req, res) => {
+  try {
+    let claims;
+    try {
+      claims = verifyShareToken(req.params.token);
+    } catch (err) {
+      return err.name === "TokenExpiredError"
+        ? res.status(410).json({ error: "The share link has expired" })
+        : res.status(404).json({ error: "Share link not found" });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      // Locking the share keeps concurrent requests within MaxDownloads
+      const share = await DocumentShare.findByPk(claims.sub, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!share) {
+        return { status: 404, error: "Share link not found" };
+      }
+      const document = await Document.findByPk(share.DocumentID, { transaction });
+      if (!document || !document.SHA256) {
+        return { share, status: 410, error: "The shared document is no longer available" };
+      }
+      const denied = await checkShareAccess(share, req, transaction);
+      return denied ? { share, ...denied } : { share, document };
+    });
+
+    const { share, document } = result;
+    if (share) {
+      await appendTransaction(share.DocumentID, {
+        ActorID: null,
+        Action: document ? "share.accessed" : "share.denied",
+        TransactionData: {
+          ShareID: share.ShareID,
+          IP: req.ip,
+          UserAgent: req.get("User-Agent") || null,
+          ...(document ? { Download: share.Downloads } : { Reason: result.error }),
+        },
+      });
+    }
+    if (!document) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    setShareHeaders(res, share, document);
+    pipeline(await readDocumentContent(document), res, () => {});
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Consent requests: verifiers ask users for documents
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ConsentRequest:
+ *       type: object
+ *       required:
+ *         - Purpose
+ *         - DocumentTypes
+ *         - DurationDays
+ *       properties:
+ *         ConsentID:
+ *           type: string
+ *           readOnly: true
+ *         RequesterID:
+ *           type: integer
+ *           readOnly: true
+ *           description: The verifier who asked
+ *         SubjectUserID:
+ *           type: integer
+ *           description: The user asked (either this or SubjectDID)
+ *         SubjectDID:
+ *           type: string
+ *           writeOnly: true
+ *           description: A DID controlled by the user asked
+ *         Purpose:
+ *           type: string
+ *           description: Why the verifier needs the documents, shown to the user
+ *         DocumentTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: The DocumentType values the user may share
+ *         DurationDays:
+ *           type: integer
+ *           description: How long access lasts once approved, from 1 to 365 days
+ *         Status:
+ *           type: string
+ *           enum: [pending, approved, rejected, revoked, expired]
+ *           readOnly: true
+ *         DocumentIDs:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           readOnly: true
+ *           description: The documents the user shared
+ *         Reason:
+ *           type: string
+ *           readOnly: true
+ *         DecidedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         ExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         RevokedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         RevokedBy:
+ *           type: integer
+ *           readOnly: true
+ *       example:
+ *         ConsentID: 9b2f4c1e-3a6d-4e8f-b0c7-5d1a2e3f4b6c
+ *         RequesterID: 7
+ *         SubjectUserID: 2
+ *         Purpose: Address verification for a savings account
+ *         DocumentTypes: [aadhaar, utility-bill]
+ *         DurationDays: 14
+ *         Status: approved
+ *         DocumentIDs: [12]
+ *         DecidedAt: 2026-01-01T00:00:00.000Z
+ *         ExpiresAt: 2026-01-15T00:00:00.000Z
+ */
+
+const CONSENT_STATUSES = ["pending", "approved", "rejected", "revoked", "expired"];
+const MAX_CONSENT_DAYS = 365;
+
+function checkConsentRequest(body) {
+  const { SubjectUserID, SubjectDID, Purpose, DocumentTypes, DurationDays } = body;
+  const errors = [];
+  if (!SubjectUserID === !SubjectDID) {
+    errors.push({ field: "SubjectUserID", message: "exactly one of SubjectUserID or SubjectDID is required" });
+  } else if (SubjectUserID && !Number.isInteger(SubjectUserID)) {
+    errors.push({ field: "SubjectUserID", message: "must be a user id" });
+  } else if (SubjectDID && !isDID(SubjectDID)) {
+    errors.push({ field: "SubjectDID", message: "must be a DID" });
+  }
+  if (typeof Purpose !== "string" || !Purpose.trim()) {
+    errors.push({ field: "Purpose", message: "is required" });
+  }
+  if (!Array.isArray(DocumentTypes) || !DocumentTypes.length
+    || !DocumentTypes.every((type) => typeof type === "string" && type)) {
+    errors.push({ field: "DocumentTypes", message: "must be a non-empty list of document types" });
+  }
+  if (!Number.isInteger(DurationDays) || DurationDays < 1 || DurationDays > MAX_CONSENT_DAYS) {
+    errors.push({ field: "DurationDays", message: `must be a whole number of days from 1 to ${MAX_CONSENT_DAYS}` });
+  }
+  return errors;
+}
+
+// Conditions for listing consents by status; expiry is not stored
+function consentStatusWhere(status) {
+  const now = new Date();
+  if (status === "expired") {
+    return { Status: "approved", ExpiresAt: { [Op.lte]: now } };
+  }
+  if (status === "approved") {
+    return { Status: "approved", ExpiresAt: { [Op.gt]: now } };
+  }
+  return { Status: status };
+}
+
+// Load req.params.id if the caller asked for it or was asked, or send a 404 so
+// consent ids cannot be probed
+async function findConsent(req, res, options = {}) {
+  const consent = await ConsentRequest.findOne({
+    ...options,
+    where: {
+      ConsentID: req.params.id,
+      [Op.or]: [{ RequesterID: req.user.id }, { SubjectUserID: req.user.id }],
+    },
+  });
+  if (!consent) {
+    res.status(404).json({ error: "Consent request not found" });
+  }
+  return consent;
+}
+
+// The user's documents a consent request asks for
+async function requestedDocuments(consent) {
+  return Document.findAll({
+    attributes: ["DocumentID"],
+    where: { OwnerID: consent.SubjectUserID, DocumentType: consent.DocumentTypes },
+  });
+}
+
+// Record a step of a consent in the transactions of each document it concerns
+async function recordConsentStep(documentIds, actorId, action, consent, data = {}) {
+  for (const documentId of documentIds) {
+    await appendTransaction(documentId, {
+      ActorID: actorId,
+      Action: action,
+      TransactionData: { ConsentID: consent.ConsentID, RequesterID: consent.RequesterID, ...data },
+    });
+  }
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Consents
+ *   description: Verifiers asking users for access to their documents
+ */
+
+/**
+ * @swagger
+ * /consents:
+ *   post:
+ *     summary: Ask a user for documents of some types
+ *     description: >
+ *       Requires consents:request. The request is recorded in the transactions
+ *       of the user's documents of the requested types.
+ *     tags: [Consents]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConsentRequest'
+ *     responses:
+ *       201:
+ *         description: The consent request was created and awaits the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConsentRequest'
+ *       403:
+ *         description: The caller may not request consent
+ *       404:
+ *         description: User or DID not found
+ *       422:
+ *         description: Invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+app.post("/consents", authenticateJWT, authorize("consents:request"), async (req, res) => {
+  try {
+    const errors = checkConsentRequest(req.body);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const { SubjectUserID, SubjectDID, Purpose, DocumentTypes, DurationDays } = req.body;
+    let subjectId = SubjectUserID;
+    if (SubjectDID) {
+      const did = await DID.findByPk(SubjectDID, { attributes: ["Controller"] });
+      if (!did) {
+        return res.status(404).json({ error: "DID not found" });
+      }
+      subjectId = Number(did.Controller);
+    }
+    if (!(await User.findByPk(subjectId, { attributes: ["UserID"] }))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (subjectId === req.user.id) {
+      return sendValidationErrors(res, [{ field: "SubjectUserID", message: "must be another user" }]);
+    }
+
+    const consent = await ConsentRequest.create({
+      RequesterID: req.user.id,
+      SubjectUserID: subjectId,
+      Purpose: Purpose.trim(),
+      DocumentTypes: [...new Set(DocumentTypes)],
+      DurationDays,
+    });
+    const documents = await requestedDocuments(consent);
+    await recordConsentStep(
+      documents.map((document) => document.DocumentID),
+      req.user.id,
+      "consent.requested",
+      consent,
+      { Purpose: consent.Purpose, DurationDays }
+    );
+    res.status(201).json(consent);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /consents:
+ *   get:
+ *     summary: Returns the consent requests the caller made or was asked
+ *     tags: [Consents]
+ *     parameters:
+ *       - in: query
+ *         name: Status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, revoked, expired]
+ *       - in: query
+ *         name: Role
+ *         schema:
+ *           type: string
+ *           enum: [requester, subject]
+ *         description: Only the requests the caller made, or only those they were asked
+ *     responses:
+ *       200:
+ *         description: The consent requests, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ConsentRequest'
+ *       500:
+ *         description: Some server error
+ */
+app.get("/consents", authenticateJWT, async (req, res) => {
+  try {
+    const { Status, Role } = req.query;
+    const parties = [];
+    if (Role !== "subject") {
+      parties.push({ RequesterID: req.user.id });
+    }
+    if (Role !== "requester") {
+      parties.push({ SubjectUserID: req.user.id });
+    }
+    const where = { [Op.or]: parties };
+    if (CONSENT_STATUSES.includes(Status)) {
+      Object.assign(where, consentStatusWhere(Status));
+    }
+    const consents = await ConsentRequest.findAll({ where, order: [["createdAt", "DESC"]] });
+    res.status(200).json(consents);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /consents/{id}:
+ *   get:
+ *     summary: Get a consent request
+ *     tags: [Consents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The consent id
+ *     responses:
+ *       200:
+ *         description: The consent request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConsentRequest'
+ *       404:
+ *         description: Consent request not found
+ */
+app.get("/consents/:id", authenticateJWT, async (req, res) => {
+  try {
+    const consent = await findConsent(req, res);
+    if (consent) {
+      res.status(200).json(consent);
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /consents/{id}/approve:
+ *   post:
+ *     summary: Approve a consent request, sharing some documents
+ *     description: >
+ *       Only the user asked may approve. Each document must be theirs and of a
+ *       requested type. The verifier can read them for DurationDays from now,
+ *       after which access ends on its own.
+ *     tags: [Consents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The consent id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - DocumentIDs
+ *             properties:
+ *               DocumentIDs:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: The approved consent request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConsentRequest'
+ *       403:
+ *         description: The caller is not the user asked
+ *       404:
+ *         description: Consent request not found
+ *       409:
+ *         description: The request has already been decided
+ *       422:
+ *         description: Invalid documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+app.post("/consents/:id/approve", authenticateJWT, async (req, res) => {
+  try {
+    const { DocumentIDs } = req.body;
+    if (!Array.isArray(DocumentIDs) || !DocumentIDs.length || !DocumentIDs.every(Number.isInteger)) {
+      return sendValidationErrors(res, [{ field: "DocumentIDs", message: "must be a non-empty list of document ids" }]);
+    }
+    const documentIds = [...new Set(DocumentIDs)];
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const consent = await findConsent(req, res, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!consent) {
+        return null;
+      }
+      if (consent.SubjectUserID !== req.user.id) {
+        return { status: 403 };
+      }
+      if (consent.Status !== "pending") {
+        return { status: 409, body: { error: `The consent request is already ${consent.toJSON().Status}` } };
+      }
+
+      const documents = await Document.findAll({
+        attributes: ["DocumentID", "OwnerID", "DocumentType"],
+        where: { DocumentID: documentIds },
+        transaction,
+      });
+      const errors = documentIds
+        .map((id, index) => ({ id, index, document: documents.find((document) => document.DocumentID === id) }))
+        .filter(({ document }) => !document
+          || document.OwnerID !== req.user.id
+          || !consent.DocumentTypes.includes(document.DocumentType))
+        .map(({ index }) => ({ field: `DocumentIDs[${index}]`, message: "is not one of your documents of a requested type" }));
+      if (errors.length) {
+        return { status: 422, errors };
+      }
+
+      const DecidedAt = new Date();
+      const ExpiresAt = new Date(DecidedAt.getTime() + consent.DurationDays * 24 * 60 * 60 * 1000);
+      await DocumentGrant.bulkCreate(
+        documentIds.map((DocumentID) => ({
+          DocumentID,
+          GranteeUserID: consent.RequesterID,
+          CanRead: true,
+          GrantedBy: req.user.id,
+          ExpiresAt,
+          ConsentID: consent.ConsentID,
+        })),
+        { transaction }
+      );
+      await consent.update({ Status: "approved", DocumentIDs: documentIds, DecidedAt, ExpiresAt }, { transaction });
+      return { status: 200, body: consent };
+    });
+    if (!result) {
+      return;
+    }
+    if (result.errors) {
+      return sendValidationErrors(res, result.errors);
+    }
+    if (result.status !== 200) {
+      return result.body ? res.status(result.status).json(result.body) : res.sendStatus(result.status);
+    }
+
+    const consent = result.body;
+    await recordConsentStep(documentIds, req.user.id, "consent.approved", consent, {
+      Purpose: consent.Purpose,
+      ExpiresAt: consent.ExpiresAt,
+    });
+    res.status(200).json(consent);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /consents/{id}/reject:
+ *   post:
+ *     summary: Reject a consent request
+ *     description: Only the user asked may reject.
+ *     tags: [Consents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The consent id
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Reason:
+ *                 type: string
+ *                 description: Passed on to the verifier
+ *     responses:
+ *       200:
+ *         description: The rejected consent request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConsentRequest'
+ *       403:
+ *         description: The caller is not the user asked
+ *       404:
+ *         description: Consent request not found
+ *       409:
+ *         description: The request has already been decided
+ */
+app.post("/consents/:id/reject", authenticateJWT, async (req, res) => {
+  try {
+    const { Reason = null } = req.body;
+    if (Reason !== null && typeof Reason !== "string") {
+      return sendValidationErrors(res, [{ field: "Reason", message: "must be a string" }]);
+    }
+    const consent = await findConsent(req, res);
+    if (!consent) {
+      return;
+    }
+    if (consent.SubjectUserID !== req.user.id) {
+      return res.sendStatus(403);
+    }
+    const [updated] = await ConsentRequest.update(
+      { Status: "rejected", Reason, DecidedAt: new Date() },
+      { where: { ConsentID: consent.ConsentID, Status: "pending" } }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: `The consent request is already ${consent.toJSON().Status}` });
+    }
+    await consent.reload();
+
+    const documents = await requestedDocuments(consent);
+    await recordConsentStep(
+      documents.map((document) => document.DocumentID),
+      req.user.id,
+      "consent.rejected",
+      consent,
+      Reason ? { Reason } : {}
+    );
+    res.status(200).json(consent);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /consents/{id}/revoke:
+ *   post:
+ *     summary: Revoke an approved consent
+ *     description: >
+ *       The user may withdraw their consent, and the verifier may give up the
+ *       access, at any time before it expires. The verifier loses access to the
+ *       shared documents at once.
+ *     tags: [Consents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The consent id
+ *     responses:
+ *       200:
+ *         description: The revoked consent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConsentRequest'
+ *       404:
+ *         description: Consent request not found
+ *       409:
+ *         description: The consent is not approved or has expired
+ */
+app.post("/consents/:id/revoke", authenticateJWT, async (req, res) => {
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const consent = await findConsent(req, res, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!consent) {
+        return null;
+      }
+      const { Status } = consent.toJSON();
+      if (Status !== "approved") {
+        return { status: 409, body: { error: `Only approved consents can be revoked; this one is ${Status}` } };
+      }
+
+      // Grants on documents deleted since approval are already gone
+      const grants = await DocumentGrant.findAll({
+        attributes: ["DocumentID"],
+        where: { ConsentID: consent.ConsentID },
+        transaction,
+      });
+      await DocumentGrant.destroy({ where: { ConsentID: consent.ConsentID }, transaction });
+      await consent.update({ Status: "revoked", RevokedAt: new Date(), RevokedBy: req.user.id }, { transaction });
+      return { status: 200, body: consent, documentIds: grants.map((grant) => grant.DocumentID) };
+    });
+    if (!result) {
+      return;
+    }
+    if (result.status !== 200) {
+      return res.status(result.status).json(result.body);
+    }
+
+    await recordConsentStep(result.documentIds, req.user.id, "consent.revoked", result.body);
+    res.status(200).json(result.body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Append-only operations for DocumentTransactions
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DocumentTransaction:
+ *       type: object
+ *       required:
+ *         - DocumentID
+ *         - Action
+ *       properties:
+ *         TransactionID:
+ *           type: integer
+ *           description: The auto-generated id of the document transaction
+ *         DocumentID:
+ *           type: integer
+ *           description: The id of the document
+ *         Sequence:
+ *           type: integer
+ *           readOnly: true
+ *           description: Position in the document's chain, starting at 1
+ *         Action:
+ *           type: string
+ *           description: >
+ *             What happened. document.created, document.updated, document.deleted,
+ *             content.uploaded, transaction.compensated, credential.issued,
+ *             credential.revoked, credential.suspended, credential.reinstated,
+ *             share.created, share.revoked, share.accessed, share.denied,
+ *             consent.requested, consent.approved, consent.rejected and
+ *             consent.revoked are recorded by the server, and
+ *             transaction.imported marks entries made before the ledger.
+ *         TransactionData:
+ *           type: object
+ *         ActorID:
+ *           type: integer
+ *           readOnly: true
+ *           description: The user who recorded the transaction
+ *         RecordedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         ContentHash:
+ *           type: string
+ *           readOnly: true
+ *           description: SHA-256 of the document content when the transaction was recorded
+ *         CompensatesID:
+ *           type: integer
+ *           readOnly: true
+ *           description: For a compensating entry, the transaction it corrects
+ *         Reason:
+ *           type: string
+ *           readOnly: true
+ *           description: Why a compensating entry was recorded
+ *         PreviousHash:
+ *           type: string
+ *           readOnly: true
+ *           description: Hash of the previous transaction on the document; null for the first
+ *         Hash:
+ *           type: string
+ *           readOnly: true
+ *           description: SHA-256 over this transaction's fields and PreviousHash
+ *       example:
+ *         TransactionID: 1
+ *         DocumentID: 1
+ *         Sequence: 2
+ *         Action: signed
+ *         TransactionData: { signer: "did:example:123" }
+ *         ActorID: 1
+ *         RecordedAt: 2024-01-01T00:00:00.000Z
+ *         ContentHash: 9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08
+ *         PreviousHash: 2c26b46b68ffc68ff99b453c1d30413413422d706483bfa0f98a5e886266e7ae
+ *         Hash: fcde2b2edba56bf408601fb721fe9b5c338d10ee429ea04fae5511b68fbf8fb9
+ *     CompensatingEntry:
+ *       type: object
+ *       required:
+ *         - Reason
+ *       properties:
+ *         Reason:
+ *           type: string
+ *         TransactionData:
+ *           type: object
+ *           description: What the corrected entry should have recorded, if anything
+ *       example:
+ *         Reason: Recorded against the wrong document
+ *     ChainVerification:
+ *       type: object
+ *       properties:
+ *         DocumentID:
+ *           type: integer
+ *         valid:
+ *           type: boolean
+ *         length:
+ *           type: integer
+ *           description: Number of transactions on the document
+ *         head:
+ *           type: string
+ *           description: Hash of the last transaction when the chain is valid
+ *         brokenLink:
+ *           type: object
+ *           nullable: true
+ *           description: The first transaction that does not link up
+ *           properties:
+ *             TransactionID:
+ *               type: integer
+ *             Sequence:
+ *               type: integer
+ *             reason:
+ *               type: string
+ *       example:
+ *         DocumentID: 1
+ *         valid: false
+ *         length: 3
+ *         head: null
+ *         brokenLink:
+ *           TransactionID: 7
+ *           Sequence: 2
+ *           reason: Hash does not match the transaction contents
+ */
+
+// What GET /documenttransactions can filter, sort and select by
+const TRANSACTION_LIST = {
+  key: "TransactionID",
+  sort: "DocumentID,Sequence",
+  sortable: { DocumentID: "integer", Sequence: "integer", RecordedAt: "date", TransactionID: "integer" },
+  filters: {
+    DocumentID: "integer",
+    Action: "string",
+    ActorID: "integer",
+    RecordedAt: "date",
+  },
+  fields: [
+    "TransactionID",
+    "DocumentID",
+    "Sequence",
+    "Action",
+    "TransactionData",
+    "ActorID",
+    "RecordedAt",
+    "ContentHash",
+    "CompensatesID",
+    "Reason",
+    "PreviousHash",
+    "Hash",
+  ],
+};
+
+// The transaction, provided the caller may read the document it belongs to.
+// Anyone else gets null so transaction IDs cannot be probed.
+async function findReadableTransaction(req) {
+  const transaction = await DocumentTransaction.findByPk(req.params.id);
+  if (!transaction || (await hasPermission(req, "transactions:read"))) {
+    return transaction;
+  }
+
+  const document = transaction.DocumentID && (await Document.findByPk(transaction.DocumentID));
+  if (!document || !(await getDocumentAccess(document, req.user)).read) {
+    return null;
+  }
+  return transaction;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: DocumentTransactions
+ *   description: Append-only transaction history of documents
+ */
+
+// Record a client transaction against req.body.DocumentID
+async function createTransaction(req, res) {
+  try {
+    const { DocumentID, Action, TransactionData = null } = req.body;
+    if (!DocumentID) {
+      return res.status(400).json({ error: "DocumentID is required." });
+    }
+    if (typeof Action !== "string" || !Action.trim() || Action.length > 64) {
+      return res.status(400).json({ error: "Action must be a string of at most 64 characters." });
+    }
+    if (SYSTEM_ACTIONS.includes(Action)) {
+      return res.status(400).json({ error: `${Action} is recorded by the server.` });
+    }
+
+    const document = await Document.findByPk(DocumentID);
+    const access = document && (await getDocumentAccess(document, req.user));
+    if (!access || !access.read) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    if (!access.write) {
+      return res.sendStatus(403);
+    }
+
+    const transaction = await appendTransaction(document.DocumentID, {
+      ActorID: req.user.id,
+      Action,
+      TransactionData,
+    });
+    res.status(201).json(transaction);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+/**
+ * @swagger
+ * /documenttransactions:
+ *   post:
+ *     summary: Record a transaction against a document
+ *     description: >
+ *       Requires ownership or a write grant on the document. The entry is
+ *       appended to the document's hash chain; actions the server records
+ *       itself are rejected.
+ *     tags: [DocumentTransactions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DocumentTransaction'
+ *     responses:
+ *       201:
+ *         description: The document transaction was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DocumentTransaction'
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: The caller may not write to this document
+ *       404:
+ *         description: Document not found
+ */
+app.post("/documenttransactions", authenticateJWT, createTransaction);
+
+// Send a page of the transactions matching req.list within `where`
+async function sendTransactionPage(req, res, where) {
+  const page = await findPage(DocumentTransaction, req.list, { where });
+  setPageHeaders(req, res, page);
+  res.status(200).json(page.rows.map((transaction) => pickFields(req.list, transaction.toJSON())));
+}
+
+/**
+ * @swagger
+ * /documenttransactions:
+ *   get:
+ *     summary: Returns the transactions of the documents the caller can read
+ *     description: >
+ *       Callers with transactions:read get the transactions of every document.
+ *       By default they are ordered by document, then by their place in the
+ *       document's chain.
+ *     tags: [DocumentTransactions]
+ *     parameters:
+ *       - in: query
+ *         name: DocumentID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: Action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ActorID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: RecordedAt
+ *         style: deepObject
+ *         schema:
+ *           $ref: '#/components/schemas/Range'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: >
+ *           The list of the document transactions, sortable by DocumentID,
+ *           Sequence, RecordedAt and TransactionID
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DocumentTransaction'
+ *       422:
+ *         description: Invalid list parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Some server error
+ */
+app.get("/documenttransactions", authenticateJWT, listQuery(TRANSACTION_LIST), async (req, res) => {
+  try {
+    let where = {};
+    if (!(await hasPermission(req, "transactions:read"))) {
+      const grantedIds = await findGrantedDocumentIds(req.user);
+      const owned = await Document.findAll({
+        attributes: ["DocumentID"],
+        where: { OwnerID: req.user.id },
+      });
+      where = {
+        DocumentID: [...owned.map((document) => document.DocumentID), ...grantedIds],
+      };
+    }
+
+    await sendTransactionPage(req, res, where);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /documents/{id}/transactions:
+ *   get:
+ *     summary: Returns the transactions of a document
+ *     description: >
+ *       In chain order by default. Takes the same filters as
+ *       GET /documenttransactions.
+ *     tags: [DocumentTransactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListCursor'
+ *       - $ref: '#/components/parameters/ListSort'
+ *       - $ref: '#/components/parameters/ListFields'
+ *     responses:
+ *       200:
+ *         description: The document's transactions
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DocumentTransaction'
+ *       404:
+ *         description: Document not found
+ *       422:
+ *         description: Invalid list parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+app.get(
+  "/documents/:id/transactions",
+  authenticateJWT,
+  listQuery(TRANSACTION_LIST),
+  authorizeDocument("read"),
+  async (req, res) => {
+    try {
+      await sendTransactionPage(req, res, { DocumentID: req.document.DocumentID });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /documents/{id}/transactions:
+ *   post:
+ *     summary: Record a transaction against a document
+ *     description: Like POST /documenttransactions, with the document taken from the path.
+ *     tags: [DocumentTransactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DocumentTransaction'
+ *     responses:
+ *       201:
+ *         description: The document transaction was successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DocumentTransaction'
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: The caller may not write to this document
+ *       404:
+ *         description: Document not found
+ */
+app.post("/documents/:id/transactions", authenticateJWT, takeFromPath("DocumentID"), createTransaction);
+
+/**
+ * @swagger
+ * /documenttransactions/{id}:
+ *   get:
+ *     summary: Get a document transaction by id
+ *     tags: [DocumentTransactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document transaction id
+ *     responses:
+ *       200:
+ *         description: The document transaction description by id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DocumentTransaction'
+ *       404:
+ *         description: Document transaction not found
+ */
+app.get("/documenttransactions/:id", authenticateJWT, async (req, res) => {
+  try {
+    const transaction = await findReadableTransaction(req);
+    if (transaction) {
+      res.status(200).json(transaction);
+    } else {
+      res.status(404).json({ error: "DocumentTransaction not found" });
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /documenttransactions/{id}/compensate:
+ *   post:
+ *     summary: Record a compensating entry for a document transaction
+ *     description: >
+ *       Transactions cannot be updated or deleted. A mistaken entry is corrected
+ *       by a new entry on the same document that references it. Each transaction
+ *       can be compensated once, and compensating entries cannot themselves be
+ *       compensated. Requires transactions:compensate.
+ *     tags: [DocumentTransactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document transaction id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CompensatingEntry'
+ *     responses:
+ *       201:
+ *         description: The compensating entry was recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DocumentTransaction'
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: The caller may not compensate transactions
+ *       404:
+ *         description: Document transaction not found
+ *       409:
+ *         description: The transaction has already been compensated, or is itself a compensating entry
+ */
+app.post(
+  "/documenttransactions/:id/compensate",
+  authenticateJWT,
+  authorize("transactions:compensate"),
+  async (req, res) => {
+    try {
+      const { Reason, TransactionData = null } = req.body;
+      if (typeof Reason !== "string" || !Reason.trim()) {
+        return res.status(400).json({ error: "Reason is required." });
+      }
+
+      const transaction = await DocumentTransaction.findByPk(req.params.id);
+      if (!transaction) {
+        return res.status(404).json({ error: "DocumentTransaction not found" });
+      }
+      if (transaction.CompensatesID) {
+        return res.status(409).json({ error: "A compensating entry cannot be compensated." });
+      }
+      if (await DocumentTransaction.count({ where: { CompensatesID: transaction.TransactionID } })) {
+        return res.status(409).json({ error: "The transaction has already been compensated." });
+      }
+
+      const compensation = await appendTransaction(transaction.DocumentID, {
+        ActorID: req.user.id,
+        Action: "transaction.compensated",
+        TransactionData,
+        CompensatesID: transaction.TransactionID,
+        Reason: Reason.trim(),
+      });
+      res.status(201).json(compensation);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /documents/{id}/transactions/verify:
+ *   get:
+ *     summary: Verify the hash chain of a document's transactions
+ *     description: >
+ *       Recomputes every transaction's hash in order and checks it links to the
+ *       one before it. Reports the first broken link, if any. Removing the most
+ *       recent entries cannot be detected from the chain alone; compare head
+ *       with a previously recorded value for that.
+ *     tags: [DocumentTransactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The document id
+ *     responses:
+ *       200:
+ *         description: The result of the verification
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChainVerification'
+ *       404:
+ *         description: Document not found
+ */
+app.get("/documents/:id/transactions/verify", authenticateJWT, authorizeDocument("read"), async (req, res) => {
+  try {
+    res.status(200).json(await verifyChain(req.document.DocumentID));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Issuance of Verifiable Credentials over documents
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CredentialFormat:
+ *       type: string
+ *       enum: [ldp_vc, jwt_vc]
+ *       default: ldp_vc
+ *       description: >
+ *         ldp_vc embeds a Data Integrity proof (eddsa-jcs-2022, Ed25519 keys
+ *         only); jwt_vc signs the credential as a vc+jwt compact JWS (EdDSA or
+ *         ES256K).
+ *     CredentialIssueRequest:
+ *       type: object
+ *       required:
+ *         - IssuerDID
+ *         - DocumentID
+ *       properties:
+ *         IssuerDID:
+ *           type: string
+ *           description: A DID the caller controls whose key is held by the server
+ *         DocumentID:
+ *           type: integer
+ *           description: A document with content the caller can read
+ *         Format:
+ *           $ref: '#/components/schemas/CredentialFormat'
+ *         SubjectDID:
+ *           type: string
+ *           description: A DID of the document's owner, used as credentialSubject.id
+ *         KeyID:
+ *           type: string
+ *           description: The verification method to sign with; defaults to the newest assertionMethod key
+ *         Type:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Types added after VerifiableCredential and DocumentCredential
+ *         Claims:
+ *           type: object
+ *           description: Further claims about the subject
+ *         ValidUntil:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         IssuerDID: did:web:example.com:issuers:kyc
+ *         DocumentID: 1
+ *         Format: jwt_vc
+ *         SubjectDID: did:key:z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK
+ *         Type: [IdentityDocumentCredential]
+ *         Claims:
+ *           documentType: passport
+ *     Credential:
+ *       type: object
+ *       properties:
+ *         CredentialID:
+ *           type: string
+ *           description: The credential's id, also used as urn:uuid:<CredentialID>
+ *         IssuerDID:
+ *           type: string
+ *         SubjectUserID:
+ *           type: integer
+ *           description: The owner of the document, who the credential is about
+ *         SubjectDID:
+ *           type: string
+ *         DocumentID:
+ *           type: integer
+ *         DocumentHash:
+ *           type: string
+ *           description: Hex SHA-256 of the document content at issuance
+ *         Format:
+ *           $ref: '#/components/schemas/CredentialFormat'
+ *         KeyID:
+ *           type: string
+ *           description: The verification method the credential was signed with
+ *         Credential:
+ *           type: object
+ *           description: The credential with its proof, or the claims of JWT
+ *         JWT:
+ *           type: string
+ *           description: The signed credential, for jwt_vc
+ *         IssuedBy:
+ *           type: integer
+ *         ValidFrom:
+ *           type: string
+ *           format: date-time
+ *         ValidUntil:
+ *           type: string
+ *           format: date-time
+ *         StatusIndex:
+ *           type: integer
+ *           description: The credential's index in the issuer's status lists
+ *       example:
+ *         CredentialID: 9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d
+ *         IssuerDID: did:web:example.com:issuers:kyc
+ *         SubjectUserID: 1
+ *         DocumentID: 1
+ *         DocumentHash: 2d1e9b2f0d0f6d3a3c1d1f5a7d5f1b8e3f6c2a9d4e7b0c5a8f1d2e3b4c5d6e7f
+ *         Format: ldp_vc
+ *         KeyID: did:web:example.com:issuers:kyc#key-1
+ *         Credential:
+ *           "@context": ["https://www.w3.org/ns/credentials/v2"]
+ *           id: urn:uuid:9b1deb4d-3b7d-4bad-9bdd-2b0d7b3dcb6d
+ *           type: [VerifiableCredential, DocumentCredential]
+ *           issuer: did:web:example.com:issuers:kyc
+ *           validFrom: 2026-01-01T00:00:00.000Z
+ *           credentialSubject:
+ *             document:
+ *               type: Document
+ *               digestSRI: sha256-LR6bLw0PbToxHR9afV8bjj9sKp1OewxagfHS47TF1n8=
+ *               mediaType: application/pdf
+ *           proof:
+ *             type: DataIntegrityProof
+ *             cryptosuite: eddsa-jcs-2022
+ *             created: 2026-01-01T00:00:00.000Z
+ *             verificationMethod: did:web:example.com:issuers:kyc#key-1
+ *             proofPurpose: assertionMethod
+ *             proofValue: z58DAdFfa9SkqZMVPxAQpic7ndSayn1PzZs6ZjWp1CktyGesjuTSwRdoWhAfGFCF5bppETSTojQCrfFPP2oumHKtz
+ *         JWT: null
+ *         ValidFrom: 2026-01-01T00:00:00.000Z
+ *         ValidUntil: null
+ */
+
+// Let the route validate missing issuers; otherwise require controlling the DID
+async function controlsIssuerDID(req) {
+  const did = isDID(req.body.IssuerDID) && (await DID.findByPk(req.body.IssuerDID, { attributes: ["Controller"] }));
+  return !did || did.Controller === String(req.user.id);
+}
+
+// Credentials the caller is the subject of or issued from a DID they control;
+// callers with credentials:read see all of them
+async function visibleCredentialsWhere(req) {
+  if (await hasPermission(req, "credentials:read")) {
+    return {};
+  }
+  const dids = await DID.findAll({ attributes: ["ID"], where: { Controller: String(req.user.id) } });
+  return {
+    [Op.or]: [{ SubjectUserID: req.user.id }, { IssuerDID: dids.map((did) => did.ID) }],
+  };
+}
+
+function checkIssueRequest(body) {
+  const { IssuerDID, DocumentID, Format, SubjectDID, KeyID, Type, Claims, ValidUntil } = body;
+  const errors = [];
+  if (!isDID(IssuerDID)) {
+    errors.push({ field: "IssuerDID", message: "must be a DID" });
+  }
+  if (!/^[1-9]\d*$/.test(String(DocumentID))) {
+    errors.push({ field: "DocumentID", message: "must be a document id" });
+  }
+  if (Format !== undefined && !CREDENTIAL_FORMATS.includes(Format)) {
+    errors.push({ field: "Format", message: `must be one of ${CREDENTIAL_FORMATS.join(", ")}` });
+  }
+  if (SubjectDID !== undefined && !isDID(SubjectDID)) {
+    errors.push({ field: "SubjectDID", message: "must be a DID" });
+  }
+  if (KeyID !== undefined && (typeof KeyID !== "string" || !KeyID)) {
+    errors.push({ field: "KeyID", message: "must be a verification method id" });
+  }
+  if (Type !== undefined && !(Array.isArray(Type) && Type.every((type) => typeof type === "string" && type))) {
+    errors.push({ field: "Type", message: "must be a list of strings" });
+  }
+  if (Claims !== undefined) {
+    if (!Claims || typeof Claims !== "object" || Array.isArray(Claims)) {
+      errors.push({ field: "Claims", message: "must be an object" });
+    } else if ("id" in Claims || "document" in Claims) {
+      errors.push({ field: "Claims", message: "must not set id or document" });
+    }
+  }
+  if (ValidUntil !== undefined && ValidUntil !== null && !(new Date(ValidUntil) > new Date())) {
+    errors.push({ field: "ValidUntil", message: "must be a date in the future" });
+  }
+  return errors;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Credentials
+ *   description: W3C Verifiable Credentials issued over documents
+ */
+
+/**
+ * @swagger
+ * /credentials/issue:
+ *   post:
+ *     summary: Issue a Verifiable Credential attesting a document
+ *     description: >
+ *       Signs a W3C Verifiable Credential with the issuer DID's key. The
+ *       credential's subject is the document's owner and it carries the
+ *       document's SHA-256 as digestSRI, not the content. The caller must
+ *       control the issuer DID (or have credentials:issue) and be able to read
+ *       the document. Each credential gets a status index on the issuer DID
+ *       and a credentialStatus pointing at its revocation and suspension
+ *       lists. Issuance is recorded in the document's transactions.
+ *     tags: [Credentials]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CredentialIssueRequest'
+ *     responses:
+ *       201:
+ *         description: The credential was issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Credential'
+ *       403:
+ *         description: The caller does not control the issuer DID
+ *       404:
+ *         description: DID or document not found
+ *       409:
+ *         description: >
+ *           The document has no content, the server holds no key that can sign
+ *           for the issuer, or the issuer's status lists are full
+ *       410:
+ *         description: The issuer DID has been deactivated
+ *       422:
+ *         description: Missing or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+app.post("/credentials/issue", authenticateJWT, authorize("credentials:issue", { allowIf: controlsIssuerDID }), async (req, res) => {
+  try {
+    const errors = checkIssueRequest(req.body);
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    const { IssuerDID, Format = "ldp_vc", SubjectDID, KeyID, Type, Claims, ValidUntil } = req.body;
+
+    const issuer = await DID.findByPk(IssuerDID);
+    if (!issuer) {
+      return res.status(404).json({ error: "DID not found" });
+    }
+    if (issuer.Deactivated) {
+      return res.status(410).json({ error: "DID has been deactivated" });
+    }
+    const document = await Document.findByPk(Number(req.body.DocumentID));
+    if (!document || !(await getDocumentAccess(document, req.user)).read) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    if (!document.SHA256) {
+      return res.status(409).json({ error: "The document has no content to attest" });
+    }
+    if (SubjectDID) {
+      const subject = await DID.findByPk(SubjectDID, { attributes: ["Controller"] });
+      if (!subject || subject.Controller !== String(document.OwnerID)) {
+        return sendValidationErrors(res, [{ field: "SubjectDID", message: "must be a DID controlled by the document's owner" }]);
+      }
+    }
+
+    const key = await findSigningKey(issuer, KeyID);
+    if (!key && KeyID) {
+      return sendValidationErrors(res, [{ field: "KeyID", message: "is not an assertionMethod key the server holds for the issuer" }]);
+    }
+    if (!key) {
+      return res.status(409).json({ error: "The server holds no assertionMethod key for the issuer DID" });
+    }
+    if (Format === "ldp_vc" && key.Type !== "Ed25519") {
+      return sendValidationErrors(res, [{ field: "Format", message: "ldp_vc needs an Ed25519 key; use jwt_vc" }]);
+    }
+
+    const CredentialID = crypto.randomUUID();
+    const ValidFrom = new Date();
+    const issued = await sequelize.transaction(async (transaction) => {
+      // Locking the issuer serializes status index allocation
+      await DID.findByPk(issuer.ID, { transaction, lock: transaction.LOCK.UPDATE });
+      const entry = await allocateStatusIndex(issuer, { CredentialID, AllocatedBy: req.user.id }, transaction);
+      if (!entry) {
+        return null;
+      }
+      const { credential, jwt } = secureCredential(
+        documentCredential({
+          id: `urn:uuid:${CredentialID}`,
+          issuer: issuer.ID,
+          subjectId: SubjectDID,
+          document,
+          types: Type,
+          claims: Claims,
+          validFrom: ValidFrom,
+          validUntil: ValidUntil ? new Date(ValidUntil) : null,
+          status: statusListEntries(issuer.ID, entry.StatusIndex),
+        }),
+        Format,
+        key
+      );
+      const created = await Credential.create(
+        {
+          CredentialID,
+          IssuerDID: issuer.ID,
+          SubjectUserID: document.OwnerID,
+          SubjectDID: SubjectDID || null,
+          DocumentID: document.DocumentID,
+          DocumentHash: document.SHA256,
+          Format,
+          KeyID: key.KeyID,
+          Credential: credential,
+          JWT: jwt,
+          IssuedBy: req.user.id,
+          ValidFrom,
+          ValidUntil: ValidUntil ? new Date(ValidUntil) : null,
+          StatusIndex: entry.StatusIndex,
+        },
+        { transaction }
+      );
+      await appendTransaction(document.DocumentID, {
+        ActorID: req.user.id,
+        Action: "credential.issued",
+        TransactionData: { CredentialID, IssuerDID: issuer.ID, Format },
+      }, transaction);
+      return created;
+    });
+    if (!issued) {
+      return res.status(409).json({ error: "The issuer's status lists are full" });
+    }
+    res.status(201).json(issued);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /credentials:
+ *   get:
+ *     summary: Returns the credentials about the caller or issued from their DIDs
+ *     description: Callers with credentials:read get every credential.
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: query
+ *         name: DocumentID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: IssuerDID
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The credentials, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Credential'
+ *       500:
+ *         description: Some server error
+ */
+app.get("/credentials", authenticateJWT, async (req, res) => {
+  try {
+    const filters = {};
+    ["DocumentID", "IssuerDID"].forEach((field) => {
+      if (typeof req.query[field] === "string") {
+        filters[field] = req.query[field];
+      }
+    });
+    const credentials = await Credential.findAll({
+      where: { [Op.and]: [filters, await visibleCredentialsWhere(req)] },
+      order: [["ValidFrom", "DESC"]],
+    });
+    res.status(200).json(credentials);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /credentials/{id}:
+ *   get:
+ *     summary: Get a credential by id
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The credential id
+ *     responses:
+ *       200:
+ *         description: The credential
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Credential'
+ *       404:
+ *         description: Credential not found
+ */
+app.get("/credentials/:id", authenticateJWT, async (req, res) => {
+  try {
+    const credential = await Credential.findOne({
+      where: { [Op.and]: [{ CredentialID: req.params.id }, await visibleCredentialsWhere(req)] },
+    });
+    if (credential) {
+      res.status(200).json(credential);
+    } else {
+      res.status(404).json({ error: "Credential not found" });
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VerificationCheck:
+ *       type: object
+ *       properties:
+ *         check:
+ *           type: string
+ *           description: >
+ *             format, signature, issuer, expiry or status for credentials; format,
+ *             signature, challenge, domain, expiry, credentials or holderBinding
+ *             for presentations
+ *         passed:
+ *           type: boolean
+ *         error:
+ *           type: string
+ *           description: Why the check failed
+ *     CredentialVerification:
+ *       type: object
+ *       properties:
+ *         verified:
+ *           type: boolean
+ *           description: Whether every check passed
+ *         format:
+ *           type: string
+ *           enum: [ldp_vc, jwt_vc]
+ *         checks:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VerificationCheck'
+ *         credential:
+ *           type: object
+ *           description: The credential without its proof, or the claims of the JWT
+ *       example:
+ *         verified: false
+ *         format: jwt_vc
+ *         checks:
+ *           - check: format
+ *             passed: true
+ *           - check: signature
+ *             passed: true
+ *           - check: issuer
+ *             passed: true
+ *           - check: expiry
+ *             passed: false
+ *             error: Expired at 2026-01-01T00:00:00.000Z
+ *     PresentationVerification:
+ *       type: object
+ *       properties:
+ *         verified:
+ *           type: boolean
+ *           description: Whether every check passed, including those of each credential
+ *         format:
+ *           type: string
+ *           enum: [ldp_vp, jwt_vp]
+ *         checks:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VerificationCheck'
+ *         holder:
+ *           type: string
+ *         credentials:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CredentialVerification'
+ */
+
+/**
+ * @swagger
+ * /credentials/verify:
+ *   post:
+ *     summary: Verify a credential
+ *     description: >
+ *       Checks a Data Integrity (eddsa-jcs-2022) or vc+jwt credential. The
+ *       signing key is looked up in the issuer's DID Document as registered
+ *       here, in the version current when the credential says it was signed
+ *       (the proof's created or the JWT's iat, else validFrom), and must be an
+ *       assertionMethod there. Credentials signed before a key was rotated out
+ *       keep verifying. The issuer must not be deactivated. Each check is
+ *       reported separately. No account is needed.
+ *     tags: [Credentials]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Credential
+ *             properties:
+ *               Credential:
+ *                 description: The credential with its proof, or a vc+jwt
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: string
+ *     responses:
+ *       200:
+ *         description: The result of each check
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CredentialVerification'
+ *       422:
+ *         description: No credential was given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+app.post("/credentials/verify", async (req, res) => {
+  try {
+    if (req.body.Credential === undefined) {
+      return sendValidationErrors(res, [{ field: "Credential", message: "is required" }]);
+    }
+    res.status(200).json(await verifyCredential(req.body.Credential));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /presentations/verify:
+ *   post:
+ *     summary: Verify a presentation and the credentials in it
+ *     description: >
+ *       Checks a Data Integrity (eddsa-jcs-2022) or vp+jwt presentation signed
+ *       with an authentication key of the holder's DID, then every credential
+ *       it contains as /credentials/verify does. Holder binding requires the
+ *       holder to have signed the presentation and to be the subject of every
+ *       credential. Challenge and Domain are compared with the proof's
+ *       challenge and domain, or the JWT's nonce and aud. No account is needed.
+ *     tags: [Credentials]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Presentation
+ *             properties:
+ *               Presentation:
+ *                 description: The presentation with its proof, or a vp+jwt
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: string
+ *               Challenge:
+ *                 type: string
+ *                 description: The challenge the verifier gave the holder
+ *               Domain:
+ *                 type: string
+ *                 description: The verifier's domain the presentation must be made for
+ *     responses:
+ *       200:
+ *         description: The result of each check
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PresentationVerification'
+ *       422:
+ *         description: Missing or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+app.post("/presentations/verify", async (req, res) => {
+  try {
+    const { Presentation, Challenge, Domain } = req.body;
+    const errors = [];
+    if (Presentation === undefined) {
+      errors.push({ field: "Presentation", message: "is required" });
+    }
+    ["Challenge", "Domain"].forEach((field) => {
+      if (req.body[field] !== undefined && typeof req.body[field] !== "string") {
+        errors.push({ field, message: "must be a string" });
+      }
+    });
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+    res.status(200).json(await verifyPresentation(Presentation, { challenge: Challenge, domain: Domain }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Credential status lists
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StatusListEntry:
+ *       type: object
+ *       properties:
+ *         EntryID:
+ *           type: integer
+ *         DIDID:
+ *           type: string
+ *           description: The issuer DID
+ *         StatusIndex:
+ *           type: integer
+ *           description: The credential's bit in each of the issuer's status lists
+ *         CredentialID:
+ *           type: string
+ *           description: The credential issued here with this index, if any
+ *         Revoked:
+ *           type: boolean
+ *         Suspended:
+ *           type: boolean
+ *         AllocatedBy:
+ *           type: integer
+ *         credentialStatus:
+ *           type: array
+ *           readOnly: true
+ *           description: BitstringStatusListEntry values to put in the credential
+ *           items:
+ *             type: object
+ *       example:
+ *         EntryID: 1
+ *         DIDID: did:web:example.com:issuers:kyc
+ *         StatusIndex: 94567
+ *         CredentialID: null
+ *         Revoked: false
+ *         Suspended: false
+ *         credentialStatus:
+ *           - id: did:web:example.com:issuers:kyc?resourceName=revocation-status-list&resourceType=BitstringStatusListCredential#94567
+ *             type: BitstringStatusListEntry
+ *             statusPurpose: revocation
+ *             statusListIndex: "94567"
+ *             statusListCredential: did:web:example.com:issuers:kyc?resourceName=revocation-status-list&resourceType=BitstringStatusListCredential
+ *           - id: did:web:example.com:issuers:kyc?resourceName=suspension-status-list&resourceType=BitstringStatusListCredential#94567
+ *             type: BitstringStatusListEntry
+ *             statusPurpose: suspension
+ *             statusListIndex: "94567"
+ *             statusListCredential: did:web:example.com:issuers:kyc?resourceName=suspension-status-list&resourceType=BitstringStatusListCredential
+ */
+
+function serializeStatusEntry(entry) {
+  return { ...entry.get(), credentialStatus: statusListEntries(entry.DIDID, entry.StatusIndex) };
+}
+
+/**
+ * @swagger
+ * /dids/{id}/status-list:
+ *   post:
+ *     summary: Allocate a status index on an issuer DID
+ *     description: >
+ *       For credentials issued elsewhere; /credentials/issue allocates one for
+ *       every credential it issues. The index is unused and picked at random.
+ *       The returned credentialStatus goes in the credential. The first
+ *       allocation publishes the DID's revocation and suspension lists.
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The issuer DID
+ *     responses:
+ *       201:
+ *         description: The allocated index
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusListEntry'
+ *       403:
+ *         description: The caller does not control the DID
+ *       404:
+ *         description: DID not found
+ *       409:
+ *         description: The server holds no key to sign the DID's lists, or they are full
+ *       410:
+ *         description: The DID has been deactivated
+ */
+app.post("/dids/:id/status-list", authenticateJWT, authorize("credentials:issue", { allowIf: controlsDID }), async (req, res) => {
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const did = await findDIDForUpdate(req, transaction);
+      if (!did) {
+        return { status: 404, body: { error: "DID not found" } };
+      }
+      if (did.Deactivated) {
+        return { status: 410, body: { error: "DID has been deactivated" } };
+      }
+      if (!(await findSigningKey(did))) {
+        return { status: 409, body: { error: "The server holds no assertionMethod key for the DID" } };
+      }
+      const entry = await allocateStatusIndex(did, { AllocatedBy: req.user.id }, transaction);
+      if (!entry) {
+        return { status: 409, body: { error: "The DID's status lists are full" } };
+      }
+      return { status: 201, body: serializeStatusEntry(entry) };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /dids/{id}/status-list/{index}:
+ *   get:
+ *     summary: Get the status of an allocated index
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The issuer DID
+ *       - in: path
+ *         name: index
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The status index
+ *     responses:
+ *       200:
+ *         description: The index and its status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusListEntry'
+ *       403:
+ *         description: The caller does not control the DID
+ *       404:
+ *         description: The index has not been allocated
+ */
+app.get(
+  "/dids/:id/status-list/:index(\\d+)",
+  authenticateJWT,
+  authorize("credentials:issue", { allowIf: controlsDID }),
+  async (req, res) => {
+    try {
+      const entry = await StatusListEntry.findOne({
+        where: { DIDID: req.params.id, StatusIndex: Number(req.params.index) },
+      });
+      if (entry) {
+        res.status(200).json(serializeStatusEntry(entry));
+      } else {
+        res.status(404).json({ error: "Status index not allocated" });
+      }
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /dids/{id}/status-list/{index}/{change}:
+ *   post:
+ *     summary: Revoke, suspend or reinstate a status index
+ *     description: >
+ *       revoke sets the index in the revocation list, for good. suspend and
+ *       reinstate set and clear it in the suspension list. The changed list is
+ *       signed and published as a new version. Changes to credentials issued
+ *       here are recorded in their document's transactions.
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The issuer DID
+ *       - in: path
+ *         name: index
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: The status index
+ *       - in: path
+ *         name: change
+ *         schema:
+ *           type: string
+ *           enum: [revoke, suspend, reinstate]
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The index with its new status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusListEntry'
+ *       403:
+ *         description: The caller does not control the DID
+ *       404:
+ *         description: DID not found, or the index has not been allocated
+ *       409:
+ *         description: >
+ *           The change does not apply to the index's status (revoked indexes
+ *           cannot change), or the server holds no key to sign the list
+ *       410:
+ *         description: The DID has been deactivated
+ */
+app.post(
+  "/dids/:id/status-list/:index(\\d+)/:change(revoke|suspend|reinstate)",
+  authenticateJWT,
+  authorize("credentials:issue", { allowIf: controlsDID }),
+  async (req, res) => {
+    try {
+      const { change } = req.params;
+      const result = await sequelize.transaction(async (transaction) => {
+        const did = await findDIDForUpdate(req, transaction);
+        if (!did) {
+          return { status: 404, body: { error: "DID not found" } };
+        }
+        if (did.Deactivated) {
+          return { status: 410, body: { error: "DID has been deactivated" } };
+        }
+        const entry = await StatusListEntry.findOne({
+          where: { DIDID: did.ID, StatusIndex: Number(req.params.index) },
+          transaction,
+        });
+        if (!entry) {
+          return { status: 404, body: { error: "Status index not allocated" } };
+        }
+        const conflict = statusChangeConflict(entry, change);
+        if (conflict) {
+          return { status: 409, body: { error: conflict } };
+        }
+        if (!(await findSigningKey(did))) {
+          return { status: 409, body: { error: "The server holds no assertionMethod key for the DID" } };
+        }
+        await changeStatus(did, entry, change, transaction);
+        const credential = entry.CredentialID
+          && (await Credential.findByPk(entry.CredentialID, { transaction }));
+        if (credential) {
+          await appendTransaction(credential.DocumentID, {
+            ActorID: req.user.id,
+            Action: STATUS_CHANGES[change].action,
+            TransactionData: { CredentialID: credential.CredentialID, StatusIndex: entry.StatusIndex },
+          }, transaction);
+        }
+        return { status: 200, body: serializeStatusEntry(entry) };
+      });
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /status-lists/{did}/{purpose}:
+ *   get:
+ *     summary: Fetch an issuer's latest status list credential
+ *     description: >
+ *       Public. Returns the signed BitstringStatusListCredential, as JSON for
+ *       Ed25519 issuers and as a vc+jwt otherwise. The same list is reached
+ *       through the statusListCredential DID URL of the resolver. Responses
+ *       carry an ETag so verifiers can poll with If-None-Match.
+ *     tags: [Credentials]
+ *     parameters:
+ *       - in: path
+ *         name: did
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The issuer DID
+ *       - in: path
+ *         name: purpose
+ *         schema:
+ *           type: string
+ *           enum: [revocation, suspension]
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The status list credential
+ *         content:
+ *           application/vc:
+ *             schema:
+ *               type: object
+ *           application/vc+jwt:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: The list has not changed
+ *       404:
+ *         description: The DID has not published a list for this purpose
+ */
+app.get("/status-lists/:did/:purpose(revocation|suspension)", async (req, res) => {
+  try {
+    const latest = await findLatestResource(req.params.did, statusListName(req.params.purpose), STATUS_LIST_TYPE);
+    if (!latest) {
+      return res.status(404).json({ error: "Status list not found" });
+    }
+    res.set("Cache-Control", "no-cache");
+    sendResourceContent(res, await Resource.findByPk(latest.ResourceID));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // JWT Authentication endpoints
+const MAX_FAILED_LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: PIN based registration and sign-in
+ */
+
+/**
+ * @swagger
+ * /register:
+ *   post:
+ *     summary: Register a new user with a phone number and login PIN
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/User'
+ *     responses:
+ *       201:
+ *         description: The user was registered
+ *       422:
+ *         description: Invalid or already registered fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
 app.post("/register", async (req, res) => {
   try {
-    const { name, email, password } = req.body;
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const user = await User.create({ name, email, password: hashedPassword });
-    res.status(201).json(user);
+    const { Name, Email, PhoneNumber, LoginPIN } = req.body;
+    const { values, errors } = await validateUser(
+      { Name, Email, PhoneNumber, LoginPIN },
+      { required: ["PhoneNumber", "LoginPIN"] }
+    );
+    if (errors.length) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const user = await User.create(values);
+    res.status(201).json(serializeUser(user));
   } catch (err) {
+    if (err.name === "SequelizeUniqueConstraintError") {
+      return sendValidationErrors(res, err);
+    }
     res.status(400).json({ error: err.message });
   }
 });
 
+/**
+ * Check a user's login PIN, counting a wrong one towards the lockout. Resolves
+ * to { retryAfter } (seconds) while the account is locked, else to { valid }.
+ * The user row stays locked from the lockout check to recording the outcome,
+ * so concurrent guesses are checked one after another and none slips past
+ * the limit.
+ */
+function checkLoginPIN(user, pin) {
+  return sequelize.transaction(async (transaction) => {
+    const account = await User.findByPk(user.UserID, { transaction, lock: transaction.LOCK.UPDATE });
+    if (account.LockedUntil && account.LockedUntil > new Date()) {
+      return { retryAfter: Math.ceil((account.LockedUntil - Date.now()) / 1000) };
+    }
+
+    if (!(await bcrypt.compare(String(pin), account.LoginPIN || ""))) {
+      const attempts = account.FailedLoginAttempts + 1;
+      await account.update(
+        attempts >= MAX_FAILED_LOGIN_ATTEMPTS
+          ? { FailedLoginAttempts: 0, LockedUntil: new Date(Date.now() + LOGIN_LOCKOUT_MS) }
+          : { FailedLoginAttempts: attempts },
+        { transaction }
+      );
+      return { valid: false };
+    }
+
+    if (account.FailedLoginAttempts || account.LockedUntil) {
+      await account.update({ FailedLoginAttempts: 0, LockedUntil: null }, { transaction });
+    }
+    return { valid: true };
+  });
+}
+
+function sendLockedOut(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  res.status(423).json({ error: "Too many failed attempts. Try again later." });
+}
+
+/**
+ * @swagger
+ * /login:
+ *   post:
+ *     summary: Sign in with a phone number and login PIN
+ *     description: >
+ *       After 5 consecutive wrong PINs the account is locked for 15 minutes.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - PhoneNumber
+ *               - LoginPIN
+ *             properties:
+ *               PhoneNumber:
+ *                 type: string
+ *               LoginPIN:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: An access token and a refresh token for the user
+ *       400:
+ *         description: Missing phone number or PIN
+ *       401:
+ *         description: Invalid phone number or PIN
+ *       423:
+ *         description: The account is temporarily locked
+ */
 app.post("/login", async (req, res) => {
   try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ where: { email } });
-    if (!user || !(await bcrypt.compare(password, user.password))) {
-      return res.status(400).json({ error: "Invalid email or password." });
+    const { PhoneNumber, LoginPIN } = req.body;
+    if (!PhoneNumber || !LoginPIN) {
+      return res.status(400).json({ error: "PhoneNumber and LoginPIN are required." });
     }
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
-    res.status(200).json({ token });
+    const user = await User.findOne({
+      where: { PhoneNumber: normalizePhoneNumber(PhoneNumber) },
+    });
+    if (!user) {
+      return res.status(401).json({ error: "Invalid phone number or PIN." });
+    }
+
+    const check = await checkLoginPIN(user, LoginPIN);
+    if (check.retryAfter) {
+      return sendLockedOut(res, check.retryAfter);
+    }
+    if (!check.valid) {
+      return res.status(401).json({ error: "Invalid phone number or PIN." });
+    }
+
+    const { token, refreshToken, expiresIn } = await issueTokens(user);
+    res.status(200).json({ token, refreshToken, expiresIn });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Issue an access token and a refresh token for a user. Both are tied to the
+ * refresh token family (the `sid` claim) so a session can be revoked as a unit.
+ */
+async function issueTokens(user, familyId = crypto.randomUUID(), options = {}) {
+  const accessTokenId = crypto.randomUUID();
+  const token = generateAccessToken(
+    { id: user.UserID, phone: user.PhoneNumber, role: user.Role, sid: familyId },
+    accessTokenId
+  );
+  const refreshToken = generateRefreshToken();
+  const record = await RefreshToken.create(
+    {
+      UserID: user.UserID,
+      FamilyID: familyId,
+      TokenHash: hashRefreshToken(refreshToken),
+      AccessTokenJTI: accessTokenId,
+      ExpiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    },
+    options
+  );
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS, record };
+}
+
+/**
+ * Revoke every refresh token matching `where`, along with the access tokens
+ * that were issued next to them and have not expired yet.
+ */
+async function revokeRefreshTokens(where) {
+  const now = new Date();
+  const tokens = await RefreshToken.findAll({ where });
+  await RefreshToken.update({ RevokedAt: now }, { where: { ...where, RevokedAt: null } });
+
+  const revoked = tokens
+    .filter((t) => t.AccessTokenJTI)
+    .map((t) => ({
+      JTI: t.AccessTokenJTI,
+      UserID: t.UserID,
+      ExpiresAt: new Date(t.createdAt.getTime() + ACCESS_TOKEN_TTL_SECONDS * 1000),
+    }))
+    .filter((t) => t.ExpiresAt > now);
+  await RevokedToken.bulkCreate(revoked, { ignoreDuplicates: true });
+  await RevokedToken.destroy({ where: { ExpiresAt: { [Op.lt]: now } } });
+}
+
+/**
+ * @swagger
+ * /token/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: >
+ *       Refresh tokens are single use. Presenting one that was already rotated
+ *       revokes every token issued from the same login.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: A new token pair
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: The refresh token is unknown, expired or revoked
+ */
+app.post("/token/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required." });
+    }
+
+    const current = await RefreshToken.findOne({
+      where: { TokenHash: hashRefreshToken(String(refreshToken)) },
+    });
+    if (!current || current.ExpiresAt < new Date()) {
+      return res.status(401).json({ error: "Invalid refresh token." });
+    }
+    if (current.RevokedAt) {
+      // A rotated token came back: assume it was stolen and end the session
+      await revokeRefreshTokens({ FamilyID: current.FamilyID });
+      return res.status(401).json({ error: "Invalid refresh token." });
+    }
+
+    const user = await User.findByPk(current.UserID);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid refresh token." });
+    }
+
+    const issued = await sequelize.transaction(async (transaction) => {
+      // Claim the token atomically so two concurrent refreshes cannot both win
+      const [claimed] = await RefreshToken.update(
+        { RevokedAt: new Date() },
+        { where: { TokenID: current.TokenID, RevokedAt: null }, transaction }
+      );
+      if (!claimed) {
+        return null;
+      }
+      const next = await issueTokens(user, current.FamilyID, { transaction });
+      await RefreshToken.update(
+        { ReplacedByID: next.record.TokenID },
+        { where: { TokenID: current.TokenID }, transaction }
+      );
+      return next;
+    });
+    if (!issued) {
+      await revokeRefreshTokens({ FamilyID: current.FamilyID });
+      return res.status(401).json({ error: "Invalid refresh token." });
+    }
+
+    const { token, refreshToken: nextRefreshToken, expiresIn } = issued;
+    res.status(200).json({ token, refreshToken: nextRefreshToken, expiresIn });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-const PORT = process.env.PORT || 3005;
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     summary: End the current session
+ *     description: Revokes the access token used for this call and its refresh token family.
+ *     tags: [Auth]
+ *     responses:
+ *       204:
+ *         description: The session was revoked
+ */
+app.post("/logout", authenticateJWT, async (req, res) => {
+  try {
+    await RevokedToken.create({
+      JTI: req.user.jti,
+      UserID: req.user.id,
+      ExpiresAt: new Date(req.user.exp * 1000),
+    });
+    if (req.user.sid) {
+      await revokeRefreshTokens({ FamilyID: req.user.sid, UserID: req.user.id });
+    }
+    res.status(204).send();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /logout/all:
+ *   post:
+ *     summary: Log out of all devices
+ *     description: Revokes every refresh token and every access token issued to the user so far.
+ *     tags: [Auth]
+ *     responses:
+ *       204:
+ *         description: All sessions were revoked
+ */
+app.post("/logout/all", authenticateJWT, async (req, res) => {
+  try {
+    await revokeRefreshTokens({ UserID: req.user.id });
+    await User.update(
+      { TokensValidAfter: new Date(Math.floor(Date.now() / 1000) * 1000) },
+      { where: { UserID: req.user.id } }
+    );
+    res.status(204).send();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Health
+ *   description: Liveness, readiness and diagnostics for the orchestrator and operators
+ */
+
+/**
+ * @swagger
+ * /healthz:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Answers as long as the process can serve requests; it checks nothing else, so a database outage does not get the service restarted.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: The process is alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: ok
+ */
+app.get("/healthz", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ status: "ok" });
+});
+
+/**
+ * @swagger
+ * /readyz:
+ *   get:
+ *     summary: Readiness probe
+ *     description: >
+ *       Checks that the database accepts the configured credentials, that no
+ *       migration is pending and that the document storage is reachable. Each
+ *       check gives up after 5 seconds. The reasons for a failing check are
+ *       logged and reported by GET /diagnostics, not here.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Ready to serve traffic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: At least one check is failing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ * components:
+ *   schemas:
+ *     Readiness:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ready, unavailable]
+ *         checks:
+ *           type: object
+ *           properties:
+ *             database:
+ *               $ref: '#/components/schemas/ReadinessCheck'
+ *             migrations:
+ *               $ref: '#/components/schemas/ReadinessCheck'
+ *             storage:
+ *               $ref: '#/components/schemas/ReadinessCheck'
+ *     ReadinessCheck:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, failing]
+ *         pending:
+ *           type: array
+ *           description: Migrations not applied yet
+ *           items:
+ *             type: string
+ *         driver:
+ *           type: string
+ *           description: Document storage driver
+ */
+app.get("/readyz", async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    const { ready, checks } = await checkReadiness();
+    Object.entries(checks).forEach(([name, check]) => {
+      if (check.error) {
+        console.error(`Readiness check ${name} failing: ${check.error}`);
+        delete check.error;
+      }
+    });
+    res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "unavailable", checks });
+  } catch (err) {
+    console.error("Readiness checks failed:", err);
+    res.status(503).json({ status: "unavailable" });
+  }
+});
+
+/**
+ * @swagger
+ * /diagnostics:
+ *   get:
+ *     summary: Server diagnostics
+ *     description: >
+ *       Version, uptime, memory, database connection pool, schema version and
+ *       the readiness checks with the reasons any of them fail. Requires the
+ *       diagnostics:read permission.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Diagnostics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 version:
+ *                   type: string
+ *                   description: Version from package.json
+ *                 node:
+ *                   type: string
+ *                 environment:
+ *                   type: string
+ *                 startedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 uptime:
+ *                   type: integer
+ *                   description: Seconds since the process started
+ *                 memory:
+ *                   type: object
+ *                   description: process.memoryUsage() in bytes
+ *                 database:
+ *                   type: object
+ *                   properties:
+ *                     dialect:
+ *                       type: string
+ *                     pool:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         size:
+ *                           type: integer
+ *                           description: Open connections
+ *                         available:
+ *                           type: integer
+ *                           description: Idle connections
+ *                         using:
+ *                           type: integer
+ *                           description: Connections in use
+ *                         waiting:
+ *                           type: integer
+ *                           description: Queries waiting for a connection
+ *                         min:
+ *                           type: integer
+ *                         max:
+ *                           type: integer
+ *                 schema:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Null when the database cannot be read
+ *                   properties:
+ *                     version:
+ *                       type: string
+ *                       nullable: true
+ *                       description: The last migration applied
+ *                     applied:
+ *                       type: integer
+ *                     pending:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     missing:
+ *                       type: array
+ *                       description: Migrations recorded as applied that have no file
+ *                       items:
+ *                         type: string
+ *                 storage:
+ *                   type: object
+ *                   properties:
+ *                     driver:
+ *                       type: string
+ *                 ready:
+ *                   type: boolean
+ *                 checks:
+ *                   type: object
+ *                   description: The readiness checks, each with an error when failing
+ *       403:
+ *         description: Missing the diagnostics:read permission
+ */
+app.get("/diagnostics", authenticateJWT, authorize("diagnostics:read"), async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    res.json(await collectDiagnostics());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
+// Only `node index.js` listens; the tests load the app without a server
+if (require.main === module) {
+  app.listen(config.port, () => {
+    console.log(`Server is running on port ${config.port}`);
+  });
+}
+
 module.exports = app;
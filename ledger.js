@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { Document, DocumentTransaction, sequelize } = require('./models');
+
+// Actions recorded by the server itself; clients cannot record these directly
+const SYSTEM_ACTIONS = [
+  'document.created',
+  'document.updated',
+  'document.deleted',
+  'content.uploaded',
+  'transaction.compensated',
+  // Entries from before the ledger, chained by a migration
+  'transaction.imported',
+  'credential.issued',
+  'credential.revoked',
+  'credential.suspended',
+  'credential.reinstated',
+  'share.created',
+  'share.revoked',
+  'share.accessed',
+  'share.denied',
+  'consent.requested',
+  'consent.approved',
+  'consent.rejected',
+  'consent.revoked',
+];
+
+// JSON with object keys sorted, so a value hashes the same after a round trip
+// through JSONB, which does not preserve key order
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const members = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// SHA-256 over every recorded field of a transaction, including the hash of
+// the one before it, so changing or removing any entry breaks the chain
+function hashTransaction(transaction) {
+  const payload = canonicalize({
+    DocumentID: transaction.DocumentID,
+    Sequence: transaction.Sequence,
+    Action: transaction.Action,
+    ActorID: transaction.ActorID == null ? null : transaction.ActorID,
+    RecordedAt: new Date(transaction.RecordedAt).toISOString(),
+    ContentHash: transaction.ContentHash || null,
+    TransactionData: transaction.TransactionData == null ? null : transaction.TransactionData,
+    CompensatesID: transaction.CompensatesID || null,
+    Reason: transaction.Reason || null,
+    PreviousHash: transaction.PreviousHash || null,
+  });
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Append an entry to a document's chain. The document row is locked while the
+// previous entry is read so concurrent appends cannot fork the chain; the
+// unique (DocumentID, Sequence) index catches anything that slips past. Pass
+// the transaction making the change the entry records so that neither is
+// stored without the other; without one the entry gets a transaction of its own.
+async function appendTransaction(
+  documentId,
+  { ActorID, Action, TransactionData = null, CompensatesID = null, Reason = null },
+  outer = null
+) {
+  const append = async (transaction) => {
+    const document = await Document.findByPk(documentId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+    const previous = await DocumentTransaction.findOne({
+      where: { DocumentID: documentId },
+      order: [['Sequence', 'DESC']],
+      transaction,
+    });
+
+    const entry = {
+      DocumentID: documentId,
+      Sequence: previous ? previous.Sequence + 1 : 1,
+      Action,
+      ActorID,
+      RecordedAt: new Date(),
+      ContentHash: document ? document.SHA256 : null,
+      TransactionData,
+      CompensatesID,
+      Reason,
+      PreviousHash: previous ? previous.Hash : null,
+    };
+    entry.Hash = hashTransaction(entry);
+    return DocumentTransaction.create(entry, { transaction });
+  };
+  return outer ? append(outer) : sequelize.transaction(append);
+}
+
+// Walk a document's chain from the first entry and report the first link that
+// does not hold: a missing sequence number, a PreviousHash that does not match
+// the entry before it, or an entry whose contents no longer match its Hash.
+async function verifyChain(documentId) {
+  const transactions = await DocumentTransaction.findAll({
+    where: { DocumentID: documentId },
+    order: [['Sequence', 'ASC']],
+  });
+
+  let previous = null;
+  for (const transaction of transactions) {
+    let reason = null;
+    if (transaction.Sequence !== (previous ? previous.Sequence + 1 : 1)) {
+      reason = `Expected sequence ${previous ? previous.Sequence + 1 : 1}`;
+    } else if ((transaction.PreviousHash || null) !== (previous ? previous.Hash : null)) {
+      reason = 'PreviousHash does not match the preceding transaction';
+    } else if (transaction.Hash !== hashTransaction(transaction)) {
+      reason = 'Hash does not match the transaction contents';
+    }
+
+    if (reason) {
+      return {
+        DocumentID: documentId,
+        valid: false,
+        length: transactions.length,
+        head: null,
+        brokenLink: {
+          TransactionID: transaction.TransactionID,
+          Sequence: transaction.Sequence,
+          reason,
+        },
+      };
+    }
+    previous = transaction;
+  }
+
+  return {
+    DocumentID: documentId,
+    valid: true,
+    length: transactions.length,
+    head: previous ? previous.Hash : null,
+    brokenLink: null,
+  };
+}
+
+module.exports = {
+  SYSTEM_ACTIONS,
+  canonicalize,
+  hashTransaction,
+  appendTransaction,
+  verifyChain,
+};
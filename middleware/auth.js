@@ -1,23 +1,44 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../token');
+const { RevokedToken, User } = require('../models');
 
-const authenticateJWT = (req, res, next) => {
+const authenticateJWT = async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
-    if (authHeader) {
-        const token = authHeader.split(' ')[1];
+    if (!authHeader) {
+        return res.sendStatus(401);
+    }
 
-        jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, (err, user) => {
-            if (err) {
-                return res.sendStatus(403);
-            }
+    let user;
+    try {
+        user = verifyAccessToken(authHeader.split(' ')[1]);
+    } catch (err) {
+        return res.sendStatus(403);
+    }
 
-            req.user = user;
-            next();
-        });
-    } else {
-        res.sendStatus(401);
+    // Tokens must still be on record: not individually revoked, and not
+    // issued before the user last logged out of all devices. iat is in whole
+    // seconds, so tokens from the second of the logout count as before it.
+    try {
+        const [revoked, account] = await Promise.all([
+            user.jti ? RevokedToken.findByPk(user.jti) : null,
+            User.findByPk(user.id, { attributes: ['UserID', 'TokensValidAfter', 'Role'] }),
+        ]);
+        if (
+            !user.jti ||
+            revoked ||
+            !account ||
+            (account.TokensValidAfter && user.iat * 1000 <= account.TokensValidAfter.getTime())
+        ) {
+            return res.sendStatus(403);
+        }
+        // The stored role wins over the claim so role changes apply at once
+        user.role = account.Role;
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
     }
+
+    req.user = user;
+    next();
 };
 
 module.exports = authenticateJWT;
-/* how to generate the jwt token correctly  and make it work correct*/
\ No newline at end of file
@@ -0,0 +1,44 @@
+const { RolePermission } = require('../models');
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+// Permissions granted to a role, cached briefly to spare a query per request
+const getRolePermissions = async (roleName) => {
+    const cached = cache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.permissions;
+    }
+
+    const grants = await RolePermission.findAll({
+        attributes: ['PermissionName'],
+        where: { RoleName: roleName },
+    });
+    const permissions = new Set(grants.map((grant) => grant.PermissionName));
+    cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return permissions;
+};
+
+const clearPermissionCache = () => cache.clear();
+
+const hasPermission = async (req, permission) =>
+    (await getRolePermissions(req.user.role)).has(permission);
+
+// Require `permission` for the route, unless `allowIf(req)` resolves to true,
+// e.g. because the caller owns the record. Use after authenticateJWT.
+const authorize = (permission, { allowIf } = {}) => async (req, res, next) => {
+    try {
+        if ((allowIf && (await allowIf(req))) || (await hasPermission(req, permission))) {
+            return next();
+        }
+        res.sendStatus(403);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+module.exports = {
+    authorize,
+    hasPermission,
+    clearPermissionCache,
+};
@@ -0,0 +1,233 @@
+const { Op } = require('sequelize');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const RANGE_OPERATORS = { gt: Op.gt, gte: Op.gte, lt: Op.lt, lte: Op.lte };
+
+// Filter value parsers by type; undefined means the value is invalid
+const PARSERS = {
+    string: (value) => value,
+    integer: (value) => (/^-?\d+$/.test(value) ? Number(value) : undefined),
+    boolean: (value) => ({ true: true, false: false })[value],
+    date: (value) => {
+        const date = new Date(value);
+        return isNaN(date) ? undefined : date;
+    },
+};
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (err) {
+        return null;
+    }
+};
+
+// Parse ?sort=-createdAt,Name into [[field, 'ASC' | 'DESC']], ending with the
+// key so the order is total
+const parseSort = (value, spec, errors) => {
+    const sort = [];
+    value.split(',').filter(Boolean).forEach((item) => {
+        const field = item.replace(/^[-+]/, '');
+        if (!spec.sortable[field]) {
+            errors.push({ field: 'sort', message: `cannot sort by ${field}; use ${Object.keys(spec.sortable).join(', ')}` });
+        } else if (!sort.some(([name]) => name === field)) {
+            sort.push([field, item.startsWith('-') ? 'DESC' : 'ASC']);
+        }
+    });
+    if (!sort.some(([name]) => name === spec.key)) {
+        sort.push([spec.key, sort.length ? sort[sort.length - 1][1] : 'ASC']);
+    }
+    return sort;
+};
+
+// The sort a cursor was made for, e.g. createdAt:DESC,DocumentID:DESC
+const describeSort = (order) => order.map(([field, direction]) => `${field}:${direction}`).join(',');
+
+// The sort values of a cursor parsed by the types of their fields, or null
+// when one does not fit its field. Values arrive as JSON numbers or strings.
+const parseCursorValues = (order, values, spec) => {
+    const parsed = order.map(([field], index) => {
+        const value = values[index];
+        return typeof value === 'string' || typeof value === 'number'
+            ? PARSERS[spec.sortable[field]](String(value))
+            : undefined;
+    });
+    return parsed.includes(undefined) ? null : parsed;
+};
+
+// Rows after the given sort values: for sort a, b, c that is a > x, or a = x
+// and b > y, or a = x and b = y and c > z (with < for descending fields)
+const afterCursor = (sort, values) => ({
+    [Op.or]: sort.map(([field, direction], index) => {
+        const conditions = {};
+        sort.slice(0, index).forEach(([name], position) => {
+            conditions[name] = values[position];
+        });
+        conditions[field] = { [direction === 'DESC' ? Op.lt : Op.gt]: values[index] };
+        return conditions;
+    }),
+});
+
+// Turn a filter parameter into a where condition: field=value for equality,
+// field[gte]=value and friends for ranges on integers and dates
+const parseFilter = (field, type, value, errors) => {
+    const parse = PARSERS[type];
+    const ranged = type === 'integer' || type === 'date';
+    if (typeof value === 'string') {
+        const parsed = parse(value);
+        if (parsed === undefined) {
+            errors.push({ field, message: `must be a${type === 'integer' ? 'n' : ''} ${type}` });
+        }
+        return parsed;
+    }
+
+    const condition = {};
+    const operators = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+    if (!ranged || !operators.length || operators.some((operator) => !RANGE_OPERATORS[operator])) {
+        errors.push({
+            field,
+            message: ranged ? 'must be a value or a range such as [gte]=...&[lt]=...' : 'must be a single value',
+        });
+        return undefined;
+    }
+    operators.forEach((operator) => {
+        const parsed = typeof value[operator] === 'string' ? parse(value[operator]) : undefined;
+        if (parsed === undefined) {
+            errors.push({ field: `${field}[${operator}]`, message: `must be a${type === 'integer' ? 'n' : ''} ${type}` });
+        }
+        condition[RANGE_OPERATORS[operator]] = parsed;
+    });
+    return condition;
+};
+
+/**
+ * Parse the pagination, filter, sort and field selection parameters of a
+ * list route into req.list, or answer 422. `spec` describes the route:
+ *   key       primary key, the last sort field
+ *   sort      default sort, e.g. '-createdAt'
+ *   sortable  { field: type } of the fields allowed in ?sort, typed as filters
+ *             are; they must not be nullable
+ *   filters   { field: 'string' | 'integer' | 'boolean' | 'date' }
+ *   fields    fields allowed in ?fields
+ *   computed  fields in ?fields that are not columns
+ *   requires  { field: [columns needed to serialize it] }
+ * req.list holds { where, order, limit, cursor, attributes, fields };
+ * attributes and fields are null when ?fields is absent.
+ */
+const listQuery = (spec) => (req, res, next) => {
+    const errors = [];
+    const { limit = String(DEFAULT_LIMIT), cursor, sort = spec.sort, fields } = req.query;
+
+    if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_LIMIT) {
+        errors.push({ field: 'limit', message: `must be a whole number from 1 to ${MAX_LIMIT}` });
+    }
+    if (typeof sort !== 'string') {
+        errors.push({ field: 'sort', message: 'must be a single list of fields' });
+    }
+    const order = parseSort(typeof sort === 'string' ? sort : spec.sort, spec, errors);
+
+    const where = {};
+    Object.entries(spec.filters).forEach(([field, type]) => {
+        if (req.query[field] !== undefined) {
+            where[field] = parseFilter(field, type, req.query[field], errors);
+        }
+    });
+
+    let selected = null;
+    let attributes = null;
+    if (fields !== undefined) {
+        selected = typeof fields === 'string' ? [...new Set(fields.split(',').filter(Boolean))] : [];
+        const unknown = selected.filter((field) => !spec.fields.includes(field));
+        if (!selected.length || unknown.length) {
+            errors.push({ field: 'fields', message: `must list fields from ${spec.fields.join(', ')}` });
+        }
+        const computed = spec.computed || [];
+        const requires = spec.requires || {};
+        attributes = [...new Set([
+            ...order.map(([field]) => field),
+            ...selected.filter((field) => !computed.includes(field)),
+            ...selected.flatMap((field) => requires[field] || []),
+        ])];
+    }
+
+    // A cursor holds the sort it was made for and the sort values of the last
+    // row of its page
+    let after = null;
+    if (cursor !== undefined) {
+        const decoded = typeof cursor === 'string' ? decodeCursor(cursor) : null;
+        const values = decoded && decoded.sort === describeSort(order) && Array.isArray(decoded.values)
+            && decoded.values.length === order.length
+            ? parseCursorValues(order, decoded.values, spec)
+            : null;
+        if (!values) {
+            errors.push({ field: 'cursor', message: 'is not a cursor from this list with this sort' });
+        } else {
+            after = afterCursor(order, values);
+        }
+    }
+
+    if (errors.length) {
+        return res.status(422).json({ error: 'Validation failed', fields: errors });
+    }
+    req.list = { where, order, limit: Number(limit), cursor: after, attributes, fields: selected };
+    next();
+};
+
+/**
+ * Find a page of `model` rows for req.list within `where`, and count every
+ * matching row. Resolves to { rows, total, next }, next being the cursor of
+ * the following page or null on the last one.
+ */
+const findPage = async (model, list, { where = {}, attributes } = {}) => {
+    const filtered = { [Op.and]: [where, list.where] };
+    const total = await model.count({ where: filtered });
+    const rows = await model.findAll({
+        where: list.cursor ? { [Op.and]: [filtered, list.cursor] } : filtered,
+        order: list.order,
+        limit: list.limit + 1,
+        attributes: list.attributes || attributes,
+    });
+
+    const page = rows.slice(0, list.limit);
+    const last = page[page.length - 1];
+    const next = rows.length > list.limit
+        ? encodeCursor({
+            sort: describeSort(list.order),
+            values: list.order.map(([field]) => last.get(field)),
+        })
+        : null;
+    return { rows: page, total, next };
+};
+
+// Reduce a serialized row to the fields asked for with ?fields
+const pickFields = (list, values) => {
+    if (!list.fields) {
+        return values;
+    }
+    return Object.fromEntries(list.fields.filter((field) => field in values).map((field) => [field, values[field]]));
+};
+
+// Send X-Total-Count, and X-Next-Cursor with a Link to the next page unless
+// this is the last one
+const setPageHeaders = (req, res, page) => {
+    res.set('X-Total-Count', String(page.total));
+    if (page.next) {
+        const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+        url.searchParams.set('cursor', page.next);
+        res.set('X-Next-Cursor', page.next);
+        res.links({ next: url.toString() });
+    }
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    listQuery,
+    findPage,
+    pickFields,
+    setPageHeaders,
+};
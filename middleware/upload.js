@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const busboy = require('busboy');
+const config = require('../config');
+
+class UploadError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Pass a file stream through while hashing it, failing once it outgrows
+// maxBytes or at its end when it was empty. The returned summary holds the
+// size and SHA-256 once the stream has ended.
+const measureFile = (source, maxBytes) => {
+    const hash = crypto.createHash('sha256');
+    const summary = { size: 0, sha256: null };
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            summary.size += chunk.length;
+            if (summary.size > maxBytes) {
+                return callback(new UploadError(413, `File exceeds the ${maxBytes} byte limit.`));
+            }
+            hash.update(chunk);
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (!summary.size) {
+                return callback(new UploadError(400, 'Upload is empty.'));
+            }
+            summary.sha256 = hash.digest('hex');
+            callback();
+        },
+    });
+
+    source.on('error', (err) => stream.destroy(err));
+    // Whatever stops the file early, the rest of the request is still read so
+    // the response can be sent
+    stream.on('close', () => {
+        if (!source.readableEnded) {
+            source.unpipe(stream);
+            source.resume();
+        }
+    });
+    source.pipe(stream);
+    return { stream, summary };
+};
+
+const readMultipart = (req, maxBytes) => new Promise((resolve, reject) => {
+    let parser;
+    try {
+        parser = busboy({ headers: req.headers, defParamCharset: 'utf8', limits: { files: 1 } });
+    } catch (err) {
+        return reject(new UploadError(400, err.message));
+    }
+
+    let file = null;
+    parser.on('file', (name, stream, info) => {
+        if (name !== 'file' || file) {
+            return stream.resume();
+        }
+        file = {
+            ...measureFile(stream, maxBytes),
+            mimeType: info.mimeType,
+            fileName: info.filename,
+        };
+        resolve(file);
+    });
+    parser.on('error', (err) => {
+        const error = new UploadError(400, err.message);
+        if (file) {
+            file.stream.destroy(error);
+        }
+        reject(error);
+    });
+    parser.on('close', () => {
+        if (!file) {
+            reject(new UploadError(400, 'Multipart upload must include a "file" field.'));
+        }
+    });
+    req.pipe(parser);
+});
+
+const readRaw = (req, maxBytes) => {
+    const fileName = req.headers['x-filename'] ? decodeURIComponent(req.headers['x-filename']) : null;
+    return {
+        ...measureFile(req, maxBytes),
+        mimeType: (req.headers['content-type'] || 'application/octet-stream').split(';')[0].trim(),
+        fileName,
+    };
+};
+
+// Set req.upload to { stream, summary, mimeType, fileName } for a multipart
+// ("file" field) or raw binary request body, without reading it: the handler
+// consumes `stream`, which fails with a `status` for files that are too large
+// or empty, and finds { size, sha256 } in `summary` once it has ended. Raw
+// uploads name the file in an X-Filename header.
+const receiveUpload = ({ maxBytes = config.maxUploadBytes } = {}) =>
+    async (req, res, next) => {
+        // A body parser that got here first would leave nothing to read, and
+        // the upload would wait for it forever
+        if (req._body || req.readableEnded) {
+            return res.status(500).json({ error: 'The upload body was already consumed by another parser.' });
+        }
+        try {
+            const isMultipart = (req.headers['content-type'] || '').startsWith('multipart/form-data');
+            req.upload = isMultipart
+                ? await readMultipart(req, maxBytes)
+                : readRaw(req, maxBytes);
+            next();
+        } catch (err) {
+            res.status(err.status || 400).json({ error: err.message });
+        }
+    };
+
+module.exports = receiveUpload;
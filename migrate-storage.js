@@ -0,0 +1,93 @@
+// Move document content between storage drivers.
+//
+//   node migrate-storage.js [driver]
+//
+// `driver` defaults to the one configured in config/config.json for NODE_ENV.
+// Documents already stored there are left alone, so the script can be re-run
+// after an interruption.
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { Op } = require('sequelize');
+const { Document, sequelize } = require('./models');
+const { getStorage, getDocumentStorage } = require('./storage');
+const { createContentDecryption } = require('./encryption');
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// SHA-256 of the plaintext behind stored bytes, decrypting them if needed
+async function contentChecksum(document, stored) {
+  let plaintext = stored;
+  if (document.DataKey) {
+    const { transform } = createContentDecryption(document.DataKey, Number(document.Size));
+    plaintext = await readAll(Readable.from([stored]).pipe(transform));
+  }
+  return crypto.createHash('sha256').update(plaintext).digest('hex');
+}
+
+// Rows filled through the old JSON routes have Content but no metadata
+async function backfillLegacyContent() {
+  const legacy = await Document.unscoped().findAll({
+    attributes: ['DocumentID', 'Content'],
+    where: { SHA256: null, Content: { [Op.ne]: null } },
+  });
+  for (const document of legacy) {
+    await document.update({
+      Size: document.Content.length,
+      SHA256: crypto.createHash('sha256').update(document.Content).digest('hex'),
+      StorageDriver: 'postgres',
+      StorageKey: String(document.DocumentID),
+    });
+  }
+  return legacy.length;
+}
+
+async function migrate(target) {
+  const backfilled = await backfillLegacyContent();
+  if (backfilled) {
+    console.log(`Recorded metadata for ${backfilled} legacy document(s)`);
+  }
+
+  const documents = await Document.findAll({
+    where: { SHA256: { [Op.ne]: null } },
+    order: [['DocumentID', 'ASC']],
+  });
+
+  let moved = 0;
+  for (const document of documents) {
+    const source = getDocumentStorage(document);
+    if (source === target) {
+      continue;
+    }
+
+    // Encrypted content is moved as-is; only the checksum needs the plaintext
+    const buffer = await readAll(await source.read(document));
+    const sha256 = await contentChecksum(document, buffer);
+    if (sha256 !== document.SHA256) {
+      throw new Error(`Checksum mismatch for document ${document.DocumentID} in ${source.name}`);
+    }
+
+    const previous = { ...document.get() };
+    const StorageKey = await target.write(document, Readable.from([buffer]), {
+      mimeType: document.MimeType,
+    });
+    await document.update({ StorageDriver: target.name, StorageKey });
+    await source.remove(previous);
+
+    moved += 1;
+    console.log(`Moved document ${document.DocumentID} from ${source.name} to ${target.name}`);
+  }
+  console.log(`Moved ${moved} document(s) to ${target.name}`);
+}
+
+migrate(getStorage(process.argv[2]))
+  .catch((err) => {
+    console.error('Storage migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,153 @@
+// Apply and revert database migrations.
+//
+//   node migrate.js status
+//   node migrate.js up [name]
+//   node migrate.js down [name]
+//
+// Migrations are the files in migrations/, applied in file name order. The
+// names of those applied are recorded in SequelizeMeta, the table sequelize-cli
+// uses, so `npx sequelize-cli db:migrate` sees the same state. `up` applies
+// every pending migration, or those up to and including `name`; `down` reverts
+// the last one applied, or every one back to and including `name`. Each
+// migration runs in a transaction of its own.
+const fs = require('fs');
+const path = require('path');
+const { sequelize, Sequelize } = require('./models');
+
+// Seeders (see seed.js) are run the same way and recorded in SequelizeData,
+// as sequelize-cli does with seederStorage "sequelize"
+const MIGRATIONS = { directory: path.join(__dirname, 'migrations'), table: 'SequelizeMeta' };
+const SEEDERS = { directory: path.join(__dirname, 'seeders'), table: 'SequelizeData' };
+
+function listFiles(steps) {
+  if (!fs.existsSync(steps.directory)) {
+    return [];
+  }
+  return fs.readdirSync(steps.directory).filter((file) => file.endsWith('.js')).sort();
+}
+
+// Names recorded as applied; none before the table exists
+async function listApplied(steps) {
+  const queryInterface = sequelize.getQueryInterface();
+  if (!(await queryInterface.tableExists(steps.table))) {
+    return [];
+  }
+  const rows = await queryInterface.select(null, steps.table, { attributes: ['name'] });
+  return rows.map((row) => row.name);
+}
+
+/**
+ * Every step in the directory with whether it is applied, in the order they
+ * run: [{ name, applied }]. Names recorded without a file, e.g. after a
+ * branch switch, come last with missing: true.
+ */
+async function stepStatus(steps) {
+  const files = listFiles(steps);
+  const applied = await listApplied(steps);
+  return [
+    ...files.map((name) => ({ name, applied: applied.includes(name) })),
+    ...applied.filter((name) => !files.includes(name)).map((name) => ({ name, applied: true, missing: true })),
+  ];
+}
+
+// Names of the steps not applied yet
+async function pendingSteps(steps) {
+  return (await stepStatus(steps)).filter((step) => !step.applied).map((step) => step.name);
+}
+
+async function runStep(steps, name, direction) {
+  const queryInterface = sequelize.getQueryInterface();
+  await require(path.join(steps.directory, name))[direction](queryInterface, Sequelize);
+  if (direction === 'up') {
+    await queryInterface.bulkInsert(steps.table, [{ name }]);
+  } else {
+    await queryInterface.bulkDelete(steps.table, { name });
+  }
+}
+
+// Apply the pending steps, or those up to and including `target`. Resolves to
+// the names applied.
+async function applySteps(steps, target) {
+  const queryInterface = sequelize.getQueryInterface();
+  if (!(await queryInterface.tableExists(steps.table))) {
+    await queryInterface.createTable(steps.table, {
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+        primaryKey: true,
+      },
+    });
+  }
+  const pending = await pendingSteps(steps);
+  if (target && !pending.includes(target)) {
+    throw new Error(`${target} is not a pending step in ${path.basename(steps.directory)}/`);
+  }
+  const selected = target ? pending.slice(0, pending.indexOf(target) + 1) : pending;
+  for (const name of selected) {
+    await runStep(steps, name, 'up');
+    console.log(`Applied ${name}`);
+  }
+  return selected;
+}
+
+// Revert the last applied step, or every one back to and including `target`.
+// Resolves to the names reverted.
+async function revertSteps(steps, target) {
+  const status = await stepStatus(steps);
+  const missing = status.find((step) => step.missing);
+  if (missing) {
+    throw new Error(`${missing.name} is applied but has no file to revert it with`);
+  }
+  const applied = status.filter((step) => step.applied).map((step) => step.name).reverse();
+  if (target && !applied.includes(target)) {
+    throw new Error(`${target} is not an applied step in ${path.basename(steps.directory)}/`);
+  }
+  const selected = target ? applied.slice(0, applied.indexOf(target) + 1) : applied.slice(0, 1);
+  for (const name of selected) {
+    await runStep(steps, name, 'down');
+    console.log(`Reverted ${name}`);
+  }
+  return selected;
+}
+
+// Run `command` (status, up or down) against a directory of steps from the
+// command line
+async function runCommand(steps, command = 'status', target) {
+  if (command === 'status') {
+    const status = await stepStatus(steps);
+    status.forEach((step) => {
+      console.log(`${step.missing ? 'missing' : step.applied ? 'up     ' : 'down   '} ${step.name}`);
+    });
+    if (!status.length) {
+      console.log(`No files in ${path.basename(steps.directory)}/`);
+    }
+    return;
+  }
+  if (command !== 'up' && command !== 'down') {
+    throw new Error(`Unknown command "${command}"; use status, up or down`);
+  }
+  const names = command === 'up' ? await applySteps(steps, target) : await revertSteps(steps, target);
+  if (!names.length) {
+    console.log(command === 'up' ? 'Nothing to apply' : 'Nothing to revert');
+  }
+}
+
+if (require.main === module) {
+  runCommand(MIGRATIONS, process.argv[2], process.argv[3])
+    .catch((err) => {
+      console.error('Migration failed:', err);
+      process.exitCode = 1;
+    })
+    .finally(() => sequelize.close());
+}
+
+module.exports = {
+  MIGRATIONS,
+  SEEDERS,
+  stepStatus,
+  pendingSteps,
+  applySteps,
+  revertSteps,
+  runCommand,
+};
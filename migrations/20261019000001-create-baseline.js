@@ -0,0 +1,137 @@
+'use strict';
+
+// The schema the first release created with sync.js: users, DIDs, their
+// resources, documents and document transactions. The migrations after it
+// bring the schema to what the models define. Like every migration here,
+// tables are created only if missing, so a database built by sync.js adopts
+// the migrations without losing data.
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('Users', {
+        UserID: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        Name: Sequelize.STRING,
+        Email: Sequelize.STRING,
+        PhoneNumber: Sequelize.STRING,
+        LoginPIN: Sequelize.STRING,
+        DateOfBirth: Sequelize.DATEONLY,
+        AadhaarNumber: Sequelize.STRING,
+        PANNumber: Sequelize.STRING,
+        UserImage: Sequelize.BLOB,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+
+      await queryInterface.createTable('DIDs', {
+        ID: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+        },
+        Controller: Sequelize.STRING,
+        Created: Sequelize.DATE,
+        Updated: Sequelize.DATE,
+        DIDDocument: Sequelize.TEXT,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+
+      await queryInterface.createTable('Resources', {
+        ResourceID: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+        },
+        Payload: Sequelize.TEXT,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        DIDID: {
+          type: Sequelize.STRING,
+          references: { model: 'DIDs', key: 'ID' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+      }, { transaction });
+
+      await queryInterface.createTable('Documents', {
+        DocumentID: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        Content: Sequelize.BLOB,
+        Created: Sequelize.DATE,
+        Updated: Sequelize.DATE,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        OwnerID: {
+          type: Sequelize.INTEGER,
+          references: { model: 'Users', key: 'UserID' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+      }, { transaction });
+
+      await queryInterface.createTable('DocumentTransactions', {
+        TransactionID: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        TransactionData: Sequelize.JSONB,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        DocumentID: {
+          type: Sequelize.INTEGER,
+          references: { model: 'Documents', key: 'DocumentID' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('DocumentTransactions', { transaction });
+      await queryInterface.dropTable('Documents', { transaction });
+      await queryInterface.dropTable('Resources', { transaction });
+      await queryInterface.dropTable('DIDs', { transaction });
+      await queryInterface.dropTable('Users', { transaction });
+    });
+  },
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+// Roles, permissions and the permissions each role grants
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.createTable('Roles', {
+        Name: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+        },
+        Description: Sequelize.STRING,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+
+      await queryInterface.createTable('Permissions', {
+        Name: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+        },
+        Description: Sequelize.STRING,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+
+      await queryInterface.createTable('RolePermissions', {
+        RoleName: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          references: { model: 'Roles', key: 'Name' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        PermissionName: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+          references: { model: 'Permissions', key: 'Name' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('RolePermissions', { transaction });
+      await queryInterface.dropTable('Permissions', { transaction });
+      await queryInterface.dropTable('Roles', { transaction });
+    });
+  },
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+// The roles and permissions listed in config/roles.json. Rows that already
+// exist are left alone, so roles changed through /roles keep their changes;
+// a permission added to roles.json later needs a migration of its own that
+// inserts it the same way.
+const { permissions, roles } = require('../config/roles.json');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    const now = new Date();
+    const stamps = { createdAt: now, updatedAt: now };
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.bulkInsert(
+        'Permissions',
+        Object.entries(permissions).map(([Name, Description]) => ({ Name, Description, ...stamps })),
+        { transaction, ignoreDuplicates: true }
+      );
+      await queryInterface.bulkInsert(
+        'Roles',
+        Object.entries(roles).map(([Name, role]) => ({ Name, Description: role.description, ...stamps })),
+        { transaction, ignoreDuplicates: true }
+      );
+      const grants = Object.entries(roles).flatMap(([RoleName, role]) =>
+        role.permissions.map((PermissionName) => ({ RoleName, PermissionName, ...stamps }))
+      );
+      if (grants.length) {
+        await queryInterface.bulkInsert('RolePermissions', grants, { transaction, ignoreDuplicates: true });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.bulkDelete('Roles', { Name: Object.keys(roles) }, { transaction });
+      await queryInterface.bulkDelete('Permissions', { Name: Object.keys(permissions) }, { transaction });
+    });
+  },
+};
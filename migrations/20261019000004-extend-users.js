@@ -0,0 +1,139 @@
+'use strict';
+
+// Sign-in, encryption and roles for users, and the tokens issued to them.
+// Existing users get the user role. Aadhaar and PAN numbers stored before
+// encryption stay in plaintext, without AadhaarHash, until rotate-keys.js
+// encrypts them. Email and PhoneNumber become unique, so duplicates must be
+// merged first.
+const {
+  addMissingColumns,
+  removeColumns,
+  addUniqueConstraint,
+  removeUniqueConstraint,
+} = require('./helpers');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await addMissingColumns(queryInterface, 'Users', {
+        AadhaarHash: {
+          type: Sequelize.STRING(64),
+          unique: true,
+        },
+        FailedLoginAttempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        LockedUntil: Sequelize.DATE,
+        TokensValidAfter: Sequelize.DATE,
+        Role: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          defaultValue: 'user',
+        },
+        DataKey: Sequelize.TEXT,
+      }, transaction);
+      await addUniqueConstraint(queryInterface, 'Users', 'Email', transaction);
+      await addUniqueConstraint(queryInterface, 'Users', 'PhoneNumber', transaction);
+
+      await queryInterface.createTable('RefreshTokens', {
+        TokenID: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+        },
+        UserID: {
+          type: Sequelize.INTEGER,
+          references: { model: 'Users', key: 'UserID' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        FamilyID: {
+          type: Sequelize.UUID,
+          allowNull: false,
+        },
+        TokenHash: {
+          type: Sequelize.STRING,
+          allowNull: false,
+          unique: true,
+        },
+        AccessTokenJTI: Sequelize.STRING,
+        ExpiresAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        RevokedAt: Sequelize.DATE,
+        ReplacedByID: Sequelize.UUID,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+
+      await queryInterface.createTable('RevokedTokens', {
+        JTI: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+        },
+        UserID: Sequelize.INTEGER,
+        ExpiresAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+
+      await queryInterface.createTable('AuditLogs', {
+        AuditLogID: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        ActorID: Sequelize.INTEGER,
+        Action: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        TargetType: Sequelize.STRING,
+        TargetID: Sequelize.STRING,
+        Details: Sequelize.JSONB,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('AuditLogs', { transaction });
+      await queryInterface.dropTable('RevokedTokens', { transaction });
+      await queryInterface.dropTable('RefreshTokens', { transaction });
+      await removeUniqueConstraint(queryInterface, 'Users', 'PhoneNumber', transaction);
+      await removeUniqueConstraint(queryInterface, 'Users', 'Email', transaction);
+      await removeColumns(
+        queryInterface,
+        'Users',
+        ['AadhaarHash', 'FailedLoginAttempts', 'LockedUntil', 'TokensValidAfter', 'Role', 'DataKey'],
+        transaction
+      );
+    });
+  },
+};
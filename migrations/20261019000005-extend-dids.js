@@ -0,0 +1,166 @@
+'use strict';
+
+// Versioned DID Documents, DID deactivation, keys the server holds for DIDs,
+// and versioned DID-Linked Resources
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const didReference = {
+      type: Sequelize.STRING,
+      references: { model: 'DIDs', key: 'ID' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    };
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      // DIDDocument was free text; a document that is not JSON stops the
+      // migration here. Sequelize's changeColumn cannot say how to convert.
+      const dids = await queryInterface.describeTable('DIDs', { transaction });
+      if (dids.DIDDocument.type === 'TEXT') {
+        await queryInterface.sequelize.query(
+          'ALTER TABLE "DIDs" ALTER COLUMN "DIDDocument" TYPE JSON USING "DIDDocument"::JSON',
+          { transaction }
+        );
+      }
+      await addMissingColumns(queryInterface, 'DIDs', {
+        Deactivated: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+      }, transaction);
+
+      await queryInterface.createTable('DIDVersions', {
+        VersionID: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        DIDID: didReference,
+        VersionNumber: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        DIDDocument: Sequelize.JSON,
+        Deactivated: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        CreatedBy: Sequelize.INTEGER,
+        Created: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+      // Named as Sequelize names model indexes, so databases built by the old
+      // sync.js already have it
+      await queryInterface.sequelize.query(
+        'CREATE UNIQUE INDEX IF NOT EXISTS "d_i_d_versions__d_i_d_i_d__version_number" '
+          + 'ON "DIDVersions" ("DIDID", "VersionNumber")',
+        { transaction }
+      );
+
+      await queryInterface.createTable('DIDKeys', {
+        KeyID: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+        },
+        DIDID: didReference,
+        Type: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        PublicKeyMultibase: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        PrivateKey: Sequelize.TEXT,
+        DataKey: Sequelize.TEXT,
+        Created: Sequelize.DATE,
+        RevokedAt: Sequelize.DATE,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+
+      // Each DID that has no versions yet gets its current document as
+      // version 1
+      await queryInterface.sequelize.query(
+        `INSERT INTO "DIDVersions"
+          ("DIDID", "VersionNumber", "DIDDocument", "Deactivated", "Created", "createdAt", "updatedAt")
+        SELECT "ID", 1, "DIDDocument", "Deactivated", COALESCE("Updated", "Created", "createdAt"), NOW(), NOW()
+        FROM "DIDs"
+        WHERE NOT EXISTS (SELECT 1 FROM "DIDVersions" WHERE "DIDVersions"."DIDID" = "DIDs"."ID")`,
+        { transaction }
+      );
+
+      // Resources from before versioning become the only version of a
+      // resource named after their id, holding their Payload as text
+      await addMissingColumns(queryInterface, 'Resources', {
+        Name: Sequelize.STRING,
+        Type: Sequelize.STRING,
+        MediaType: Sequelize.STRING,
+        Version: Sequelize.STRING,
+        Checksum: Sequelize.STRING(64),
+        PreviousVersionID: {
+          type: Sequelize.STRING,
+          unique: true,
+        },
+        Created: Sequelize.DATE,
+      }, transaction);
+      await queryInterface.sequelize.query(
+        `UPDATE "Resources" SET
+          "Name" = COALESCE("Name", "ResourceID"),
+          "Type" = COALESCE("Type", 'LegacyResource'),
+          "MediaType" = COALESCE("MediaType", 'text/plain'),
+          "Checksum" = COALESCE("Checksum", ENCODE(SHA256(CONVERT_TO(COALESCE("Payload", ''), 'UTF8')), 'hex')),
+          "Created" = COALESCE("Created", "createdAt")
+        WHERE "Name" IS NULL OR "Type" IS NULL OR "MediaType" IS NULL OR "Checksum" IS NULL OR "Created" IS NULL`,
+        { transaction }
+      );
+      const required = {
+        Name: Sequelize.STRING,
+        Type: Sequelize.STRING,
+        MediaType: Sequelize.STRING,
+        Checksum: Sequelize.STRING(64),
+        Created: Sequelize.DATE,
+      };
+      for (const [name, type] of Object.entries(required)) {
+        await queryInterface.changeColumn('Resources', name, { type, allowNull: false }, { transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await removeColumns(
+        queryInterface,
+        'Resources',
+        ['Name', 'Type', 'MediaType', 'Version', 'Checksum', 'PreviousVersionID', 'Created'],
+        transaction
+      );
+      await queryInterface.dropTable('DIDKeys', { transaction });
+      await queryInterface.dropTable('DIDVersions', { transaction });
+      await removeColumns(queryInterface, 'DIDs', ['Deactivated'], transaction);
+      await queryInterface.sequelize.query(
+        'ALTER TABLE "DIDs" ALTER COLUMN "DIDDocument" TYPE TEXT',
+        { transaction }
+      );
+    });
+  },
+};
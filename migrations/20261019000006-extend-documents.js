@@ -0,0 +1,283 @@
+'use strict';
+
+// Document content metadata and encryption, the hash-chained transaction
+// ledger, grants, share links and the consent requests grants can be made
+// through
+const { addMissingColumns, removeColumns } = require('./helpers');
+
+// Entries recorded before the ledger existed are numbered in the order they
+// were made, recorded as transaction.imported at their creation time, and
+// chained as ledger.js would have chained them. Entries that already have a
+// hash are kept and chained onto.
+async function chainLegacyTransactions(queryInterface, transaction) {
+  // Required here rather than at the top: it loads the models
+  const { hashTransaction } = require('../ledger');
+  const query = (sql) => queryInterface.sequelize.query(sql, { transaction });
+  await query(
+    `UPDATE "DocumentTransactions" SET "Sequence" = "Numbered"."Sequence"
+    FROM (
+      SELECT "TransactionID", ROW_NUMBER() OVER (PARTITION BY "DocumentID" ORDER BY "TransactionID") AS "Sequence"
+      FROM "DocumentTransactions"
+    ) AS "Numbered"
+    WHERE "DocumentTransactions"."TransactionID" = "Numbered"."TransactionID"
+      AND "DocumentTransactions"."Sequence" IS NULL`
+  );
+  await query(
+    `UPDATE "DocumentTransactions" SET
+      "Action" = COALESCE("Action", 'transaction.imported'),
+      "RecordedAt" = COALESCE("RecordedAt", "createdAt")
+    WHERE "Action" IS NULL OR "RecordedAt" IS NULL`
+  );
+
+  const [entries] = await query(
+    'SELECT * FROM "DocumentTransactions" ORDER BY "DocumentID", "Sequence"'
+  );
+  let previous = null;
+  for (const entry of entries) {
+    if (previous && previous.DocumentID !== entry.DocumentID) {
+      previous = null;
+    }
+    if (!entry.Hash) {
+      entry.PreviousHash = previous ? previous.Hash : null;
+      entry.Hash = hashTransaction(entry);
+      await queryInterface.bulkUpdate(
+        'DocumentTransactions',
+        { PreviousHash: entry.PreviousHash, Hash: entry.Hash },
+        { TransactionID: entry.TransactionID },
+        { transaction }
+      );
+    }
+    previous = entry;
+  }
+}
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const documentReference = {
+      type: Sequelize.INTEGER,
+      references: { model: 'Documents', key: 'DocumentID' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    };
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await addMissingColumns(queryInterface, 'Documents', {
+        DocumentType: Sequelize.STRING,
+        MimeType: Sequelize.STRING,
+        FileName: Sequelize.STRING,
+        Size: Sequelize.BIGINT,
+        SHA256: Sequelize.STRING(64),
+        StorageDriver: Sequelize.STRING,
+        StorageKey: Sequelize.STRING,
+        DataKey: Sequelize.TEXT,
+      }, transaction);
+      // Content stored before uploads recorded it is described as stored by
+      // the postgres driver, which keeps it in the Content column
+      await queryInterface.sequelize.query(
+        `UPDATE "Documents" SET
+          "Size" = OCTET_LENGTH("Content"),
+          "SHA256" = ENCODE(SHA256("Content"), 'hex'),
+          "StorageDriver" = 'postgres',
+          "StorageKey" = "DocumentID"::TEXT
+        WHERE "Content" IS NOT NULL AND "SHA256" IS NULL`,
+        { transaction }
+      );
+
+      // DocumentID loses its foreign key: a document's history outlives the
+      // document
+      const references = await queryInterface.getForeignKeyReferencesForTable('DocumentTransactions', { transaction });
+      for (const reference of references.filter((fk) => fk.columnName === 'DocumentID')) {
+        await queryInterface.removeConstraint('DocumentTransactions', reference.constraintName, { transaction });
+      }
+      await addMissingColumns(queryInterface, 'DocumentTransactions', {
+        Sequence: Sequelize.INTEGER,
+        Action: Sequelize.STRING(64),
+        ActorID: Sequelize.INTEGER,
+        RecordedAt: Sequelize.DATE,
+        ContentHash: Sequelize.STRING(64),
+        CompensatesID: {
+          type: Sequelize.INTEGER,
+          unique: true,
+        },
+        Reason: Sequelize.STRING,
+        PreviousHash: Sequelize.STRING(64),
+        Hash: Sequelize.STRING(64),
+      }, transaction);
+      await chainLegacyTransactions(queryInterface, transaction);
+      const required = {
+        Sequence: Sequelize.INTEGER,
+        Action: Sequelize.STRING(64),
+        RecordedAt: Sequelize.DATE,
+        Hash: Sequelize.STRING(64),
+      };
+      for (const [name, type] of Object.entries(required)) {
+        await queryInterface.changeColumn('DocumentTransactions', name, { type, allowNull: false }, { transaction });
+      }
+      await queryInterface.sequelize.query(
+        'CREATE UNIQUE INDEX IF NOT EXISTS "document_transactions__document_i_d__sequence" '
+          + 'ON "DocumentTransactions" ("DocumentID", "Sequence")',
+        { transaction }
+      );
+
+      await queryInterface.createTable('ConsentRequests', {
+        ConsentID: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+        },
+        RequesterID: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        SubjectUserID: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        Purpose: {
+          type: Sequelize.TEXT,
+          allowNull: false,
+        },
+        DocumentTypes: {
+          type: Sequelize.JSON,
+          allowNull: false,
+        },
+        DurationDays: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        Status: {
+          type: Sequelize.STRING(16),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        DocumentIDs: Sequelize.JSON,
+        Reason: Sequelize.TEXT,
+        DecidedAt: Sequelize.DATE,
+        ExpiresAt: Sequelize.DATE,
+        RevokedAt: Sequelize.DATE,
+        RevokedBy: Sequelize.INTEGER,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+
+      await queryInterface.createTable('DocumentGrants', {
+        GrantID: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        DocumentID: documentReference,
+        GranteeUserID: Sequelize.INTEGER,
+        GranteeDID: Sequelize.STRING,
+        CanRead: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        CanWrite: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        CanShare: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        GrantedBy: Sequelize.INTEGER,
+        ExpiresAt: Sequelize.DATE,
+        ConsentID: {
+          type: Sequelize.STRING,
+          references: { model: 'ConsentRequests', key: 'ConsentID' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+
+      await queryInterface.createTable('DocumentShares', {
+        ShareID: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+        },
+        DocumentID: documentReference,
+        CreatedBy: Sequelize.INTEGER,
+        ExpiresAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        PinHash: Sequelize.STRING,
+        RequireOTP: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        OTPHash: Sequelize.STRING,
+        OTPExpiresAt: Sequelize.DATE,
+        MaxDownloads: Sequelize.INTEGER,
+        Downloads: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        ViewOnly: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        FailedAttempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        RevokedAt: Sequelize.DATE,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('DocumentShares', { transaction });
+      await queryInterface.dropTable('DocumentGrants', { transaction });
+      await queryInterface.dropTable('ConsentRequests', { transaction });
+      // The foreign key on DocumentTransactions is not restored: the entries
+      // of deleted documents would break it
+      await queryInterface.sequelize.query(
+        'DROP INDEX IF EXISTS "document_transactions__document_i_d__sequence"',
+        { transaction }
+      );
+      await removeColumns(
+        queryInterface,
+        'DocumentTransactions',
+        ['Sequence', 'Action', 'ActorID', 'RecordedAt', 'ContentHash', 'CompensatesID', 'Reason', 'PreviousHash', 'Hash'],
+        transaction
+      );
+      await removeColumns(
+        queryInterface,
+        'Documents',
+        ['DocumentType', 'MimeType', 'FileName', 'Size', 'SHA256', 'StorageDriver', 'StorageKey', 'DataKey'],
+        transaction
+      );
+    });
+  },
+};
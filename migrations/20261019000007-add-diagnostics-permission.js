@@ -0,0 +1,32 @@
+'use strict';
+
+// diagnostics:read, for GET /diagnostics, granted to admin on databases that
+// ran 20261019000003-add-default-roles before it was in roles.json. Elsewhere
+// the rows exist already and are left alone.
+const NAME = 'diagnostics:read';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface) {
+    const { permissions } = require('../config/roles.json');
+    const now = new Date();
+    const stamps = { createdAt: now, updatedAt: now };
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.bulkInsert(
+        'Permissions',
+        [{ Name: NAME, Description: permissions[NAME], ...stamps }],
+        { transaction, ignoreDuplicates: true }
+      );
+      await queryInterface.bulkInsert(
+        'RolePermissions',
+        [{ RoleName: 'admin', PermissionName: NAME, ...stamps }],
+        { transaction, ignoreDuplicates: true }
+      );
+    });
+  },
+
+  async down(queryInterface) {
+    // Its grants go with it (ON DELETE CASCADE)
+    await queryInterface.bulkDelete('Permissions', { Name: NAME });
+  },
+};
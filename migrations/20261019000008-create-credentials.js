@@ -0,0 +1,116 @@
+'use strict';
+
+// Issued Verifiable Credentials and the status list indexes allocated on
+// issuer DIDs
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      // DocumentID has no foreign key: credentials outlive the document they
+      // were issued over
+      await queryInterface.createTable('Credentials', {
+        CredentialID: {
+          type: Sequelize.STRING,
+          primaryKey: true,
+        },
+        IssuerDID: {
+          type: Sequelize.STRING,
+          references: { model: 'DIDs', key: 'ID' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        SubjectUserID: {
+          type: Sequelize.INTEGER,
+          references: { model: 'Users', key: 'UserID' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        DocumentID: Sequelize.INTEGER,
+        SubjectDID: Sequelize.STRING,
+        DocumentHash: {
+          type: Sequelize.STRING(64),
+          allowNull: false,
+        },
+        Format: {
+          type: Sequelize.STRING(16),
+          allowNull: false,
+        },
+        KeyID: {
+          type: Sequelize.STRING,
+          allowNull: false,
+        },
+        Credential: {
+          type: Sequelize.JSON,
+          allowNull: false,
+        },
+        JWT: Sequelize.TEXT,
+        IssuedBy: Sequelize.INTEGER,
+        ValidFrom: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        ValidUntil: Sequelize.DATE,
+        StatusIndex: Sequelize.INTEGER,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+
+      await queryInterface.createTable('StatusListEntries', {
+        EntryID: {
+          type: Sequelize.INTEGER,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        DIDID: {
+          type: Sequelize.STRING,
+          references: { model: 'DIDs', key: 'ID' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        StatusIndex: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        CredentialID: Sequelize.STRING,
+        Revoked: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        Suspended: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        AllocatedBy: Sequelize.INTEGER,
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+      }, { transaction });
+      await queryInterface.sequelize.query(
+        'CREATE UNIQUE INDEX IF NOT EXISTS "status_list_entries__d_i_d_i_d__status_index" '
+          + 'ON "StatusListEntries" ("DIDID", "StatusIndex")',
+        { transaction }
+      );
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.dropTable('StatusListEntries', { transaction });
+      await queryInterface.dropTable('Credentials', { transaction });
+    });
+  },
+};
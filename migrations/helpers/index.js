@@ -0,0 +1,49 @@
+'use strict';
+
+// Helpers shared by the migrations. They live in a directory of their own so
+// migrate.js and sequelize-cli do not take them for a migration.
+//
+// The migrations after the baseline may find their changes made already: a
+// database built by sync.js at a later release has that release's columns and
+// constraints. These helpers only make the changes that are still missing.
+
+// Add the columns `table` does not have yet
+async function addMissingColumns(queryInterface, table, columns, transaction) {
+  const existing = await queryInterface.describeTable(table, { transaction });
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing[name]) {
+      await queryInterface.addColumn(table, name, definition, { transaction });
+    }
+  }
+}
+
+// Remove the columns `table` still has
+async function removeColumns(queryInterface, table, names, transaction) {
+  const existing = await queryInterface.describeTable(table, { transaction });
+  for (const name of names.filter((column) => existing[column])) {
+    await queryInterface.removeColumn(table, name, { transaction });
+  }
+}
+
+// Make a column unique under the constraint name sync.js gives it
+async function addUniqueConstraint(queryInterface, table, field, transaction) {
+  const name = `${table}_${field}_key`;
+  const constraints = await queryInterface.showConstraint(table, name, { transaction });
+  if (!constraints.some((constraint) => constraint.constraintName === name)) {
+    await queryInterface.addConstraint(table, { type: 'unique', fields: [field], name, transaction });
+  }
+}
+
+async function removeUniqueConstraint(queryInterface, table, field, transaction) {
+  await queryInterface.sequelize.query(
+    `ALTER TABLE "${table}" DROP CONSTRAINT IF EXISTS "${table}_${field}_key"`,
+    { transaction }
+  );
+}
+
+module.exports = {
+  addMissingColumns,
+  removeColumns,
+  addUniqueConstraint,
+  removeUniqueConstraint,
+};
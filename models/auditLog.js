@@ -0,0 +1,22 @@
+'use strict';
+
+// Sensitive reads and other actions worth tracing
+module.exports = (sequelize, DataTypes) => {
+  const AuditLog = sequelize.define('AuditLog', {
+    AuditLogID: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    ActorID: DataTypes.INTEGER,
+    Action: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    TargetType: DataTypes.STRING,
+    TargetID: DataTypes.STRING,
+    Details: DataTypes.JSONB,
+  });
+
+  return AuditLog;
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+// A verifier asking a user for documents of some types, for a purpose and a
+// number of days. Approving it grants the verifier read access to the documents
+// the user picks until ExpiresAt.
+module.exports = (sequelize, DataTypes) => {
+  const ConsentRequest = sequelize.define('ConsentRequest', {
+    ConsentID: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+    },
+    RequesterID: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    SubjectUserID: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    Purpose: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+    DocumentTypes: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    DurationDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    // pending, approved, rejected or revoked; approved consents past ExpiresAt
+    // are reported as expired
+    Status: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      defaultValue: 'pending',
+    },
+    // The documents shared on approval
+    DocumentIDs: DataTypes.JSON,
+    // Given by the user on rejection
+    Reason: DataTypes.TEXT,
+    DecidedAt: DataTypes.DATE,
+    ExpiresAt: DataTypes.DATE,
+    RevokedAt: DataTypes.DATE,
+    RevokedBy: DataTypes.INTEGER,
+  });
+  ConsentRequest.prototype.toJSON = function toJSON() {
+    const values = { ...this.get() };
+    if (values.Status === 'approved' && values.ExpiresAt <= new Date()) {
+      values.Status = 'expired';
+    }
+    return values;
+  };
+
+  ConsentRequest.associate = ({ DocumentGrant }) => {
+    ConsentRequest.hasMany(DocumentGrant, { foreignKey: 'ConsentID' });
+  };
+
+  return ConsentRequest;
+};
@@ -0,0 +1,53 @@
+'use strict';
+
+const { appendOnlyHooks } = require('./helpers');
+
+// A Verifiable Credential issued by one of our DIDs about a stored document.
+// Credential holds the credential as issued, or the claims of JWT for jwt_vc
+// credentials. Issued credentials are never changed; DocumentHash keeps the
+// digest they attest after the document changes.
+module.exports = (sequelize, DataTypes) => {
+  const Credential = sequelize.define('Credential', {
+    CredentialID: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+    },
+    SubjectDID: DataTypes.STRING,
+    DocumentHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    Format: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+    },
+    KeyID: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    Credential: {
+      type: DataTypes.JSON,
+      allowNull: false,
+    },
+    JWT: DataTypes.TEXT,
+    IssuedBy: DataTypes.INTEGER,
+    ValidFrom: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    ValidUntil: DataTypes.DATE,
+    // The credential's index in its issuer's status lists
+    StatusIndex: DataTypes.INTEGER,
+  }, {
+    hooks: appendOnlyHooks('Credentials'),
+  });
+
+  Credential.associate = ({ DID, User, Document }) => {
+    Credential.belongsTo(DID, { foreignKey: 'IssuerDID' });
+    Credential.belongsTo(User, { foreignKey: 'SubjectUserID' });
+    Credential.belongsTo(Document, { foreignKey: 'DocumentID', constraints: false });
+  };
+
+  return Credential;
+};
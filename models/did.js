@@ -0,0 +1,30 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const DID = sequelize.define('DID', {
+    ID: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+    },
+    Controller: DataTypes.STRING,
+    Created: DataTypes.DATE,
+    Updated: DataTypes.DATE,
+    DIDDocument: DataTypes.JSON,
+    // Deactivated DIDs are kept as tombstones so old versions still resolve
+    Deactivated: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+  });
+
+  DID.associate = ({ DIDVersion, DIDKey, Resource, Credential, StatusListEntry }) => {
+    DID.hasMany(DIDVersion, { foreignKey: 'DIDID' });
+    DID.hasMany(DIDKey, { foreignKey: 'DIDID' });
+    DID.hasMany(Resource, { foreignKey: 'DIDID' });
+    DID.hasMany(Credential, { foreignKey: 'IssuerDID' });
+    DID.hasMany(StatusListEntry, { foreignKey: 'DIDID' });
+  };
+
+  return DID;
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+const { withoutDataKey } = require('./helpers');
+
+// A key pair the server generated for a DID. KeyID is the verification method
+// id in the DID Document; the private key is PKCS#8, encrypted with the key's
+// own data key.
+module.exports = (sequelize, DataTypes) => {
+  const DIDKey = sequelize.define('DIDKey', {
+    KeyID: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+    },
+    Type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    PublicKeyMultibase: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    PrivateKey: DataTypes.TEXT,
+    DataKey: DataTypes.TEXT,
+    Created: DataTypes.DATE,
+    // Set when the key is rotated out or its DID deactivated; it no longer signs
+    RevokedAt: DataTypes.DATE,
+  });
+  DIDKey.prototype.toJSON = function toJSON() {
+    const values = withoutDataKey.call(this);
+    delete values.PrivateKey;
+    return values;
+  };
+
+  DIDKey.associate = ({ DID }) => {
+    DIDKey.belongsTo(DID, { foreignKey: 'DIDID' });
+  };
+
+  return DIDKey;
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+const { appendOnlyHooks } = require('./helpers');
+
+// Every DID Document a DID has had, numbered from 1; the latest matches
+// DID.DIDDocument
+module.exports = (sequelize, DataTypes) => {
+  const DIDVersion = sequelize.define('DIDVersion', {
+    VersionID: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    VersionNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    DIDDocument: DataTypes.JSON,
+    Deactivated: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    CreatedBy: DataTypes.INTEGER,
+    Created: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+  }, {
+    indexes: [{ unique: true, fields: ['DIDID', 'VersionNumber'] }],
+    hooks: appendOnlyHooks('DIDVersions'),
+  });
+
+  DIDVersion.associate = ({ DID }) => {
+    DIDVersion.belongsTo(DID, { foreignKey: 'DIDID' });
+  };
+
+  return DIDVersion;
+};
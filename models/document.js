@@ -0,0 +1,44 @@
+'use strict';
+
+const { withoutDataKey } = require('./helpers');
+
+module.exports = (sequelize, DataTypes) => {
+  const Document = sequelize.define('Document', {
+    DocumentID: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    // What the document is, e.g. aadhaar or pan; consent requests ask for
+    // documents by type
+    DocumentType: DataTypes.STRING,
+    Content: DataTypes.BLOB,
+    MimeType: DataTypes.STRING,
+    FileName: DataTypes.STRING,
+    Size: DataTypes.BIGINT,
+    SHA256: DataTypes.STRING(64),
+    StorageDriver: DataTypes.STRING,
+    StorageKey: DataTypes.STRING,
+    DataKey: DataTypes.TEXT,
+    Created: DataTypes.DATE,
+    Updated: DataTypes.DATE,
+  }, {
+    // Content is only loaded by the download route
+    defaultScope: {
+      attributes: { exclude: ['Content'] },
+    },
+  });
+  Document.prototype.toJSON = withoutDataKey;
+
+  Document.associate = ({ User, DocumentTransaction, DocumentGrant, DocumentShare, Credential }) => {
+    Document.belongsTo(User, { foreignKey: 'OwnerID' });
+    // No foreign key constraint: a document's history outlives the document
+    Document.hasMany(DocumentTransaction, { foreignKey: 'DocumentID', constraints: false });
+    Document.hasMany(DocumentGrant, { foreignKey: 'DocumentID' });
+    Document.hasMany(DocumentShare, { foreignKey: 'DocumentID' });
+    // Like transactions, credentials outlive the document they were issued over
+    Document.hasMany(Credential, { foreignKey: 'DocumentID', constraints: false });
+  };
+
+  return Document;
+};
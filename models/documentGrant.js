@@ -0,0 +1,42 @@
+'use strict';
+
+// Access to a document given by its owner or a re-sharer to another user, or to
+// whoever controls a DID
+module.exports = (sequelize, DataTypes) => {
+  const DocumentGrant = sequelize.define('DocumentGrant', {
+    GrantID: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    GranteeUserID: DataTypes.INTEGER,
+    GranteeDID: DataTypes.STRING,
+    CanRead: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    CanWrite: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    CanShare: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    GrantedBy: DataTypes.INTEGER,
+    ExpiresAt: DataTypes.DATE,
+    // Set on grants made by approving a consent request; revoking the consent
+    // removes them
+    ConsentID: DataTypes.STRING,
+  });
+
+  DocumentGrant.associate = ({ Document, ConsentRequest }) => {
+    DocumentGrant.belongsTo(Document, { foreignKey: 'DocumentID' });
+    DocumentGrant.belongsTo(ConsentRequest, { foreignKey: 'ConsentID' });
+  };
+
+  return DocumentGrant;
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+// A link to a document for someone without an account. The link is a signed
+// token naming the share; the PIN and current one-time password are stored as
+// bcrypt hashes.
+module.exports = (sequelize, DataTypes) => {
+  const DocumentShare = sequelize.define('DocumentShare', {
+    ShareID: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+    },
+    CreatedBy: DataTypes.INTEGER,
+    ExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    PinHash: DataTypes.STRING,
+    RequireOTP: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    OTPHash: DataTypes.STRING,
+    OTPExpiresAt: DataTypes.DATE,
+    // Null for no limit
+    MaxDownloads: DataTypes.INTEGER,
+    Downloads: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    // Served inline and not meant to be saved, rather than as an attachment
+    ViewOnly: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    FailedAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    RevokedAt: DataTypes.DATE,
+  });
+  DocumentShare.prototype.toJSON = function toJSON() {
+    const values = { ...this.get() };
+    values.RequirePIN = Boolean(values.PinHash);
+    delete values.PinHash;
+    delete values.OTPHash;
+    delete values.OTPExpiresAt;
+    return values;
+  };
+
+  DocumentShare.associate = ({ Document }) => {
+    DocumentShare.belongsTo(Document, { foreignKey: 'DocumentID' });
+  };
+
+  return DocumentShare;
+};
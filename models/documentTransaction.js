@@ -0,0 +1,51 @@
+'use strict';
+
+const { appendOnlyHooks } = require('./helpers');
+
+// Transactions are an audit record and append-only: a mistaken entry is
+// corrected by a compensating entry that points at it through CompensatesID,
+// never by changing or removing it. Each document's transactions form a hash
+// chain through PreviousHash (see ledger.js).
+module.exports = (sequelize, DataTypes) => {
+  const DocumentTransaction = sequelize.define('DocumentTransaction', {
+    TransactionID: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    Sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    Action: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    TransactionData: DataTypes.JSONB,
+    ActorID: DataTypes.INTEGER,
+    RecordedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    ContentHash: DataTypes.STRING(64),
+    CompensatesID: {
+      type: DataTypes.INTEGER,
+      unique: true,
+    },
+    Reason: DataTypes.STRING,
+    PreviousHash: DataTypes.STRING(64),
+    Hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+  }, {
+    indexes: [{ unique: true, fields: ['DocumentID', 'Sequence'] }],
+    hooks: appendOnlyHooks('DocumentTransactions'),
+  });
+
+  DocumentTransaction.associate = ({ Document }) => {
+    DocumentTransaction.belongsTo(Document, { foreignKey: 'DocumentID', constraints: false });
+  };
+
+  return DocumentTransaction;
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+// Helpers shared by the model definitions. They live in a directory of their
+// own so the loader in models/index.js does not take them for a model.
+const { DataTypes } = require('sequelize');
+const { decryptField } = require('../../encryption');
+
+// A string column stored encrypted under the row's own DataKey, read back as
+// plaintext
+const encryptedString = (field) => ({
+  type: DataTypes.STRING,
+  get() {
+    return decryptField(this.getDataValue(field), this.getDataValue('DataKey'), field);
+  },
+});
+
+// Wrapped data keys are never serialized
+function withoutDataKey() {
+  const values = { ...this.get() };
+  delete values.DataKey;
+  return values;
+}
+
+// Hooks for history tables whose rows must never change once written
+function appendOnlyHooks(name) {
+  const reject = () => {
+    throw new Error(`${name} are append-only`);
+  };
+  return {
+    beforeUpdate: reject,
+    beforeBulkUpdate: reject,
+    beforeDestroy: reject,
+    beforeBulkDestroy: reject,
+  };
+}
+
+module.exports = {
+  encryptedString,
+  withoutDataKey,
+  appendOnlyHooks,
+};
@@ -5,8 +5,7 @@ const path = require('path');
 const Sequelize = require('sequelize');
 const process = require('process');
 const basename = path.basename(__filename);
-const env = process.env.NODE_ENV || 'development';
-const config = require(__dirname + '/../config/config.json')[env];
+const config = require('../config').database;
 const db = {};
 
 let sequelize;
@@ -32,83 +31,13 @@ fs
     db[model.name] = model;
   });
 
-// Define the User model
-const User = sequelize.define('User', {
-  UserID: {
-    type: Sequelize.INTEGER,
-    primaryKey: true,
-    autoIncrement: true,
-  },
-  Name: Sequelize.STRING,
-  Email: Sequelize.STRING,
-  PhoneNumber: Sequelize.STRING,
-  LoginPIN: Sequelize.STRING,
-  DateOfBirth: Sequelize.DATEONLY,
-  AadhaarNumber: Sequelize.STRING,
-  PANNumber: Sequelize.STRING,
-  UserImage: Sequelize.BLOB,
+// Set up associations once every model is defined
+Object.keys(db).forEach(modelName => {
+  if (db[modelName].associate) {
+    db[modelName].associate(db);
+  }
 });
 
-// Define the DID model
-const DID = sequelize.define('DID', {
-  ID: {
-    type: Sequelize.STRING,
-    primaryKey: true,
-  },
-  Controller: Sequelize.STRING,
-  Created: Sequelize.DATE,
-  Updated: Sequelize.DATE,
-  DIDDocument: Sequelize.TEXT,
-});
-
-// Define the Resource model
-const Resource = sequelize.define('Resource', {
-  ResourceID: {
-    type: Sequelize.STRING,
-    primaryKey: true,
-  },
-  Payload: Sequelize.TEXT,
-});
-
-// Define the Document model
-const Document = sequelize.define('Document', {
-  DocumentID: {
-    type: Sequelize.INTEGER,
-    primaryKey: true,
-    autoIncrement: true,
-  },
-  Content: Sequelize.BLOB,
-  Created: Sequelize.DATE,
-  Updated: Sequelize.DATE,
-});
-
-// Define the DocumentTransaction model
-const DocumentTransaction = sequelize.define('DocumentTransaction', {
-  TransactionID: {
-    type: Sequelize.INTEGER,
-    primaryKey: true,
-    autoIncrement: true,
-  },
-  TransactionData: Sequelize.JSONB,
-});
-
-// Define associations
-User.hasMany(Document, { foreignKey: 'OwnerID' });
-Document.belongsTo(User, { foreignKey: 'OwnerID' });
-
-DID.hasMany(Resource, { foreignKey: 'DIDID' });
-Resource.belongsTo(DID, { foreignKey: 'DIDID' });
-
-Document.hasMany(DocumentTransaction, { foreignKey: 'DocumentID' });
-DocumentTransaction.belongsTo(Document, { foreignKey: 'DocumentID' });
-
-// Add models to the db object
-db.User = User;
-db.DID = DID;
-db.Resource = Resource;
-db.Document = Document;
-db.DocumentTransaction = DocumentTransaction;
-
 // Export the db object with Sequelize instance
 db.sequelize = sequelize;
 db.Sequelize = Sequelize;
@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Permission = sequelize.define('Permission', {
+    Name: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+    },
+    Description: DataTypes.STRING,
+  });
+
+  Permission.associate = ({ Role, RolePermission }) => {
+    Permission.belongsToMany(Role, {
+      through: RolePermission,
+      foreignKey: 'PermissionName',
+      otherKey: 'RoleName',
+    });
+  };
+
+  return Permission;
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+// Tokens rotated from the same login share a FamilyID so the whole chain can be
+// revoked when a used token is replayed.
+module.exports = (sequelize, DataTypes) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    TokenID: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+    },
+    FamilyID: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    TokenHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+    AccessTokenJTI: DataTypes.STRING,
+    ExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    RevokedAt: DataTypes.DATE,
+    ReplacedByID: DataTypes.UUID,
+  });
+
+  RefreshToken.associate = ({ User }) => {
+    RefreshToken.belongsTo(User, { foreignKey: 'UserID' });
+  };
+
+  return RefreshToken;
+};
@@ -0,0 +1,51 @@
+'use strict';
+
+const { appendOnlyHooks } = require('./helpers');
+
+// A DID-Linked Resource, addressed as <DIDID>/resources/<ResourceID>.
+// Resources are immutable once published; a new version is a new resource with
+// the same Name and Type that links back through PreviousVersionID.
+module.exports = (sequelize, DataTypes) => {
+  const Resource = sequelize.define('Resource', {
+    ResourceID: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4,
+    },
+    Name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    Type: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    MediaType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    Version: DataTypes.STRING,
+    Checksum: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+    // A resource has at most one next version
+    PreviousVersionID: {
+      type: DataTypes.STRING,
+      unique: true,
+    },
+    Payload: DataTypes.TEXT,
+    Created: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+  }, {
+    hooks: appendOnlyHooks('Resources'),
+  });
+
+  Resource.associate = ({ DID }) => {
+    Resource.belongsTo(DID, { foreignKey: 'DIDID' });
+  };
+
+  return Resource;
+};
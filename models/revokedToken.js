@@ -0,0 +1,18 @@
+'use strict';
+
+// Access tokens rejected before they expire
+module.exports = (sequelize, DataTypes) => {
+  const RevokedToken = sequelize.define('RevokedToken', {
+    JTI: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+    },
+    UserID: DataTypes.INTEGER,
+    ExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+  });
+
+  return RevokedToken;
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+// A role users are given by name through User.Role, and the permissions it
+// grants
+module.exports = (sequelize, DataTypes) => {
+  const Role = sequelize.define('Role', {
+    Name: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+    },
+    Description: DataTypes.STRING,
+  });
+
+  Role.associate = ({ Permission, RolePermission }) => {
+    Role.belongsToMany(Permission, {
+      through: RolePermission,
+      foreignKey: 'RoleName',
+      otherKey: 'PermissionName',
+    });
+  };
+
+  return Role;
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const RolePermission = sequelize.define('RolePermission', {
+    RoleName: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+    },
+    PermissionName: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+    },
+  });
+
+  return RolePermission;
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+// A status index allocated on an issuer DID (see status-list.js). CredentialID
+// is set for credentials issued here; indexes can also be allocated for
+// credentials issued elsewhere.
+module.exports = (sequelize, DataTypes) => {
+  const StatusListEntry = sequelize.define('StatusListEntry', {
+    EntryID: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    StatusIndex: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    CredentialID: DataTypes.STRING,
+    Revoked: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    Suspended: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    AllocatedBy: DataTypes.INTEGER,
+  }, {
+    indexes: [{ unique: true, fields: ['DIDID', 'StatusIndex'] }],
+  });
+
+  StatusListEntry.associate = ({ DID }) => {
+    StatusListEntry.belongsTo(DID, { foreignKey: 'DIDID' });
+  };
+
+  return StatusListEntry;
+};
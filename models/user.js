@@ -0,0 +1,91 @@
+'use strict';
+
+const bcrypt = require('bcryptjs');
+const {
+  generateDataKey,
+  encryptField,
+  isEncryptedField,
+  blindIndex,
+} = require('../encryption');
+const { encryptedString, withoutDataKey } = require('./helpers');
+
+// Sensitive User columns, stored encrypted under the row's own DataKey
+const ENCRYPTED_USER_FIELDS = ['AadhaarNumber', 'PANNumber'];
+
+module.exports = (sequelize, DataTypes) => {
+  const User = sequelize.define('User', {
+    UserID: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    Name: DataTypes.STRING,
+    Email: {
+      type: DataTypes.STRING,
+      unique: true,
+    },
+    PhoneNumber: {
+      type: DataTypes.STRING,
+      unique: true,
+    },
+    LoginPIN: DataTypes.STRING,
+    DateOfBirth: DataTypes.DATEONLY,
+    AadhaarNumber: encryptedString('AadhaarNumber'),
+    // Blind index of AadhaarNumber, enforcing uniqueness over the encrypted values
+    AadhaarHash: {
+      type: DataTypes.STRING(64),
+      unique: true,
+    },
+    PANNumber: encryptedString('PANNumber'),
+    UserImage: DataTypes.BLOB,
+    FailedLoginAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    LockedUntil: DataTypes.DATE,
+    TokensValidAfter: DataTypes.DATE,
+    Role: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'user',
+    },
+    DataKey: DataTypes.TEXT,
+  }, {
+    hooks: {
+      beforeSave: async (user) => {
+        // LoginPIN is only ever stored as a bcrypt hash
+        if (user.changed('LoginPIN') && user.LoginPIN) {
+          user.LoginPIN = await bcrypt.hash(String(user.LoginPIN), 10);
+        }
+
+        if (user.changed('AadhaarNumber')) {
+          const aadhaar = user.getDataValue('AadhaarNumber');
+          if (!isEncryptedField(aadhaar)) {
+            user.AadhaarHash = aadhaar == null ? null : blindIndex(aadhaar, 'AadhaarNumber');
+          }
+        }
+
+        ENCRYPTED_USER_FIELDS.forEach((field) => {
+          const value = user.getDataValue(field);
+          if (!user.changed(field) || value == null || isEncryptedField(value)) {
+            return;
+          }
+          if (!user.DataKey) {
+            user.DataKey = generateDataKey().wrappedKey;
+          }
+          user.setDataValue(field, encryptField(value, user.DataKey, field));
+        });
+      },
+    },
+  });
+  User.prototype.toJSON = withoutDataKey;
+
+  User.associate = ({ Document, Credential, RefreshToken }) => {
+    User.hasMany(Document, { foreignKey: 'OwnerID' });
+    User.hasMany(Credential, { foreignKey: 'SubjectUserID' });
+    User.hasMany(RefreshToken, { foreignKey: 'UserID' });
+  };
+
+  return User;
+};
@@ -0,0 +1,70 @@
+// DID-Linked Resources: immutable content published on a DID, addressed as
+// <DID>/resources/<ResourceID>. Publishing content under an existing Name and
+// Type adds a version that links back to the latest one.
+const crypto = require('crypto');
+const { Resource } = require('./models');
+
+// Media types resources may be published and served as. Their content is
+// served publicly from our origin, so nothing a browser would render as a
+// page or run scripts from: no HTML, XML or SVG.
+const RESOURCE_MEDIA_TYPES = [
+  'application/json',
+  'application/ld+json',
+  'application/schema+json',
+  'application/vc',
+  'application/vc+jwt',
+  'application/octet-stream',
+  'text/plain',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+];
+
+// The type to serve a stored resource as; anything outside the list, e.g.
+// from before it existed, is served as opaque bytes
+function servedMediaType(resource) {
+  return RESOURCE_MEDIA_TYPES.includes(resource.MediaType) ? resource.MediaType : 'application/octet-stream';
+}
+
+// The latest version of a DID's resource with the given Name and Type: the one
+// no other version points back to
+async function findLatestResource(didId, name, type, transaction) {
+  const versions = await Resource.findAll({
+    attributes: ['ResourceID', 'PreviousVersionID'],
+    where: { DIDID: didId, Name: name, Type: type },
+    transaction,
+  });
+  const preceding = new Set(versions.map((version) => version.PreviousVersionID));
+  return versions.find((version) => !preceding.has(version.ResourceID)) || null;
+}
+
+/**
+ * Publish content as the next version of a DID's resource. Call within a
+ * transaction that has locked the DID row, so two versions cannot claim the
+ * same predecessor.
+ */
+async function publishResource(didId, { Name, Type, MediaType, Version = null, content }, transaction) {
+  const previous = await findLatestResource(didId, Name, Type, transaction);
+  return Resource.create(
+    {
+      DIDID: didId,
+      Name,
+      Type,
+      MediaType,
+      Version,
+      Checksum: crypto.createHash('sha256').update(content).digest('hex'),
+      PreviousVersionID: previous ? previous.ResourceID : null,
+      Payload: content,
+      Created: new Date(),
+    },
+    { transaction }
+  );
+}
+
+module.exports = {
+  RESOURCE_MEDIA_TYPES,
+  servedMediaType,
+  findLatestResource,
+  publishResource,
+};
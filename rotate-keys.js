@@ -0,0 +1,119 @@
+// Re-wrap data keys under the active master key.
+//
+//   node rotate-keys.js
+//
+// To rotate, put the new key first in ENCRYPTION_KEYS (or make it activeKey in
+// config/config.json), keep the old keys listed, run this script, then retire
+// the old keys. Only the wrapped data keys change; encrypted content and fields
+// are not re-encrypted. Records still stored in plaintext from before
+// encryption was introduced are encrypted first.
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { Op } = require('sequelize');
+const { DIDKey, Document, User, sequelize } = require('./models');
+const { getDocumentStorage } = require('./storage');
+const {
+  getActiveKeyId,
+  wrappedKeyId,
+  rewrapKey,
+  encryptContent,
+  isEncryptedField,
+} = require('./encryption');
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function encryptLegacyUsers() {
+  const users = await User.findAll({
+    where: {
+      [Op.or]: [
+        { AadhaarNumber: { [Op.and]: [{ [Op.ne]: null }, { [Op.notLike]: 'enc:%' }] } },
+        { PANNumber: { [Op.and]: [{ [Op.ne]: null }, { [Op.notLike]: 'enc:%' }] } },
+      ],
+    },
+  });
+  for (const user of users) {
+    // The beforeSave hook encrypts whichever fields are marked as changed
+    ['AadhaarNumber', 'PANNumber'].forEach((field) => {
+      if (user.getDataValue(field) != null && !isEncryptedField(user.getDataValue(field))) {
+        user.changed(field, true);
+      }
+    });
+    await user.save();
+  }
+  return users.length;
+}
+
+async function encryptLegacyDocuments() {
+  const documents = await Document.findAll({
+    where: { SHA256: { [Op.ne]: null }, DataKey: null },
+  });
+  for (const document of documents) {
+    const storage = getDocumentStorage(document);
+    const plaintext = await readAll(await storage.read(document));
+    if (crypto.createHash('sha256').update(plaintext).digest('hex') !== document.SHA256) {
+      throw new Error(`Checksum mismatch for document ${document.DocumentID}`);
+    }
+
+    // The plaintext stays where it is until the ciphertext and the key that
+    // decrypts it are both recorded, so an interruption loses nothing: the
+    // ciphertext goes under a key of its own, or for the postgres driver into
+    // the same transaction as the row update
+    const previous = { ...document.get() };
+    const { ciphertext, wrappedKey } = encryptContent(plaintext);
+    const StorageKey = await sequelize.transaction(async (transaction) => {
+      const key = await storage.write(document, Readable.from([ciphertext]), {
+        mimeType: document.MimeType,
+        transaction,
+      });
+      await document.update({ StorageKey: key, DataKey: wrappedKey }, { transaction });
+      return key;
+    });
+    if (StorageKey !== previous.StorageKey) {
+      await storage.remove(previous);
+    }
+  }
+  return documents.length;
+}
+
+async function rewrapDataKeys(Model, primaryKey) {
+  const activeKeyId = getActiveKeyId();
+  const rows = await Model.unscoped().findAll({
+    attributes: [primaryKey, 'DataKey'],
+    where: { DataKey: { [Op.ne]: null } },
+  });
+
+  let rewrapped = 0;
+  for (const row of rows) {
+    if (wrappedKeyId(row.DataKey) === activeKeyId) {
+      continue;
+    }
+    await Model.unscoped().update(
+      { DataKey: rewrapKey(row.DataKey) },
+      { where: { [primaryKey]: row[primaryKey], DataKey: row.DataKey } }
+    );
+    rewrapped += 1;
+  }
+  return rewrapped;
+}
+
+async function rotate() {
+  const activeKeyId = getActiveKeyId();
+  console.log(`Encrypted ${await encryptLegacyUsers()} plaintext user record(s)`);
+  console.log(`Encrypted ${await encryptLegacyDocuments()} plaintext document(s)`);
+  console.log(`Re-wrapped ${await rewrapDataKeys(User, 'UserID')} user data key(s) under ${activeKeyId}`);
+  console.log(`Re-wrapped ${await rewrapDataKeys(Document, 'DocumentID')} document data key(s) under ${activeKeyId}`);
+  console.log(`Re-wrapped ${await rewrapDataKeys(DIDKey, 'KeyID')} DID key data key(s) under ${activeKeyId}`);
+}
+
+rotate()
+  .catch((err) => {
+    console.error('Key rotation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
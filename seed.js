@@ -0,0 +1,25 @@
+// Fill the database with sample users, DIDs and documents for local development.
+//
+//   node seed.js status
+//   node seed.js up [name]
+//   node seed.js down [name]
+//
+// Works like migrate.js, over the files in seeders/; run the migrations first.
+// Refuses to run in production.
+const config = require('./config');
+const { sequelize } = require('./models');
+const { SEEDERS, runCommand } = require('./migrate');
+
+async function seed() {
+  if (config.env === 'production') {
+    throw new Error('Sample data is not for production databases');
+  }
+  await runCommand(SEEDERS, process.argv[2], process.argv[3]);
+}
+
+seed()
+  .catch((err) => {
+    console.error('Seeding failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,64 @@
+'use strict';
+
+// Sample users, one per role. Every one logs in with PIN 1234. Aadhaar and PAN
+// numbers are made up but pass validation, and are encrypted like real ones.
+const { User } = require('../models');
+
+const USERS = [
+  {
+    Name: 'Asha Verma',
+    Email: 'asha.verma@example.in',
+    PhoneNumber: '+919810000001',
+    DateOfBirth: '1984-03-12',
+    AadhaarNumber: '234567890124',
+    PANNumber: 'AVKPV4821M',
+    Role: 'admin',
+  },
+  {
+    Name: 'Rahul Mehta',
+    Email: 'rahul.mehta@example.in',
+    PhoneNumber: '+919820000002',
+    DateOfBirth: '1991-07-25',
+    AadhaarNumber: '398712543067',
+    PANNumber: 'BQMPM7310K',
+    Role: 'user',
+  },
+  {
+    Name: 'Priya Nair',
+    Email: 'priya.nair@example.in',
+    PhoneNumber: '+919830000003',
+    DateOfBirth: '1996-11-02',
+    AadhaarNumber: '482156379205',
+    PANNumber: 'CNRPN2964L',
+    Role: 'user',
+  },
+  {
+    Name: 'Imran Sheikh',
+    Email: 'imran.sheikh@example.in',
+    PhoneNumber: '+919840000004',
+    DateOfBirth: '1988-01-30',
+    AadhaarNumber: '573429186404',
+    PANNumber: 'DSHPS5178Q',
+    Role: 'user',
+  },
+  {
+    Name: 'Sunrise Bank KYC Desk',
+    Email: 'kyc@sunrisebank.example',
+    PhoneNumber: '+918040000005',
+    Role: 'verifier',
+  },
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up() {
+    // One at a time, so the hooks hash the PIN and encrypt each user's fields
+    for (const user of USERS) {
+      await User.create({ ...user, LoginPIN: '1234' });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('Users', { PhoneNumber: USERS.map((user) => user.PhoneNumber) });
+  },
+};
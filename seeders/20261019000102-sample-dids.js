@@ -0,0 +1,95 @@
+'use strict';
+
+// Sample DIDs with server-held keys: did:key DIDs for two of the sample users,
+// and a did:web issuer DID for the sample verifier to issue credentials from.
+// The did:web DID is issued under DID_WEB_DOMAIN and skipped when it is unset.
+const { Op } = require('sequelize');
+const config = require('../config');
+const { DID, DIDKey, DIDVersion, User } = require('../models');
+const { generateDataKey, encryptField } = require('../encryption');
+const {
+  generateKeyPair,
+  exportPrivateKey,
+  singleKeyDocument,
+  didKeyFromMultibase,
+  didWebId,
+} = require('../did');
+
+const CONTROLLERS = ['+919820000002', '+919830000003', '+918040000005'];
+
+// Store a DID for a generated key with its key and first version, as the
+// /dids/key and /dids/web routes do
+async function createDID(controller, ID, key, methodId) {
+  const now = new Date();
+  const did = await DID.create({
+    ID,
+    Controller: String(controller.UserID),
+    DIDDocument: singleKeyDocument(ID, methodId, key.publicKeyMultibase),
+    Created: now,
+    Updated: now,
+  });
+  const { wrappedKey } = generateDataKey();
+  await DIDKey.create({
+    KeyID: methodId,
+    DIDID: ID,
+    Type: key.type,
+    PublicKeyMultibase: key.publicKeyMultibase,
+    PrivateKey: encryptField(exportPrivateKey(key.privateKey), wrappedKey, 'PrivateKey'),
+    DataKey: wrappedKey,
+    Created: now,
+  });
+  await DIDVersion.create({
+    DIDID: ID,
+    VersionNumber: 1,
+    DIDDocument: did.DIDDocument,
+    Deactivated: false,
+    CreatedBy: controller.UserID,
+    Created: now,
+  });
+  return did;
+}
+
+async function findControllers() {
+  const users = await User.findAll({ where: { PhoneNumber: CONTROLLERS } });
+  if (users.length !== CONTROLLERS.length) {
+    throw new Error('The sample users are missing; apply their seeder first');
+  }
+  return Object.fromEntries(users.map((user) => [user.PhoneNumber, user]));
+}
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up() {
+    const users = await findControllers();
+    const [rahul, priya, bank] = CONTROLLERS.map((phone) => users[phone]);
+
+    for (const [user, type] of [[rahul, 'Ed25519'], [priya, 'secp256k1']]) {
+      const key = generateKeyPair(type);
+      const ID = didKeyFromMultibase(key.publicKeyMultibase);
+      await createDID(user, ID, key, `${ID}#${key.publicKeyMultibase}`);
+    }
+
+    if (!config.didWebDomain) {
+      console.log('DID_WEB_DOMAIN is not set; skipping the did:web issuer');
+      return;
+    }
+    const ID = didWebId(config.didWebDomain, ['issuers', 'sunrise-bank']);
+    await createDID(bank, ID, generateKeyPair('Ed25519'), `${ID}#key-1`);
+  },
+
+  async down(queryInterface) {
+    const users = await findControllers();
+    const dids = await DID.findAll({
+      attributes: ['ID'],
+      where: { Controller: { [Op.in]: Object.values(users).map((user) => String(user.UserID)) } },
+    });
+    const ids = dids.map((did) => did.ID);
+    if (!ids.length) {
+      return;
+    }
+    // Through the query interface: versions are append-only in the models
+    await queryInterface.bulkDelete('DIDVersions', { DIDID: ids });
+    await queryInterface.bulkDelete('DIDKeys', { DIDID: ids });
+    await queryInterface.bulkDelete('DIDs', { ID: ids });
+  },
+};
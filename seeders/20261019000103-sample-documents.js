@@ -0,0 +1,156 @@
+'use strict';
+
+// Sample documents for the sample users, stored through the configured storage
+// driver and encrypted like uploads, each with the transactions an upload
+// records
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { Document, User } = require('../models');
+const { getStorage, getDocumentStorage } = require('../storage');
+const { encryptContent } = require('../encryption');
+const { appendTransaction } = require('../ledger');
+
+const DOCUMENTS = [
+  {
+    owner: '+919820000002',
+    DocumentType: 'aadhaar',
+    FileName: 'aadhaar-rahul-mehta.txt',
+    content: [
+      'Government of India',
+      'Name: Rahul Mehta',
+      'DOB: 25/07/1991',
+      'Gender: Male',
+      'Aadhaar: XXXX XXXX 3067',
+      'Address: 14 Residency Road, Bengaluru, Karnataka 560025',
+    ],
+  },
+  {
+    owner: '+919820000002',
+    DocumentType: 'pan',
+    FileName: 'pan-rahul-mehta.txt',
+    content: [
+      'Income Tax Department, Govt. of India',
+      'Permanent Account Number: BQMPM7310K',
+      'Name: RAHUL MEHTA',
+      "Father's Name: SURESH MEHTA",
+      'Date of Birth: 25/07/1991',
+    ],
+  },
+  {
+    owner: '+919820000002',
+    DocumentType: 'payslip',
+    FileName: 'payslip-2026-09-rahul-mehta.txt',
+    content: [
+      'Northwind Technologies Pvt. Ltd.',
+      'Payslip for September 2026',
+      'Employee: Rahul Mehta (NW-10482)',
+      'Gross earnings: INR 1,42,500',
+      'Deductions: INR 21,380',
+      'Net pay: INR 1,21,120',
+    ],
+  },
+  {
+    owner: '+919830000003',
+    DocumentType: 'aadhaar',
+    FileName: 'aadhaar-priya-nair.txt',
+    content: [
+      'Government of India',
+      'Name: Priya Nair',
+      'DOB: 02/11/1996',
+      'Gender: Female',
+      'Aadhaar: XXXX XXXX 9205',
+      'Address: 7 Marine Drive, Kochi, Kerala 682031',
+    ],
+  },
+  {
+    owner: '+919830000003',
+    DocumentType: 'degree',
+    FileName: 'degree-priya-nair.txt',
+    content: [
+      'University of Kerala',
+      'Bachelor of Technology in Computer Science and Engineering',
+      'Awarded to Priya Nair',
+      'Class: First Class with Distinction',
+      'Convocation: 2018',
+    ],
+  },
+  {
+    owner: '+919840000004',
+    DocumentType: 'driving-licence',
+    FileName: 'driving-licence-imran-sheikh.txt',
+    content: [
+      'Union of India - Driving Licence',
+      'DL No: MH01 20080012345',
+      'Name: Imran Sheikh',
+      'DOB: 30/01/1988',
+      'Valid till: 29/01/2038',
+      'Class of vehicle: LMV, MCWG',
+    ],
+  },
+];
+
+const OWNERS = [...new Set(DOCUMENTS.map((document) => document.owner))];
+
+async function findOwners() {
+  const users = await User.findAll({ where: { PhoneNumber: OWNERS } });
+  if (users.length !== OWNERS.length) {
+    throw new Error('The sample users are missing; apply their seeder first');
+  }
+  return Object.fromEntries(users.map((user) => [user.PhoneNumber, user]));
+}
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up() {
+    const owners = await findOwners();
+    const storage = getStorage();
+    for (const { owner, DocumentType, FileName, content } of DOCUMENTS) {
+      const { UserID } = owners[owner];
+      const buffer = Buffer.from(`${content.join('\n')}\n`);
+      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+      const now = new Date();
+
+      const document = await Document.create({ OwnerID: UserID, DocumentType, Created: now, Updated: now });
+      await appendTransaction(document.DocumentID, { ActorID: UserID, Action: 'document.created' });
+
+      const { ciphertext, wrappedKey } = encryptContent(buffer);
+      const StorageKey = await storage.write(document, Readable.from([ciphertext]), { mimeType: 'text/plain' });
+      await document.update({
+        MimeType: 'text/plain',
+        FileName,
+        Size: buffer.length,
+        SHA256: sha256,
+        StorageDriver: storage.name,
+        StorageKey,
+        DataKey: wrappedKey,
+      });
+      await appendTransaction(document.DocumentID, {
+        ActorID: UserID,
+        Action: 'content.uploaded',
+        TransactionData: { FileName, MimeType: 'text/plain', Size: buffer.length },
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const owners = await findOwners();
+    const documents = await Document.findAll({
+      where: {
+        OwnerID: Object.values(owners).map((user) => user.UserID),
+        FileName: DOCUMENTS.map((document) => document.FileName),
+      },
+    });
+    for (const document of documents) {
+      if (document.StorageKey) {
+        await getDocumentStorage(document).remove(document);
+      }
+    }
+    const ids = documents.map((document) => document.DocumentID);
+    if (!ids.length) {
+      return;
+    }
+    // Through the query interface: transactions are append-only in the models
+    await queryInterface.bulkDelete('DocumentTransactions', { DocumentID: ids });
+    await queryInterface.bulkDelete('Documents', { DocumentID: ids });
+  },
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+// Columns that never leave the server
+const HIDDEN_FIELDS = [
+  'LoginPIN',
+  'DataKey',
+  'FailedLoginAttempts',
+  'LockedUntil',
+  'TokensValidAfter',
+  'AadhaarHash',
+];
+
+// Aadhaar keeps its last 4 digits, in the usual "XXXX XXXX 1234" form
+function maskAadhaar(value) {
+  if (!value) {
+    return value;
+  }
+  return `XXXX XXXX ${String(value).replace(/\D/g, '').slice(-4)}`;
+}
+
+// PAN keeps its last 4 characters, e.g. "XXXXXX234F"
+function maskPAN(value) {
+  if (!value) {
+    return value;
+  }
+  const pan = String(value);
+  return 'X'.repeat(Math.max(pan.length - 4, 0)) + pan.slice(-4);
+}
+
+/**
+ * Shape a User for an API response. Aadhaar and PAN are masked unless
+ * `unmasked` is set, and UserImage is omitted unless `includeImage` is set, in
+ * which case it is returned base64 encoded.
+ */
+function serializeUser(user, { unmasked = false, includeImage = false } = {}) {
+  const values = typeof user.toJSON === 'function' ? user.toJSON() : { ...user };
+  HIDDEN_FIELDS.forEach((field) => delete values[field]);
+
+  if (!unmasked) {
+    values.AadhaarNumber = maskAadhaar(values.AadhaarNumber);
+    values.PANNumber = maskPAN(values.PANNumber);
+  }
+
+  if (includeImage && values.UserImage) {
+    values.UserImage = Buffer.from(values.UserImage).toString('base64');
+  } else {
+    delete values.UserImage;
+  }
+  return values;
+}
+
+module.exports = {
+  maskAadhaar,
+  maskPAN,
+  serializeUser,
+};
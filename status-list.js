@@ -0,0 +1,138 @@
+// Issuer side of W3C Bitstring Status Lists. A credential its issuer may want
+// to revoke or suspend is given a status index on the issuer DID, and the
+// issuer publishes one list per purpose in which the bit at that index is set
+// while the credential is revoked or suspended. Lists are signed with the
+// issuer's key and published as DID-Linked Resources on the issuer DID; every
+// change publishes a new version.
+const crypto = require('crypto');
+const { StatusListEntry } = require('./models');
+const {
+  STATUS_LIST_TYPE,
+  STATUS_PURPOSES,
+  STATUS_LIST_SIZE,
+  findSigningKey,
+  secureCredential,
+  statusListName,
+  statusListCredential,
+} = require('./credentials');
+const { publishResource } = require('./resources');
+
+// The StatusListEntry flag behind each purpose's list
+const STATUS_FLAGS = { revocation: 'Revoked', suspension: 'Suspended' };
+
+// What each status change does to the entry, and the action it is recorded as
+// in the transactions of the credential's document
+const STATUS_CHANGES = {
+  revoke: { purpose: 'revocation', value: true, action: 'credential.revoked' },
+  suspend: { purpose: 'suspension', value: true, action: 'credential.suspended' },
+  reinstate: { purpose: 'suspension', value: false, action: 'credential.reinstated' },
+};
+
+/**
+ * Sign the current list of a purpose with the issuer's key and publish it as
+ * the next version of the list's resource. Call within a transaction that has
+ * locked the DID row. The issuer must have a signing key (findSigningKey).
+ */
+async function publishStatusList(did, purpose, transaction) {
+  const key = await findSigningKey(did, null, transaction);
+  const entries = await StatusListEntry.findAll({
+    attributes: ['StatusIndex'],
+    where: { DIDID: did.ID, [STATUS_FLAGS[purpose]]: true },
+    transaction,
+  });
+  const { credential, jwt } = secureCredential(
+    statusListCredential(did.ID, purpose, entries.map((entry) => entry.StatusIndex)),
+    key.Type === 'Ed25519' ? 'ldp_vc' : 'jwt_vc',
+    key
+  );
+  return publishResource(
+    did.ID,
+    {
+      Name: statusListName(purpose),
+      Type: STATUS_LIST_TYPE,
+      MediaType: jwt ? 'application/vc+jwt' : 'application/vc',
+      content: jwt || JSON.stringify(credential),
+    },
+    transaction
+  );
+}
+
+/**
+ * Sign the lists of an issuer again after its keys changed, so they do not
+ * stay signed by a key that no longer verifies. Does nothing for issuers that
+ * never allocated an index or have no signing key left. Call within the
+ * transaction that changed the keys, with the DID row locked.
+ */
+async function republishStatusLists(did, transaction) {
+  const allocated = await StatusListEntry.count({ where: { DIDID: did.ID }, transaction });
+  if (!allocated || !(await findSigningKey(did, null, transaction))) {
+    return;
+  }
+  for (const purpose of STATUS_PURPOSES) {
+    await publishStatusList(did, purpose, transaction);
+  }
+}
+
+/**
+ * Allocate an unused status index on an issuer DID. Indexes are picked at
+ * random so they do not give away the order credentials were issued in. The
+ * first allocation publishes the issuer's (empty) lists. Call within a
+ * transaction that has locked the DID row. Resolves to null when the lists
+ * are full.
+ */
+async function allocateStatusIndex(did, { CredentialID = null, AllocatedBy = null }, transaction) {
+  const allocated = await StatusListEntry.count({ where: { DIDID: did.ID }, transaction });
+  if (allocated >= STATUS_LIST_SIZE) {
+    return null;
+  }
+  let StatusIndex;
+  do {
+    StatusIndex = crypto.randomInt(STATUS_LIST_SIZE);
+  } while (await StatusListEntry.count({ where: { DIDID: did.ID, StatusIndex }, transaction }));
+
+  const entry = await StatusListEntry.create(
+    { DIDID: did.ID, StatusIndex, CredentialID, AllocatedBy },
+    { transaction }
+  );
+  if (!allocated) {
+    for (const purpose of STATUS_PURPOSES) {
+      await publishStatusList(did, purpose, transaction);
+    }
+  }
+  return entry;
+}
+
+// Why a change cannot be made to an entry in its current state, or null
+function statusChangeConflict(entry, change) {
+  if (entry.Revoked) {
+    return change === 'revoke' ? 'The index is already revoked' : 'Revoked indexes cannot be changed';
+  }
+  if (change === 'suspend' && entry.Suspended) {
+    return 'The index is already suspended';
+  }
+  if (change === 'reinstate' && !entry.Suspended) {
+    return 'The index is not suspended';
+  }
+  return null;
+}
+
+/**
+ * Revoke, suspend or reinstate an entry and publish the list that changed.
+ * Call within a transaction that has locked the DID row, after checking
+ * statusChangeConflict.
+ */
+async function changeStatus(did, entry, change, transaction) {
+  const { purpose, value } = STATUS_CHANGES[change];
+  await entry.update({ [STATUS_FLAGS[purpose]]: value }, { transaction });
+  await publishStatusList(did, purpose, transaction);
+  return entry;
+}
+
+module.exports = {
+  STATUS_CHANGES,
+  publishStatusList,
+  republishStatusLists,
+  allocateStatusIndex,
+  statusChangeConflict,
+  changeStatus,
+};
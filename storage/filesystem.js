@@ -0,0 +1,56 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Keeps content as files below `root` (relative to the project directory)
+module.exports = function createFilesystemStorage({ root = 'uploads' } = {}) {
+  const baseDir = path.resolve(__dirname, '..', root);
+
+  const resolveKey = (key) => {
+    const file = path.resolve(baseDir, key);
+    if (!file.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'filesystem',
+
+    async write(document, stream) {
+      const key = `documents/${document.DocumentID}/${crypto.randomUUID()}`;
+      const file = resolveKey(key);
+      const tmp = `${file}.tmp`;
+
+      // Write then rename so readers never see a partial file
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      try {
+        await pipeline(stream, fs.createWriteStream(tmp));
+      } catch (err) {
+        await fs.promises.rm(tmp, { force: true });
+        throw err;
+      }
+      await fs.promises.rename(tmp, file);
+      return key;
+    },
+
+    async read(document, { start, end } = {}) {
+      const file = resolveKey(document.StorageKey);
+      await fs.promises.access(file, fs.constants.R_OK);
+      return fs.createReadStream(file, { start, end });
+    },
+
+    async remove(document) {
+      await fs.promises.rm(resolveKey(document.StorageKey), { force: true });
+    },
+
+    // The directory is created on first write, so create it here too
+    async check() {
+      await fs.promises.mkdir(baseDir, { recursive: true });
+      await fs.promises.access(baseDir, fs.constants.R_OK | fs.constants.W_OK);
+    },
+  };
+};
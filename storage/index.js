@@ -0,0 +1,43 @@
+'use strict';
+
+const config = require('../config');
+
+// Document bytes live in one of these drivers. Every driver exposes:
+//   write(document, stream, { mimeType, transaction }) -> storage key
+//   read(document, { start, end })                     -> readable stream
+//   remove(document)
+//   check()                                            -> rejects when unreachable
+// and documents record which driver and key hold their content, so rows
+// written under an earlier configuration stay readable. Drivers with keys of
+// their own write each stream under a new key, leaving the bytes it replaces
+// in place; the postgres driver has a single slot per document and writes it
+// within `transaction` instead.
+const drivers = {
+  postgres: () => require('./postgres'),
+  filesystem: () => require('./filesystem'),
+  s3: () => require('./s3'),
+};
+
+const settings = config.documentStorage;
+const instances = {};
+
+// Return the driver called `name`, or the one configured for this environment
+function getStorage(name = settings.driver) {
+  if (!drivers[name]) {
+    throw new Error(`Unknown document storage driver "${name}"`);
+  }
+  if (!instances[name]) {
+    instances[name] = drivers[name]()(settings[name] || {});
+  }
+  return instances[name];
+}
+
+// Return the driver holding a document's current content
+function getDocumentStorage(document) {
+  return getStorage(document.StorageDriver || 'postgres');
+}
+
+module.exports = {
+  getStorage,
+  getDocumentStorage,
+};
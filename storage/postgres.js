@@ -0,0 +1,48 @@
+'use strict';
+
+const { Readable } = require('stream');
+
+// Keeps content in the Document.Content BLOB column
+module.exports = function createPostgresStorage() {
+  // Required lazily: the models are not needed by the other drivers
+  const { Document } = require('../models');
+
+  return {
+    name: 'postgres',
+
+    // The column takes the content as one value, so it is read into memory
+    async write(document, stream, { transaction } = {}) {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      await Document.unscoped().update(
+        { Content: Buffer.concat(chunks) },
+        { where: { DocumentID: document.DocumentID }, transaction }
+      );
+      return String(document.DocumentID);
+    },
+
+    async read(document, { start, end } = {}) {
+      const row = await Document.unscoped().findByPk(document.DocumentID, {
+        attributes: ['Content'],
+      });
+      if (!row || !row.Content) {
+        throw new Error(`No content stored for document ${document.DocumentID}`);
+      }
+      const content = start === undefined ? row.Content : row.Content.subarray(start, end + 1);
+      return Readable.from([content]);
+    },
+
+    async remove(document) {
+      await Document.unscoped().update(
+        { Content: null },
+        { where: { DocumentID: document.DocumentID } }
+      );
+    },
+
+    async check() {
+      await Document.unscoped().findOne({ attributes: ['DocumentID'] });
+    },
+  };
+};
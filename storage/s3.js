@@ -0,0 +1,60 @@
+'use strict';
+
+const crypto = require('crypto');
+const {
+  S3Client,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadBucketCommand,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+// Keeps content in an S3-compatible bucket. Point `endpoint` at MinIO or a
+// similar service and set `forcePathStyle` for local setups; credentials come
+// from the usual AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY variables.
+module.exports = function createS3Storage({ bucket, prefix = '', ...clientConfig } = {}) {
+  if (!bucket) {
+    throw new Error('The s3 document storage driver requires a bucket');
+  }
+  const client = new S3Client(clientConfig);
+
+  return {
+    name: 's3',
+
+    // Sent as a multipart upload, as the length is not known up front; the
+    // parts are discarded when the stream fails
+    async write(document, stream, { mimeType }) {
+      const key = `${prefix}documents/${document.DocumentID}/${crypto.randomUUID()}`;
+      await new Upload({
+        client,
+        params: {
+          Bucket: bucket,
+          Key: key,
+          Body: stream,
+          ContentType: mimeType,
+        },
+      }).done();
+      return key;
+    },
+
+    async read(document, { start, end } = {}) {
+      const { Body } = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: document.StorageKey,
+        Range: start === undefined ? undefined : `bytes=${start}-${end}`,
+      }));
+      return Body;
+    },
+
+    async remove(document) {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: document.StorageKey,
+      }));
+    },
+
+    async check() {
+      await client.send(new HeadBucketCommand({ Bucket: bucket }));
+    },
+  };
+};
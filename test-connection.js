@@ -1,16 +1,5 @@
-const { Sequelize } = require('sequelize');
-const config = require('./config/config.json');
-
-const sequelize = new Sequelize(
-  config.development.database,
-  config.development.username,
-  config.development.password,
-  {
-    host: config.development.host,
-    port: config.development.port,
-    dialect: config.development.dialect,
-  }
-);
+// Check that the database configured for NODE_ENV can be reached
+const { sequelize } = require('./models');
 
 sequelize.authenticate()
   .then(() => {
@@ -18,4 +7,6 @@ sequelize.authenticate()
   })
   .catch(err => {
     console.error('Unable to connect to the database:', err);
-  });
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,161 @@
+const { startApp, signUp, request } = require('./helpers');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+describe('authentication', () => {
+  let app;
+
+  before(async () => {
+    ({ app } = await startApp());
+  });
+
+  const login = (PhoneNumber, LoginPIN) => request(app).post('/login').send({ PhoneNumber, LoginPIN });
+
+  describe('registration', () => {
+    it('stores a hash of the PIN', async () => {
+      const { user } = await signUp(app);
+      assert.notEqual(user.LoginPIN, '4821');
+      assert.match(user.LoginPIN, /^\$2[aby]\$/);
+    });
+
+    it('needs a PIN of 4 to 6 digits', async () => {
+      for (const LoginPIN of ['123', '1234567', 'abcd', undefined]) {
+        const { body } = await request(app).post('/register').send({ PhoneNumber: '+919700000001', LoginPIN }).expect(422);
+        assert.deepEqual(body.fields.map((error) => error.field), ['LoginPIN']);
+      }
+    });
+
+    it('refuses a phone number already registered', async () => {
+      const { user } = await signUp(app);
+      const { body } = await request(app).post('/register').send({ PhoneNumber: user.PhoneNumber, LoginPIN: '1234' }).expect(422);
+      assert.deepEqual(body.fields.map((error) => error.field), ['PhoneNumber']);
+    });
+  });
+
+  describe('login', () => {
+    it('gives an access token for the right PIN', async () => {
+      const { user, api } = await signUp(app);
+      const { body } = await login(user.PhoneNumber, '4821').expect(200);
+      assert.ok(body.token);
+      await api.get('/documents').expect(200);
+    });
+
+    it('rejects a wrong PIN or an unknown phone number alike', async () => {
+      const { user } = await signUp(app);
+      const wrong = await login(user.PhoneNumber, '0000').expect(401);
+      const unknown = await login('+919700000009', '4821').expect(401);
+      assert.deepEqual(wrong.body, unknown.body);
+    });
+
+    it('locks the account after repeated failures', async () => {
+      const { user } = await signUp(app);
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        await login(user.PhoneNumber, '0000').expect(401);
+      }
+      const locked = await login(user.PhoneNumber, '4821').expect(423);
+      assert.ok(Number(locked.headers['retry-after']) > 0);
+    });
+
+    it('forgets failures after a successful login', async () => {
+      const { user } = await signUp(app);
+      for (let attempt = 0; attempt < 4; attempt += 1) {
+        await login(user.PhoneNumber, '0000').expect(401);
+      }
+      await login(user.PhoneNumber, '4821').expect(200);
+      await login(user.PhoneNumber, '0000').expect(401);
+      await login(user.PhoneNumber, '4821').expect(200);
+    });
+  });
+
+  const refresh = (refreshToken) => request(app).post('/token/refresh').send({ refreshToken });
+
+  describe('refresh tokens', () => {
+    it('rotate on every use', async () => {
+      const { refreshToken } = await signUp(app);
+      const { body } = await refresh(refreshToken).expect(200);
+      assert.ok(body.token);
+      assert.notEqual(body.refreshToken, refreshToken);
+      await refresh(body.refreshToken).expect(200);
+    });
+
+    it('revoke the whole family when a rotated token is replayed', async () => {
+      const { refreshToken: first } = await signUp(app);
+      const second = (await refresh(first).expect(200)).body.refreshToken;
+      const third = (await refresh(second).expect(200)).body.refreshToken;
+
+      await refresh(first).expect(401);
+      // The thief's replay ends the session for the legitimate holder too
+      await refresh(third).expect(401);
+    });
+
+    it('leave other sessions alone when a family is revoked', async () => {
+      const session = await signUp(app);
+      const other = (await login(session.user.PhoneNumber, '4821').expect(200)).body;
+      await refresh(session.refreshToken).expect(200);
+      await refresh(session.refreshToken).expect(401);
+      await refresh(other.refreshToken).expect(200);
+    });
+
+    it('reject unknown tokens', async () => {
+      await refresh('not-a-token').expect(401);
+      await request(app).post('/token/refresh').send({}).expect(400);
+    });
+  });
+
+  describe('logout', () => {
+    it('revokes the access token and its session', async () => {
+      const { api, refreshToken } = await signUp(app);
+      await api.get('/documents').expect(200);
+      await api.post('/logout').expect(204);
+      await api.get('/documents').expect(403);
+      await refresh(refreshToken).expect(401);
+    });
+
+    it('ends every session of the user', async () => {
+      const session = await signUp(app);
+      const other = (await login(session.user.PhoneNumber, '4821').expect(200)).body;
+      await session.api.post('/logout/all').expect(204);
+      await refresh(session.refreshToken).expect(401);
+      await refresh(other.refreshToken).expect(401);
+      // Most likely issued within the same whole second as the logout
+      await request(app).get('/documents').set('Authorization', `Bearer ${other.token}`).expect(403);
+    });
+  });
+
+  describe('changing login details', () => {
+    const update = (session, body) => session.api.put(`/users/${session.user.UserID}`).send(body);
+
+    it('needs the current PIN', async () => {
+      const session = await signUp(app);
+      const { body } = await update(session, { LoginPIN: '5678' }).expect(422);
+      assert.deepEqual(body.fields.map((error) => error.field), ['CurrentPIN']);
+      await update(session, { LoginPIN: '5678', CurrentPIN: '0000' }).expect(403);
+      await update(session, { PhoneNumber: '+919700000021', CurrentPIN: '0000' }).expect(403);
+      await update(session, { Name: 'Renamed' }).expect(200);
+      await login(session.user.PhoneNumber, '4821').expect(200);
+    });
+
+    it('counts wrong current PINs towards the lockout', async () => {
+      const session = await signUp(app);
+      for (let attempt = 0; attempt < 5; attempt += 1) {
+        await update(session, { LoginPIN: '5678', CurrentPIN: '0000' }).expect(403);
+      }
+      await update(session, { LoginPIN: '5678', CurrentPIN: '4821' }).expect(423);
+      await login(session.user.PhoneNumber, '4821').expect(423);
+    });
+
+    it('ends every session when the PIN changes', async () => {
+      const session = await signUp(app);
+      await update(session, { LoginPIN: '5678', CurrentPIN: '4821' }).expect(200);
+      await session.api.get('/documents').expect(403);
+      await refresh(session.refreshToken).expect(401);
+      await login(session.user.PhoneNumber, '4821').expect(401);
+      await login(session.user.PhoneNumber, '5678').expect(200);
+    });
+  });
+
+  it('refuses requests without a valid token', async () => {
+    await request(app).get('/documents').expect(401);
+    await request(app).get('/documents').set('Authorization', 'Bearer nonsense').expect(403);
+  });
+});
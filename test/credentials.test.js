@@ -0,0 +1,291 @@
+const { startApp, signUp, request } = require('./helpers');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { proofHashData, addProof, signJWT, verifyCredential, VC_CONTEXT } = require('../credentials');
+const { base58Decode, multibaseToPublicKey, generateKeyPair, didKeyFromMultibase, importPrivateKey } = require('../did');
+const { decryptField } = require('../encryption');
+
+// The public key of a did:key DID
+const didKeyPublicKey = (did) => multibaseToPublicKey(did.slice('did:key:'.length)).publicKey;
+
+// The error of the named check, or true when it passed
+function outcome(result, name) {
+  const check = result.checks.find((entry) => entry.check === name);
+  return check.passed || check.error;
+}
+
+// Re-encode one part of a compact JWS
+function replaceJWTPart(jwt, index, change) {
+  const parts = jwt.split('.');
+  parts[index] = Buffer.from(JSON.stringify(change(JSON.parse(Buffer.from(parts[index], 'base64url'))))).toString('base64url');
+  return parts.join('.');
+}
+
+describe('credentials', () => {
+  let app;
+  let db;
+  let issuer;
+  let holder;
+  let issuerDID;
+  let holderDID;
+  let documentId;
+
+  const verify = async (Credential) => (await request(app).post('/credentials/verify').send({ Credential }).expect(200)).body;
+  const issue = async (fields = {}) => (
+    await issuer.api.post('/credentials/issue')
+      .send({ IssuerDID: issuerDID, DocumentID: documentId, SubjectDID: holderDID, ...fields })
+      .expect(201)
+  ).body;
+
+  before(async () => {
+    ({ app, db } = await startApp());
+    issuer = await signUp(app);
+    holder = await signUp(app);
+    issuerDID = (await issuer.api.post('/dids/key').send({})).body.ID;
+    holderDID = (await holder.api.post('/dids/key').send({})).body.ID;
+    // The holder lets the issuer read the document the credential attests
+    documentId = (await holder.api.post('/documents').send({})).body.DocumentID;
+    await holder.api.post(`/documents/${documentId}/content`).set('Content-Type', 'application/pdf').send(Buffer.from('%PDF-1.7')).expect(200);
+    await holder.api.post(`/documents/${documentId}/grants`).send({ GranteeDID: issuerDID, CanRead: true }).expect(201);
+  });
+
+  describe('issuance', () => {
+    it('signs ldp_vc with eddsa-jcs-2022', async () => {
+      const { Credential, KeyID } = await issue();
+      assert.equal(Credential.issuer, issuerDID);
+      assert.equal(Credential.credentialSubject.id, holderDID);
+      const { proof, ...unsigned } = Credential;
+      assert.equal(proof.type, 'DataIntegrityProof');
+      assert.equal(proof.cryptosuite, 'eddsa-jcs-2022');
+      assert.equal(proof.proofPurpose, 'assertionMethod');
+      assert.equal(proof.verificationMethod, KeyID);
+
+      const signature = base58Decode(proof.proofValue.slice(1));
+      assert.ok(crypto.verify(null, proofHashData(unsigned, proof), didKeyPublicKey(issuerDID), signature));
+      assert.ok(!crypto.verify(null, proofHashData({ ...unsigned, issuer: holderDID }, proof), didKeyPublicKey(issuerDID), signature));
+    });
+
+    it('signs jwt_vc with EdDSA', async () => {
+      const { JWT, KeyID } = await issue({ Format: 'jwt_vc' });
+      const [header, payload, signature] = JWT.split('.');
+      assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'EdDSA', kid: KeyID, typ: 'vc+jwt' });
+      const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+      assert.equal(claims.issuer, issuerDID);
+      assert.equal(claims.credentialSubject.id, holderDID);
+      assert.ok(crypto.verify(null, Buffer.from(`${header}.${payload}`), didKeyPublicKey(issuerDID), Buffer.from(signature, 'base64url')));
+    });
+
+    it('records the issuance in the document transactions', async () => {
+      const { CredentialID } = await issue();
+      const entry = await db.DocumentTransaction.findOne({ where: { DocumentID: documentId, Action: 'credential.issued' }, order: [['Sequence', 'DESC']] });
+      assert.equal(entry.TransactionData.CredentialID, CredentialID);
+    });
+
+    it('needs a subject DID of the document owner', async () => {
+      const { body } = await issuer.api.post('/credentials/issue')
+        .send({ IssuerDID: issuerDID, DocumentID: documentId, SubjectDID: issuerDID })
+        .expect(422);
+      assert.deepEqual(body.fields.map((error) => error.field), ['SubjectDID']);
+    });
+
+    it('needs read access to the document', async () => {
+      const stranger = await signUp(app);
+      const strangerDID = (await stranger.api.post('/dids/key').send({})).body.ID;
+      await stranger.api.post('/credentials/issue').send({ IssuerDID: strangerDID, DocumentID: documentId }).expect(404);
+    });
+
+    it('needs an Ed25519 key for ldp_vc', async () => {
+      const secp256k1DID = (await issuer.api.post('/dids/key').send({ KeyType: 'secp256k1' })).body.ID;
+      await holder.api.post(`/documents/${documentId}/grants`).send({ GranteeDID: secp256k1DID, CanRead: true }).expect(201);
+      await issuer.api.post('/credentials/issue').send({ IssuerDID: secp256k1DID, DocumentID: documentId }).expect(422);
+      await issuer.api.post('/credentials/issue').send({ IssuerDID: secp256k1DID, DocumentID: documentId, Format: 'jwt_vc' }).expect(201);
+    });
+
+    it('only issues from DIDs the caller controls', async () => {
+      await holder.api.post('/credentials/issue').send({ IssuerDID: issuerDID, DocumentID: documentId }).expect(403);
+    });
+  });
+
+  describe('Data Integrity proofs', () => {
+    it('signs with eddsa-jcs-2022 and verifies', async () => {
+      const { Credential } = await issue();
+      assert.equal(Credential.proof.type, 'DataIntegrityProof');
+      assert.equal(Credential.proof.cryptosuite, 'eddsa-jcs-2022');
+      assert.equal(Credential.issuer, issuerDID);
+      assert.equal(Credential.credentialSubject.id, holderDID);
+
+      const result = await verify(Credential);
+      assert.equal(result.verified, true, JSON.stringify(result.checks));
+      assert.equal(result.format, 'ldp_vc');
+    });
+
+    it('fails when a signed member changes', async () => {
+      const { Credential } = await issue();
+      const tampered = structuredClone(Credential);
+      tampered.credentialSubject.id = issuerDID;
+      const result = await verify(tampered);
+      assert.equal(result.verified, false);
+      assert.equal(typeof outcome(result, 'signature'), 'string');
+    });
+
+    it('fails when the proof options change', async () => {
+      const { Credential } = await issue();
+      const result = await verify({ ...Credential, proof: { ...Credential.proof, created: '2020-01-01T00:00:00Z' } });
+      assert.equal(result.verified, false);
+    });
+
+    it('needs the issuer to be the signer', async () => {
+      const other = generateKeyPair('Ed25519');
+      const otherDID = didKeyFromMultibase(other.publicKeyMultibase);
+      const credential = {
+        '@context': [VC_CONTEXT],
+        type: ['VerifiableCredential'],
+        issuer: issuerDID,
+        credentialSubject: { id: holderDID },
+      };
+      const signed = addProof(credential, other.privateKey, {
+        verificationMethod: `${otherDID}#${other.publicKeyMultibase}`,
+        proofPurpose: 'assertionMethod',
+      });
+      const result = await verifyCredential(signed);
+      assert.equal(outcome(result, 'signature'), true);
+      assert.equal(outcome(result, 'issuer'), `Signed by ${otherDID}, not the issuer`);
+    });
+  });
+
+  describe('JWTs', () => {
+    it('signs vc+jwt and verifies', async () => {
+      const { JWT } = await issue({ Format: 'jwt_vc' });
+      const header = JSON.parse(Buffer.from(JWT.split('.')[0], 'base64url'));
+      assert.equal(header.alg, 'EdDSA');
+      assert.equal(header.typ, 'vc+jwt');
+
+      const result = await verify(JWT);
+      assert.equal(result.verified, true, JSON.stringify(result.checks));
+      assert.equal(result.format, 'jwt_vc');
+    });
+
+    it('fails when the claims change', async () => {
+      const { JWT } = await issue({ Format: 'jwt_vc' });
+      const result = await verify(replaceJWTPart(JWT, 1, (claims) => ({ ...claims, credentialSubject: { id: issuerDID } })));
+      assert.equal(result.verified, false);
+      assert.equal(typeof outcome(result, 'signature'), 'string');
+    });
+
+    it('fails when the algorithm is swapped', async () => {
+      const { JWT } = await issue({ Format: 'jwt_vc' });
+      const result = await verify(replaceJWTPart(JWT, 0, (header) => ({ ...header, alg: 'none' })));
+      assert.equal(result.verified, false);
+    });
+
+    it('verifies ES256K signatures of secp256k1 DIDs', async () => {
+      const keys = generateKeyPair('secp256k1');
+      const did = didKeyFromMultibase(keys.publicKeyMultibase);
+      const jwt = signJWT(
+        { '@context': [VC_CONTEXT], type: ['VerifiableCredential'], issuer: did, credentialSubject: { id: holderDID } },
+        { type: 'secp256k1', privateKey: keys.privateKey, kid: `${did}#${keys.publicKeyMultibase}`, typ: 'vc+jwt' }
+      );
+      const result = await verifyCredential(jwt);
+      assert.equal(result.verified, true, JSON.stringify(result.checks));
+    });
+
+    it('checks the validity period', async () => {
+      const { JWT } = await issue({ Format: 'jwt_vc', ValidUntil: '2030-01-01T00:00:00Z' });
+      assert.equal((await verifyCredential(JWT, { now: new Date('2029-12-31T00:00:00Z') })).verified, true);
+      const expired = await verifyCredential(JWT, { now: new Date('2030-01-02T00:00:00Z') });
+      assert.equal(expired.verified, false);
+      assert.equal(typeof outcome(expired, 'expiry'), 'string');
+    });
+  });
+
+  describe('key rotation', () => {
+    it('keeps what the old key signed verifying, but not what it signs afterwards', async () => {
+      const webDID = (await issuer.api.post('/dids/web').send({ Path: 'rotated' }).expect(201)).body.ID;
+      await holder.api.post(`/documents/${documentId}/grants`).send({ GranteeDID: webDID, CanRead: true }).expect(201);
+      const issueFrom = async (Format) => (
+        await issuer.api.post('/credentials/issue').send({ IssuerDID: webDID, DocumentID: documentId, Format }).expect(201)
+      ).body;
+      const { Credential } = await issueFrom('ldp_vc');
+      const { JWT } = await issueFrom('jwt_vc');
+      const oldKey = await db.DIDKey.findOne({ where: { DIDID: webDID } });
+      await issuer.api.post(`/dids/${encodeURIComponent(webDID)}/keys/rotate`).send({}).expect(200);
+
+      let result = await verify(Credential);
+      assert.equal(result.verified, true, JSON.stringify(result.checks));
+      result = await verify(JWT);
+      assert.equal(result.verified, true, JSON.stringify(result.checks));
+
+      const { proof, ...unsigned } = Credential;
+      const privateKey = importPrivateKey(decryptField(oldKey.PrivateKey, oldKey.DataKey, 'PrivateKey'));
+      const late = addProof(unsigned, privateKey, {
+        verificationMethod: proof.verificationMethod,
+        proofPurpose: 'assertionMethod',
+        created: new Date().toISOString(),
+      });
+      result = await verify(late);
+      assert.equal(result.verified, false);
+      assert.equal(typeof outcome(result, 'signature'), 'string');
+    });
+  });
+
+  describe('status lists', () => {
+    const statusRoute = (index, action = '') => `/dids/${encodeURIComponent(issuerDID)}/status-list/${index}${action}`;
+
+    it('publishes a signed list for each purpose', async () => {
+      const { Credential } = await issue();
+      const purposes = Credential.credentialStatus.map((entry) => entry.statusPurpose).sort();
+      assert.deepEqual(purposes, ['revocation', 'suspension']);
+
+      const response = await request(app).get(`/status-lists/${encodeURIComponent(issuerDID)}/revocation`).expect(200);
+      const list = JSON.parse(response.text);
+      assert.equal(list.credentialSubject.statusPurpose, 'revocation');
+      assert.equal((await verifyCredential(list)).verified, true);
+      await request(app).get(`/status-lists/${encodeURIComponent(issuerDID)}/revocation`).set('If-None-Match', response.headers.etag).expect(304);
+    });
+
+    it('suspends and reinstates', async () => {
+      const { Credential, StatusIndex } = await issue();
+      await issuer.api.post(statusRoute(StatusIndex, '/suspend')).expect(200);
+      let result = await verify(Credential);
+      assert.equal(result.verified, false);
+      assert.equal(typeof outcome(result, 'status'), 'string');
+
+      await issuer.api.post(statusRoute(StatusIndex, '/suspend')).expect(409);
+      await issuer.api.post(statusRoute(StatusIndex, '/reinstate')).expect(200);
+      result = await verify(Credential);
+      assert.equal(result.verified, true, JSON.stringify(result.checks));
+    });
+
+    it('revokes for good', async () => {
+      const { JWT, StatusIndex } = await issue({ Format: 'jwt_vc' });
+      const untouched = await issue();
+      await issuer.api.post(statusRoute(StatusIndex, '/revoke')).expect(200);
+      const entry = await db.DocumentTransaction.findOne({ where: { DocumentID: documentId, Action: 'credential.revoked' } });
+      assert.equal(entry.TransactionData.StatusIndex, StatusIndex);
+
+      const result = await verify(JWT);
+      assert.equal(result.verified, false);
+      assert.equal(typeof outcome(result, 'status'), 'string');
+      assert.equal((await verify(untouched.Credential)).verified, true);
+      assert.notEqual((await issuer.api.post(statusRoute(StatusIndex, '/reinstate'))).status, 200);
+    });
+
+    it('are signed again when the issuer rotates its key', async () => {
+      const webDID = (await issuer.api.post('/dids/web').send({ Path: 'rotating' }).expect(201)).body.ID;
+      await holder.api.post(`/documents/${documentId}/grants`).send({ GranteeDID: webDID, CanRead: true }).expect(201);
+      await issuer.api.post('/credentials/issue').send({ IssuerDID: webDID, DocumentID: documentId }).expect(201);
+      await issuer.api.post(`/dids/${encodeURIComponent(webDID)}/keys/rotate`).send({}).expect(200);
+
+      const { body } = await issuer.api.post('/credentials/issue').send({ IssuerDID: webDID, DocumentID: documentId }).expect(201);
+      const result = await verify(body.Credential);
+      assert.equal(outcome(result, 'status'), true);
+    });
+
+    it('only lets the issuer change a status', async () => {
+      const { StatusIndex } = await issue();
+      const stranger = await signUp(app);
+      assert.equal((await stranger.api.post(statusRoute(StatusIndex, '/revoke'))).status, 403);
+    });
+  });
+});
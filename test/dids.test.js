@@ -0,0 +1,76 @@
+const { startApp, signUp, request } = require('./helpers');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateKeyPair, didKeyFromMultibase, didKeyDocument, singleKeyDocument } = require('../did');
+const { addProof, verifyCredential, VC_CONTEXT } = require('../credentials');
+
+const DID_CONTEXT = 'https://www.w3.org/ns/did/v1';
+
+describe('DID registration', () => {
+  let user;
+  let admin;
+
+  before(async () => {
+    const { app } = await startApp();
+    user = await signUp(app);
+    admin = await signUp(app, { role: 'admin' });
+  });
+
+  const register = (api, ID) => api.post('/dids').send({ ID, DIDDocument: { '@context': DID_CONTEXT, id: ID } });
+
+  it('refuses did:key DIDs, whose documents come from the key', async () => {
+    const did = didKeyFromMultibase(generateKeyPair('Ed25519').publicKeyMultibase);
+    const { body } = await user.api.post('/dids').send({ ID: did, DIDDocument: didKeyDocument(did) }).expect(422);
+    assert.deepEqual(body.fields.map((error) => error.field), ['ID']);
+  });
+
+  it('refuses did:web DIDs outside DID_WEB_DOMAIN', async () => {
+    await register(user.api, 'did:web:bank.example').expect(422);
+    await register(user.api, 'did:web:example.com.evil').expect(422);
+  });
+
+  it('accepts did:web DIDs below DID_WEB_DOMAIN', async () => {
+    await register(user.api, 'did:web:example.com:branch').expect(201);
+  });
+
+  it('keeps the domain DID for callers with dids:manage', async () => {
+    await register(user.api, 'did:web:example.com').expect(403);
+    await register(admin.api, 'did:web:example.com').expect(201);
+  });
+});
+
+describe('did:key documents', () => {
+  let app;
+  let db;
+  let user;
+
+  before(async () => {
+    ({ app, db } = await startApp());
+    user = await signUp(app);
+  });
+
+  it('cannot be changed', async () => {
+    const { ID } = (await user.api.post('/dids/key').send({})).body;
+    await user.api.put(`/dids/${encodeURIComponent(ID)}`).send({ DIDDocument: didKeyDocument(ID) }).expect(409);
+  });
+
+  it('come from the key, whatever a row registered under the DID says', async () => {
+    const victim = generateKeyPair('Ed25519');
+    const attacker = generateKeyPair('Ed25519');
+    const did = didKeyFromMultibase(victim.publicKeyMultibase);
+    const forged = singleKeyDocument(did, `${did}#forged`, attacker.publicKeyMultibase);
+    await db.DID.create({ ID: did, Controller: String(user.user.UserID), DIDDocument: forged, Created: new Date(), Updated: new Date() });
+
+    const credential = {
+      '@context': [VC_CONTEXT],
+      type: ['VerifiableCredential'],
+      issuer: did,
+      credentialSubject: { id: did },
+    };
+    const signed = addProof(credential, attacker.privateKey, { verificationMethod: `${did}#forged`, proofPurpose: 'assertionMethod' });
+    assert.equal((await verifyCredential(signed)).verified, false);
+
+    const resolved = await request(app).get(`/1.0/identifiers/${did}`).set('Accept', 'application/did+json').expect(200);
+    assert.deepEqual(resolved.body, didKeyDocument(did));
+  });
+});
@@ -0,0 +1,98 @@
+// A small upload limit, so going over it takes little data
+process.env.MAX_UPLOAD_BYTES = String(1024 * 1024);
+const { startApp, signUp } = require('./helpers');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Read a response body into a Buffer whatever its content type
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('document content', () => {
+  let app;
+  let db;
+  let owner;
+
+  const content = (id) => `/documents/${id}/content`;
+  const download = (id) => owner.api.get(content(id)).buffer(true).parse(binary);
+  const createDocument = async () => (await owner.api.post('/documents').send({}).expect(201)).body.DocumentID;
+
+  before(async () => {
+    ({ app, db } = await startApp());
+    owner = await signUp(app);
+  });
+
+  it('stores a raw upload encrypted and serves it back', async () => {
+    const id = await createDocument();
+    const plaintext = crypto.randomBytes(3 * CHUNK_SIZE + 1234);
+    const { body } = await owner.api.post(content(id))
+      .set('Content-Type', 'application/pdf')
+      .set('X-Filename', encodeURIComponent('scan één.pdf'))
+      .send(plaintext)
+      .expect(200);
+    assert.equal(body.Size, plaintext.length);
+    assert.equal(body.SHA256, crypto.createHash('sha256').update(plaintext).digest('hex'));
+    assert.equal(body.FileName, 'scan één.pdf');
+
+    const document = await db.Document.findByPk(id);
+    const stored = fs.readFileSync(path.join(process.env.DOCUMENT_STORAGE_ROOT, document.StorageKey));
+    assert.equal(stored.length, plaintext.length + 4 * (12 + 16));
+    assert.equal(stored.indexOf(plaintext.subarray(0, 64)), -1);
+
+    const response = await download(id).expect(200);
+    assert.ok(response.body.equals(plaintext));
+    assert.equal(response.headers.etag, `"${body.SHA256}"`);
+  });
+
+  it('serves byte ranges across chunks', async () => {
+    const id = await createDocument();
+    const plaintext = crypto.randomBytes(2 * CHUNK_SIZE + 10);
+    await owner.api.post(content(id)).attach('file', plaintext, 'scan.bin').expect(200);
+
+    const start = CHUNK_SIZE - 5;
+    const end = 2 * CHUNK_SIZE + 2;
+    const response = await download(id).set('Range', `bytes=${start}-${end}`).expect(206);
+    assert.equal(response.headers['content-range'], `bytes ${start}-${end}/${plaintext.length}`);
+    assert.ok(response.body.equals(plaintext.subarray(start, end + 1)));
+  });
+
+  it('refuses files over the limit and keeps the content', async () => {
+    const id = await createDocument();
+    await owner.api.post(content(id)).send(Buffer.from('kept')).expect(200);
+    const before = await db.Document.findByPk(id);
+
+    await owner.api.post(content(id)).send(crypto.randomBytes(1024 * 1024 + 1)).expect(413);
+    await owner.api.post(content(id)).attach('file', crypto.randomBytes(1024 * 1024 + 1), 'big.bin').expect(413);
+    const after = await db.Document.findByPk(id);
+    assert.equal(after.StorageKey, before.StorageKey);
+    assert.deepEqual(fs.readdirSync(path.join(process.env.DOCUMENT_STORAGE_ROOT, 'documents', String(id))), [path.basename(before.StorageKey)]);
+    assert.equal((await download(id).expect(200)).body.toString(), 'kept');
+  });
+
+  it('refuses empty uploads', async () => {
+    const id = await createDocument();
+    await owner.api.post(content(id)).set('Content-Type', 'application/octet-stream').send(Buffer.alloc(0)).expect(400);
+    await owner.api.post(content(id)).field('other', 'value').expect(400);
+    assert.equal((await db.Document.findByPk(id)).SHA256, null);
+  });
+
+  it('stops granting access through a DID once it is deactivated', async () => {
+    const id = await createDocument();
+    await owner.api.post(content(id)).send(Buffer.from('shared')).expect(200);
+    const grantee = await signUp(app);
+    const did = (await grantee.api.post('/dids/key').send({}).expect(201)).body.ID;
+    await owner.api.post(`/documents/${id}/grants`).send({ GranteeDID: did, CanRead: true }).expect(201);
+    await grantee.api.get(content(id)).expect(200);
+
+    await grantee.api.delete(`/dids/${encodeURIComponent(did)}`).expect(204);
+    await grantee.api.get(content(id)).expect(404);
+  });
+});
@@ -0,0 +1,136 @@
+require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  encryptContent,
+  createContentEncryption,
+  createContentDecryption,
+  encryptField,
+  decryptField,
+  generateDataKey,
+  blindIndex,
+} = require('../encryption');
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Decrypt bytes start..end of encrypted content the way a ranged download
+// does: read only the planned ciphertext range and stream it through the
+// transform
+async function decryptRange(ciphertext, wrappedKey, size, range) {
+  const plan = createContentDecryption(wrappedKey, size, range);
+  const output = [];
+  plan.transform.on('data', (chunk) => output.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    plan.transform.on('end', resolve);
+    plan.transform.on('error', reject);
+  });
+  // Feed the range in uneven pieces, as storage streams do
+  const slice = ciphertext.subarray(plan.range.start, plan.range.end + 1);
+  for (let offset = 0; offset < slice.length; offset += 10007) {
+    plan.transform.write(slice.subarray(offset, offset + 10007));
+  }
+  plan.transform.end();
+  await done;
+  return Buffer.concat(output);
+}
+
+describe('document content encryption', () => {
+  const plaintext = crypto.randomBytes(CHUNK_SIZE * 3 + 1234);
+  const { ciphertext, wrappedKey } = encryptContent(plaintext);
+
+  it('adds an IV and tag to each chunk', () => {
+    assert.equal(ciphertext.length, plaintext.length + 4 * (12 + 16));
+  });
+
+  it('decrypts the whole content', async () => {
+    assert.ok((await decryptRange(ciphertext, wrappedKey, plaintext.length)).equals(plaintext));
+  });
+
+  it('decrypts ranges within, across and at the edges of chunks', async () => {
+    const ranges = [
+      [0, 0],
+      [10, 99],
+      [CHUNK_SIZE - 5, CHUNK_SIZE + 5],
+      [CHUNK_SIZE, 2 * CHUNK_SIZE - 1],
+      [100, 3 * CHUNK_SIZE + 100],
+      [plaintext.length - 1, plaintext.length - 1],
+    ];
+    for (const [start, end] of ranges) {
+      const decrypted = await decryptRange(ciphertext, wrappedKey, plaintext.length, { start, end });
+      assert.ok(decrypted.equals(plaintext.subarray(start, end + 1)), `bytes ${start}-${end}`);
+    }
+  });
+
+  it('only reads the chunks a range needs', () => {
+    const { range } = createContentDecryption(wrappedKey, plaintext.length, { start: CHUNK_SIZE + 1, end: CHUNK_SIZE + 2 });
+    assert.deepEqual(range, { start: CHUNK_SIZE + 28, end: 2 * (CHUNK_SIZE + 28) - 1 });
+  });
+
+  it('encrypts streams into the same chunks', async () => {
+    const encryption = createContentEncryption();
+    const output = [];
+    encryption.transform.on('data', (chunk) => output.push(chunk));
+    const done = new Promise((resolve) => encryption.transform.on('end', resolve));
+    for (let offset = 0; offset < plaintext.length; offset += 10007) {
+      encryption.transform.write(plaintext.subarray(offset, offset + 10007));
+    }
+    encryption.transform.end();
+    await done;
+    const streamed = Buffer.concat(output);
+    assert.equal(streamed.length, ciphertext.length);
+    assert.ok((await decryptRange(streamed, encryption.wrappedKey, plaintext.length)).equals(plaintext));
+  });
+
+  it('encrypts empty content', async () => {
+    const empty = encryptContent(Buffer.alloc(0));
+    assert.equal(empty.ciphertext.length, 28);
+    assert.equal((await decryptRange(empty.ciphertext, empty.wrappedKey, 0, { start: 0, end: -1 })).length, 0);
+  });
+
+  it('rejects modified ciphertext', async () => {
+    const modified = Buffer.from(ciphertext);
+    modified[CHUNK_SIZE + 40] ^= 1;
+    await assert.rejects(decryptRange(modified, wrappedKey, plaintext.length));
+  });
+
+  it('rejects chunks moved to another position', async () => {
+    const chunk = CHUNK_SIZE + 28;
+    const swapped = Buffer.concat([ciphertext.subarray(chunk, 2 * chunk), ciphertext.subarray(0, chunk), ciphertext.subarray(2 * chunk)]);
+    await assert.rejects(decryptRange(swapped, wrappedKey, plaintext.length));
+  });
+
+  it('rejects truncated content', async () => {
+    const truncated = ciphertext.subarray(0, 3 * (CHUNK_SIZE + 28));
+    await assert.rejects(decryptRange(truncated, wrappedKey, plaintext.length), /truncated/);
+  });
+});
+
+describe('field encryption', () => {
+  const { wrappedKey } = generateDataKey();
+
+  it('round-trips a value', () => {
+    const encrypted = encryptField('499118665246', wrappedKey, 'AadhaarNumber');
+    assert.match(encrypted, /^enc:v1:/);
+    assert.equal(decryptField(encrypted, wrappedKey, 'AadhaarNumber'), '499118665246');
+  });
+
+  it('binds the value to its column', () => {
+    const encrypted = encryptField('ABCPE1234F', wrappedKey, 'PANNumber');
+    assert.throws(() => decryptField(encrypted, wrappedKey, 'AadhaarNumber'));
+  });
+
+  it('needs the data key it was encrypted with', () => {
+    const encrypted = encryptField('ABCPE1234F', wrappedKey, 'PANNumber');
+    assert.throws(() => decryptField(encrypted, generateDataKey().wrappedKey, 'PANNumber'));
+  });
+
+  it('returns values from before encryption unchanged', () => {
+    assert.equal(decryptField('ABCPE1234F', wrappedKey, 'PANNumber'), 'ABCPE1234F');
+  });
+
+  it('indexes equal values equally, per column', () => {
+    assert.equal(blindIndex('499118665246', 'AadhaarNumber'), blindIndex('499118665246', 'AadhaarNumber'));
+    assert.notEqual(blindIndex('499118665246', 'AadhaarNumber'), blindIndex('499118665246', 'PANNumber'));
+  });
+});
@@ -0,0 +1,84 @@
+// Shared setup for the tests. Require it before anything from the app: it
+// selects the test configuration and swaps the database for pg-mem, an
+// in-memory Postgres, so the tests need no server. Each test file runs in a
+// process of its own and so gets a database of its own.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+process.env.NODE_ENV = 'test';
+process.env.ACCESS_TOKEN_SECRET = crypto.randomBytes(32).toString('hex');
+process.env.SHARE_TOKEN_SECRET = crypto.randomBytes(32).toString('hex');
+process.env.DOCUMENT_STORAGE_DRIVER = 'filesystem';
+process.env.DOCUMENT_STORAGE_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+process.on('exit', () => fs.rmSync(process.env.DOCUMENT_STORAGE_ROOT, { recursive: true, force: true }));
+process.env.DID_WEB_DOMAIN = process.env.DID_WEB_DOMAIN || 'example.com';
+
+const { newDb, DataType } = require('pg-mem');
+const request = require('supertest');
+const config = require('../config');
+
+const memory = newDb({ autoCreateForeignKeyIndices: true });
+// Sequelize asks for the server version when it connects
+memory.public.registerFunction({ name: 'version', returns: DataType.text, implementation: () => 'PostgreSQL 14' });
+config.database.dialectModule = memory.adapters.createPg();
+config.database.logging = false;
+
+let started = null;
+
+/**
+ * Create the schema and the roles in config/roles.json, and load the app.
+ * Resolves to { app, db }; later calls resolve to the same ones.
+ */
+function startApp() {
+  started = started || (async () => {
+    const db = require('../models');
+    await db.sequelize.sync();
+    const { permissions, roles } = require('../config/roles.json');
+    await db.Permission.bulkCreate(Object.entries(permissions).map(([Name, Description]) => ({ Name, Description })));
+    for (const [Name, role] of Object.entries(roles)) {
+      const record = await db.Role.create({ Name, Description: role.description });
+      await record.setPermissions(role.permissions);
+    }
+    return { app: require('../index'), db };
+  })();
+  return started;
+}
+
+// Requests to `app` carrying an access token
+function as(app, token) {
+  const send = (method) => (url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  return { get: send('get'), post: send('post'), put: send('put'), delete: send('delete') };
+}
+
+let phoneNumbers = 0;
+
+/**
+ * Register a user and log in. Resolves to { user, token, refreshToken, api },
+ * api making requests with the access token. A role other than user is set
+ * directly in the database.
+ */
+async function signUp(app, { role } = {}) {
+  phoneNumbers += 1;
+  const PhoneNumber = `+9198${String(phoneNumbers).padStart(8, '0')}`;
+  const LoginPIN = '4821';
+  const registered = await request(app).post('/register').send({ Name: `User ${phoneNumbers}`, PhoneNumber, LoginPIN });
+  if (registered.status !== 201) {
+    throw new Error(`Registration failed: ${JSON.stringify(registered.body)}`);
+  }
+  const { User } = require('../models');
+  const user = await User.findOne({ where: { PhoneNumber } });
+  if (role) {
+    await user.update({ Role: role });
+  }
+  const { body } = await request(app).post('/login').send({ PhoneNumber, LoginPIN });
+  return { user, token: body.token, refreshToken: body.refreshToken, api: as(app, body.token) };
+}
+
+module.exports = {
+  request,
+  startApp,
+  as,
+  signUp,
+};
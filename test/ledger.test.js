@@ -0,0 +1,93 @@
+const { startApp, signUp } = require('./helpers');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalize, hashTransaction, appendTransaction, verifyChain } = require('../ledger');
+
+describe('canonicalize', () => {
+  it('sorts keys at every level and drops undefined members', () => {
+    assert.equal(canonicalize({ b: 1, a: { d: [1, undefined], c: 'x' }, e: undefined }), '{"a":{"c":"x","d":[1,null]},"b":1}');
+  });
+
+  it('writes dates as ISO strings', () => {
+    assert.equal(canonicalize({ at: new Date('2026-01-02T03:04:05Z') }), '{"at":"2026-01-02T03:04:05.000Z"}');
+  });
+});
+
+describe('document transaction chain', () => {
+  let app;
+  let db;
+  let owner;
+
+  before(async () => {
+    ({ app, db } = await startApp());
+    owner = await signUp(app);
+  });
+
+  async function createDocument() {
+    const { body } = await owner.api.post('/documents').send({});
+    return body.DocumentID;
+  }
+
+  it('links each entry to the one before it', async () => {
+    const id = await createDocument();
+    await owner.api.post('/documenttransactions').send({ DocumentID: id, Action: 'signed', TransactionData: { by: 'A' } }).expect(201);
+    const entry = await appendTransaction(id, { ActorID: owner.user.UserID, Action: 'reviewed' });
+
+    const transactions = await db.DocumentTransaction.findAll({ where: { DocumentID: id }, order: [['Sequence', 'ASC']] });
+    assert.deepEqual(transactions.map((transaction) => transaction.Action), ['document.created', 'signed', 'reviewed']);
+    assert.deepEqual(transactions.map((transaction) => transaction.Sequence), [1, 2, 3]);
+    assert.equal(transactions[0].PreviousHash, null);
+    assert.equal(transactions[1].PreviousHash, transactions[0].Hash);
+    assert.equal(transactions[2].PreviousHash, transactions[1].Hash);
+    assert.equal(entry.Hash, hashTransaction(entry));
+
+    const { body } = await owner.api.get(`/documents/${id}/transactions/verify`).expect(200);
+    assert.deepEqual(body, { DocumentID: id, valid: true, length: 3, head: entry.Hash, brokenLink: null });
+  });
+
+  it('refuses to change recorded entries', async () => {
+    const id = await createDocument();
+    const entry = await db.DocumentTransaction.findOne({ where: { DocumentID: id } });
+    await assert.rejects(entry.update({ Action: 'forged' }));
+    await assert.rejects(entry.destroy());
+  });
+
+  it('reports the first entry changed behind its back', async () => {
+    const id = await createDocument();
+    await owner.api.post('/documenttransactions').send({ DocumentID: id, Action: 'signed', TransactionData: { amount: 100 } }).expect(201);
+    await owner.api.post('/documenttransactions').send({ DocumentID: id, Action: 'approved' }).expect(201);
+    await db.sequelize.query(
+      `UPDATE "DocumentTransactions" SET "TransactionData" = '{"amount":1}' WHERE "DocumentID" = ${id} AND "Sequence" = 2`
+    );
+
+    const result = await verifyChain(id);
+    assert.equal(result.valid, false);
+    assert.equal(result.head, null);
+    assert.equal(result.brokenLink.Sequence, 2);
+    assert.equal(result.brokenLink.reason, 'Hash does not match the transaction contents');
+  });
+
+  it('reports entries removed from the chain', async () => {
+    const id = await createDocument();
+    await owner.api.post('/documenttransactions').send({ DocumentID: id, Action: 'signed' }).expect(201);
+    await owner.api.post('/documenttransactions').send({ DocumentID: id, Action: 'approved' }).expect(201);
+    await db.sequelize.query(`DELETE FROM "DocumentTransactions" WHERE "DocumentID" = ${id} AND "Sequence" = 2`);
+
+    const result = await verifyChain(id);
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenLink.Sequence, 3);
+    assert.equal(result.brokenLink.reason, 'Expected sequence 2');
+  });
+
+  it('keeps actions the server records for itself', async () => {
+    const id = await createDocument();
+    const { body } = await owner.api.post('/documenttransactions').send({ DocumentID: id, Action: 'document.deleted' }).expect(400);
+    assert.equal(body.error, 'document.deleted is recorded by the server.');
+  });
+
+  it('only lets writers append', async () => {
+    const id = await createDocument();
+    const stranger = await signUp(app);
+    await stranger.api.post('/documenttransactions').send({ DocumentID: id, Action: 'signed' }).expect(404);
+  });
+});
@@ -0,0 +1,71 @@
+const { startApp, signUp } = require('./helpers');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+describe('cursor pagination', () => {
+  let owner;
+  let ids;
+
+  before(async () => {
+    const { app } = await startApp();
+    owner = await signUp(app);
+    ids = [];
+    for (let count = 0; count < 5; count += 1) {
+      ids.push((await owner.api.post('/documents').send({ DocumentType: 'Page' })).body.DocumentID);
+    }
+  });
+
+  // Follow X-Next-Cursor from `url` to the last page
+  async function readAll(url) {
+    const pages = [];
+    let next = url;
+    while (next) {
+      const response = await owner.api.get(next).expect(200);
+      pages.push(response.body.map((document) => document.DocumentID));
+      assert.equal(response.headers['x-total-count'], '5');
+      const cursor = response.headers['x-next-cursor'];
+      next = cursor ? `${url}&cursor=${cursor}` : null;
+    }
+    return pages;
+  }
+
+  it('walks every row once, in order', async () => {
+    assert.deepEqual(await readAll('/documents?limit=2'), [ids.slice(0, 2), ids.slice(2, 4), ids.slice(4)]);
+  });
+
+  it('walks descending sorts', async () => {
+    const reversed = [...ids].reverse();
+    assert.deepEqual(await readAll('/documents?limit=2&sort=-DocumentID'), [reversed.slice(0, 2), reversed.slice(2, 4), reversed.slice(4)]);
+  });
+
+  it('breaks ties in the sort with the key', async () => {
+    const pages = await readAll('/documents?limit=3&sort=OwnerID');
+    assert.deepEqual(pages, [ids.slice(0, 3), ids.slice(3)]);
+  });
+
+  it('sends no cursor on the last page', async () => {
+    const response = await owner.api.get('/documents?limit=5').expect(200);
+    assert.equal(response.headers['x-next-cursor'], undefined);
+  });
+
+  it('rejects a cursor made for another sort', async () => {
+    const cursor = (await owner.api.get('/documents?limit=2')).headers['x-next-cursor'];
+    const { body } = await owner.api.get(`/documents?limit=2&sort=-DocumentID&cursor=${cursor}`).expect(422);
+    assert.deepEqual(body.fields, [{ field: 'cursor', message: 'is not a cursor from this list with this sort' }]);
+    await owner.api.get('/documents?cursor=garbage').expect(422);
+  });
+
+  it('rejects cursor values that do not fit their fields', async () => {
+    const craft = (values) => Buffer.from(JSON.stringify({ sort: 'createdAt:ASC,DocumentID:ASC', values })).toString('base64url');
+    for (const values of [['not a date', 1], [new Date().toISOString(), 'x'], [new Date().toISOString(), { id: 1 }]]) {
+      const { body } = await owner.api.get(`/documents?sort=createdAt&cursor=${craft(values)}`).expect(422);
+      assert.deepEqual(body.fields, [{ field: 'cursor', message: 'is not a cursor from this list with this sort' }]);
+    }
+    await owner.api.get(`/documents?sort=createdAt&cursor=${craft([new Date(0).toISOString(), 0])}`).expect(200);
+  });
+
+  it('rejects limits out of range', async () => {
+    await owner.api.get('/documents?limit=0').expect(422);
+    await owner.api.get('/documents?limit=abc').expect(422);
+  });
+});
@@ -0,0 +1,43 @@
+const { startApp, signUp } = require('./helpers');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+describe('roles', () => {
+  let app;
+  let admin;
+  let member;
+
+  before(async () => {
+    ({ app } = await startApp());
+    admin = await signUp(app, { role: 'admin' });
+    member = await signUp(app);
+  });
+
+  it('lets permissions decide access', async () => {
+    await member.api.get('/users').expect(403);
+    await admin.api.get('/users').expect(200);
+    await member.api.put('/roles/auditor').send({ Permissions: ['users:list'] }).expect(403);
+  });
+
+  it('applies role changes to existing tokens', async () => {
+    await admin.api.put('/roles/auditor').send({ Description: 'Reads user lists', Permissions: ['users:list'] }).expect(200);
+    const { body } = await admin.api.put(`/users/${member.user.UserID}/role`).send({ Role: 'auditor' }).expect(200);
+    assert.equal(body.Role, 'auditor');
+    await member.api.get('/users').expect(200);
+    await member.api.put(`/users/${admin.user.UserID}/role`).send({ Role: 'user' }).expect(403);
+  });
+
+  it('applies permission changes to the role', async () => {
+    const reader = await signUp(app);
+    await admin.api.put('/roles/reader').send({ Permissions: ['users:list'] }).expect(200);
+    await admin.api.put(`/users/${reader.user.UserID}/role`).send({ Role: 'reader' }).expect(200);
+    await reader.api.get('/users').expect(200);
+    await admin.api.put('/roles/reader').send({ Permissions: [] }).expect(200);
+    await reader.api.get('/users').expect(403);
+  });
+
+  it('only assigns existing roles and permissions', async () => {
+    await admin.api.put(`/users/${member.user.UserID}/role`).send({ Role: 'nobody' }).expect(400);
+    await admin.api.put('/roles/broken').send({ Permissions: ['users:fly'] }).expect(400);
+  });
+});
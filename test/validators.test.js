@@ -0,0 +1,69 @@
+const { startApp } = require('./helpers');
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidAadhaar, validateUser } = require('../validators/user');
+
+// 499118665246 and 234123412346 carry valid Verhoeff check digits
+describe('Aadhaar numbers', () => {
+  it('accepts 12 digits ending in a Verhoeff check digit', () => {
+    assert.equal(isValidAadhaar('499118665246'), true);
+    assert.equal(isValidAadhaar('234123412346'), true);
+  });
+
+  it('rejects a wrong check digit', () => {
+    for (let digit = 0; digit <= 9; digit += 1) {
+      if (digit !== 6) {
+        assert.equal(isValidAadhaar(`49911866524${digit}`), false, `check digit ${digit}`);
+      }
+    }
+  });
+
+  it('rejects transposed digits', () => {
+    assert.equal(isValidAadhaar('499118662546'), false);
+  });
+
+  it('rejects numbers starting with 0 or 1, or of another length', () => {
+    assert.equal(isValidAadhaar('099118665246'), false);
+    assert.equal(isValidAadhaar('199118665246'), false);
+    assert.equal(isValidAadhaar('49911866524'), false);
+    assert.equal(isValidAadhaar('4991186652460'), false);
+  });
+});
+
+describe('validateUser', () => {
+  before(startApp);
+
+  it('normalizes before validating', async () => {
+    const { values, errors } = await validateUser({
+      AadhaarNumber: '4991 1866-5246',
+      PANNumber: ' abcpe1234f ',
+      Email: ' Someone@Example.COM ',
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(values.AadhaarNumber, '499118665246');
+    assert.equal(values.PANNumber, 'ABCPE1234F');
+    assert.equal(values.Email, 'someone@example.com');
+  });
+
+  it('reports each invalid field', async () => {
+    const { errors } = await validateUser({
+      AadhaarNumber: '499118665247',
+      PANNumber: 'ABCP1234F',
+      PhoneNumber: '98765 43210',
+      LoginPIN: '12',
+    });
+    assert.deepEqual(errors.map((error) => error.field).sort(), ['AadhaarNumber', 'LoginPIN', 'PANNumber', 'PhoneNumber']);
+  });
+
+  it('checks the PAN format', async () => {
+    for (const pan of ['ABCDE1234', 'ABCD12345F', '1BCDE1234F', 'ABCDE12345']) {
+      const { errors } = await validateUser({ PANNumber: pan });
+      assert.deepEqual(errors, [{ field: 'PANNumber', message: 'must match the PAN format AAAAA9999A' }], pan);
+    }
+  });
+
+  it('requires the fields asked for', async () => {
+    const { errors } = await validateUser({ Name: 'A' }, { required: ['PhoneNumber', 'LoginPIN'] });
+    assert.deepEqual(errors.map((error) => error.field), ['PhoneNumber', 'LoginPIN']);
+  });
+});
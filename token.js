@@ -1,17 +1,59 @@
-require('dotenv').config(); // Load environment variables
-
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto'); // For generating secret
+const crypto = require('crypto');
+const config = require('./config');
+
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60; // 1 hour
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// ACCESS_TOKEN_SECRET, or a random per-process secret outside production (see
+// config/index.js), in which case tokens will not survive a restart
+const accessTokenSecret = config.accessTokenSecret;
+
+// Share links are signed with a key of their own so they can never pass as
+// access tokens. Without SHARE_TOKEN_SECRET, links stop working on restart.
+const shareTokenSecret = config.shareTokenSecret;
 
-// Generate a 256-bit (32-byte) secret if not already provided in .env
-const accessTokenSecret = process.env.ACCESS_TOKEN_SECRET || generateAccessTokenSecret();
+// Function to generate a new access token. Every token carries a unique jti so
+// it can be put on the revocation list.
+function generateAccessToken(payload, jwtid = crypto.randomUUID()) {
+  return jwt.sign(payload, accessTokenSecret, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    jwtid,
+  });
+}
+
+// Function to verify an access token; throws if it is invalid or expired
+function verifyAccessToken(token) {
+  return jwt.verify(token, accessTokenSecret);
+}
+
+// Refresh tokens are opaque random strings; only their hash is persisted
+function generateRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Token of a document share link, valid until the share expires
+function generateShareToken(shareId, expiresAt) {
+  return jwt.sign({ exp: Math.floor(expiresAt.getTime() / 1000) }, shareTokenSecret, { subject: shareId });
+}
 
-// Function to generate a new access token
-function generateAccessToken(payload) {
-  return jwt.sign(payload, accessTokenSecret, { expiresIn: '1h' }); // Token expires in 1 hour
+// Verify a share link token and return its claims; throws if it is invalid
+// or expired
+function verifyShareToken(token) {
+  return jwt.verify(token, shareTokenSecret);
 }
 
-// Example usage:
-const user = { id: 123, username: 'example_user' };
-const accessToken = generateAccessToken(user);
-console.log('Generated Access Token:', accessToken);
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  generateAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  generateShareToken,
+  verifyShareToken,
+};
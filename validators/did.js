@@ -0,0 +1,219 @@
+'use strict';
+
+// DID syntax from W3C DID Core section 3.1: did:<method-name>:<method-specific-id>
+const DID_PATTERN = /^did:[a-z0-9]+:(?:(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})*:)*(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})+$/;
+const DID_URL_PATTERN = /^(did:[^/?#\s]+)([/?#][^\s]*)?$/;
+const URI_PATTERN = /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/;
+
+const DID_CONTEXT = 'https://www.w3.org/ns/did/v1';
+
+const VERIFICATION_RELATIONSHIPS = [
+  'authentication',
+  'assertionMethod',
+  'keyAgreement',
+  'capabilityInvocation',
+  'capabilityDelegation',
+];
+
+// JWK members that only appear in private keys
+const PRIVATE_JWK_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'k'];
+
+function isDID(value) {
+  return typeof value === 'string' && DID_PATTERN.test(value);
+}
+
+function isDIDURL(value) {
+  const match = typeof value === 'string' && DID_URL_PATTERN.exec(value);
+  return Boolean(match) && isDID(match[1]);
+}
+
+function isURI(value) {
+  return typeof value === 'string' && URI_PATTERN.test(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Expand a relative reference such as "#key-1" against the document's id
+function absoluteId(id, documentId) {
+  return typeof id === 'string' && id.startsWith('#') ? `${documentId}${id}` : id;
+}
+
+function validateVerificationMethod(method, path, documentId, errors) {
+  if (!isPlainObject(method)) {
+    errors.push({ field: path, message: 'must be an object' });
+    return;
+  }
+  if (!isDIDURL(absoluteId(method.id, documentId))) {
+    errors.push({ field: `${path}.id`, message: 'must be a DID URL or a fragment such as #key-1' });
+  }
+  if (typeof method.type !== 'string' || !method.type) {
+    errors.push({ field: `${path}.type`, message: 'is required' });
+  }
+  if (!isDID(method.controller)) {
+    errors.push({ field: `${path}.controller`, message: 'must be a DID' });
+  }
+
+  const hasJwk = method.publicKeyJwk !== undefined;
+  const hasMultibase = method.publicKeyMultibase !== undefined;
+  if (hasJwk === hasMultibase) {
+    errors.push({ field: path, message: 'must have exactly one of publicKeyJwk or publicKeyMultibase' });
+  } else if (hasJwk) {
+    if (!isPlainObject(method.publicKeyJwk) || typeof method.publicKeyJwk.kty !== 'string') {
+      errors.push({ field: `${path}.publicKeyJwk`, message: 'must be a JWK with a kty' });
+    } else if (PRIVATE_JWK_MEMBERS.some((member) => member in method.publicKeyJwk)) {
+      errors.push({ field: `${path}.publicKeyJwk`, message: 'must not contain private key material' });
+    }
+  } else if (typeof method.publicKeyMultibase !== 'string' || method.publicKeyMultibase.length < 2) {
+    errors.push({ field: `${path}.publicKeyMultibase`, message: 'must be a multibase-encoded string' });
+  }
+}
+
+function validateServiceEndpoint(endpoint) {
+  if (Array.isArray(endpoint)) {
+    return endpoint.length > 0 && endpoint.every((item) => isURI(item) || isPlainObject(item));
+  }
+  return isURI(endpoint) || isPlainObject(endpoint);
+}
+
+function validateService(service, path, errors) {
+  if (!isPlainObject(service)) {
+    errors.push({ field: path, message: 'must be an object' });
+    return;
+  }
+  if (!isURI(service.id) && !(typeof service.id === 'string' && service.id.startsWith('#'))) {
+    errors.push({ field: `${path}.id`, message: 'must be a URI or a fragment such as #service-1' });
+  }
+  const types = Array.isArray(service.type) ? service.type : [service.type];
+  if (!types.length || !types.every((type) => typeof type === 'string' && type)) {
+    errors.push({ field: `${path}.type`, message: 'must be a string or a list of strings' });
+  }
+  if (!validateServiceEndpoint(service.serviceEndpoint)) {
+    errors.push({ field: `${path}.serviceEndpoint`, message: 'must be a URI, a map, or a list of those' });
+  }
+}
+
+// Report an entry whose id was already used by another verification method
+// or service in the document; `seen` collects the ids across calls
+function checkUniqueId(entry, path, documentId, seen, errors) {
+  const id = isPlainObject(entry) && absoluteId(entry.id, documentId);
+  if (!id) {
+    return;
+  }
+  if (seen.has(id)) {
+    errors.push({ field: `${path}.id`, message: 'is not unique in the document' });
+  }
+  seen.add(id);
+}
+
+/**
+ * Parse a DID Document given as an object or a JSON string. Returns
+ * { document, errors }; document is null when the input is not JSON.
+ */
+function parseDIDDocument(input) {
+  if (typeof input !== 'string') {
+    return { document: input, errors: [] };
+  }
+  try {
+    return { document: JSON.parse(input), errors: [] };
+  } catch (err) {
+    return { document: null, errors: [{ field: 'DIDDocument', message: 'must be valid JSON' }] };
+  }
+}
+
+/**
+ * Validate a DID Document against the W3C DID Core data model. `did` is the
+ * DID the document is stored under; the document's id must match it. Returns
+ * a list of { field, message }, empty when the document is valid.
+ */
+function validateDIDDocument(document, did) {
+  const errors = [];
+  if (!isPlainObject(document)) {
+    return [{ field: 'DIDDocument', message: 'must be a JSON object' }];
+  }
+
+  const context = document['@context'];
+  if (context !== undefined && (Array.isArray(context) ? context[0] : context) !== DID_CONTEXT) {
+    errors.push({ field: 'DIDDocument.@context', message: `must start with ${DID_CONTEXT}` });
+  }
+  if (!isDID(document.id)) {
+    errors.push({ field: 'DIDDocument.id', message: 'must be a DID' });
+  } else if (document.id !== did) {
+    errors.push({ field: 'DIDDocument.id', message: 'must match the DID ID' });
+  }
+
+  const controllers = Array.isArray(document.controller) ? document.controller : [document.controller];
+  if (document.controller !== undefined && !controllers.every(isDID)) {
+    errors.push({ field: 'DIDDocument.controller', message: 'must be a DID or a list of DIDs' });
+  }
+  if (document.alsoKnownAs !== undefined
+    && !(Array.isArray(document.alsoKnownAs) && document.alsoKnownAs.every(isURI))) {
+    errors.push({ field: 'DIDDocument.alsoKnownAs', message: 'must be a list of URIs' });
+  }
+
+  const seenIds = new Set();
+  const methods = document.verificationMethod === undefined ? [] : document.verificationMethod;
+  if (!Array.isArray(methods)) {
+    errors.push({ field: 'DIDDocument.verificationMethod', message: 'must be a list' });
+  } else {
+    methods.forEach((method, index) => {
+      const path = `DIDDocument.verificationMethod[${index}]`;
+      validateVerificationMethod(method, path, document.id, errors);
+      checkUniqueId(method, path, document.id, seenIds, errors);
+    });
+  }
+
+  // Relationships either embed a verification method or refer to one
+  const methodIds = new Set(
+    (Array.isArray(methods) ? methods : [])
+      .filter(isPlainObject)
+      .map((method) => absoluteId(method.id, document.id))
+  );
+  VERIFICATION_RELATIONSHIPS.forEach((relationship) => {
+    const entries = document[relationship];
+    if (entries === undefined) {
+      return;
+    }
+    const path = `DIDDocument.${relationship}`;
+    if (!Array.isArray(entries)) {
+      errors.push({ field: path, message: 'must be a list' });
+      return;
+    }
+    entries.forEach((entry, index) => {
+      if (typeof entry === 'string') {
+        const reference = absoluteId(entry, document.id);
+        if (!isDIDURL(reference)) {
+          errors.push({ field: `${path}[${index}]`, message: 'must be a DID URL or a fragment such as #key-1' });
+        } else if (reference.startsWith(`${document.id}#`) && !methodIds.has(reference)) {
+          errors.push({ field: `${path}[${index}]`, message: 'does not refer to a verification method in the document' });
+        }
+      } else {
+        validateVerificationMethod(entry, `${path}[${index}]`, document.id, errors);
+        checkUniqueId(entry, `${path}[${index}]`, document.id, seenIds, errors);
+      }
+    });
+  });
+
+  if (document.service !== undefined) {
+    if (!Array.isArray(document.service)) {
+      errors.push({ field: 'DIDDocument.service', message: 'must be a list' });
+    } else {
+      document.service.forEach((service, index) => {
+        validateService(service, `DIDDocument.service[${index}]`, errors);
+        checkUniqueId(service, `DIDDocument.service[${index}]`, document.id, seenIds, errors);
+      });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DID_CONTEXT,
+  VERIFICATION_RELATIONSHIPS,
+  isDID,
+  isDIDURL,
+  parseDIDDocument,
+  validateDIDDocument,
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const isEmail = require('validator/lib/isEmail');
+const { User } = require('../models');
+const { blindIndex } = require('../encryption');
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+const LOGIN_PIN_PATTERN = /^\d{4,6}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_AGE_YEARS = 150;
+
+// Verhoeff checksum tables (dihedral group D5)
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+function isValidVerhoeff(digits) {
+  let checksum = 0;
+  digits
+    .split('')
+    .reverse()
+    .forEach((digit, index) => {
+      checksum = VERHOEFF_D[checksum][VERHOEFF_P[index % 8][Number(digit)]];
+    });
+  return checksum === 0;
+}
+
+// Aadhaar numbers are 12 digits, never start with 0 or 1, and end in a Verhoeff check digit
+function isValidAadhaar(value) {
+  return /^[2-9]\d{11}$/.test(value) && isValidVerhoeff(value);
+}
+
+function isValidDateOfBirth(value) {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date) || date.toISOString().slice(0, 10) !== value) {
+    return false;
+  }
+  const oldest = new Date();
+  oldest.setUTCFullYear(oldest.getUTCFullYear() - MAX_AGE_YEARS);
+  return date <= new Date() && date >= oldest;
+}
+
+// Normalizers applied before validation, so " abcde1234f " is stored as "ABCDE1234F"
+const NORMALIZERS = {
+  Email: (value) => String(value).trim().toLowerCase(),
+  PhoneNumber: (value) => String(value).replace(/[\s()-]/g, ''),
+  AadhaarNumber: (value) => String(value).replace(/[\s-]/g, ''),
+  PANNumber: (value) => String(value).trim().toUpperCase(),
+  LoginPIN: (value) => String(value),
+  DateOfBirth: (value) => String(value).trim(),
+};
+
+const RULES = {
+  Name: [(value) => typeof value === 'string' && value.length <= 255, 'must be a string of at most 255 characters'],
+  Email: [(value) => isEmail(value), 'must be a valid email address'],
+  PhoneNumber: [(value) => E164_PATTERN.test(value), 'must be an E.164 phone number, e.g. +919876543210'],
+  LoginPIN: [(value) => LOGIN_PIN_PATTERN.test(value), 'must be 4 to 6 digits'],
+  AadhaarNumber: [isValidAadhaar, 'must be a valid 12 digit Aadhaar number'],
+  PANNumber: [(value) => PAN_PATTERN.test(value), 'must match the PAN format AAAAA9999A'],
+  DateOfBirth: [isValidDateOfBirth, `must be a past date in YYYY-MM-DD form within the last ${MAX_AGE_YEARS} years`],
+};
+
+// Find fields that would collide with another user's email, phone or Aadhaar
+async function findConflicts(values, existingUserID) {
+  const checks = [];
+  if (values.Email) {
+    checks.push(['Email', { Email: values.Email }]);
+  }
+  if (values.PhoneNumber) {
+    checks.push(['PhoneNumber', { PhoneNumber: values.PhoneNumber }]);
+  }
+  if (values.AadhaarNumber) {
+    checks.push(['AadhaarNumber', { AadhaarHash: blindIndex(values.AadhaarNumber, 'AadhaarNumber') }]);
+  }
+
+  const conflicts = await Promise.all(checks.map(async ([field, where]) => {
+    const other = await User.findOne({
+      attributes: ['UserID'],
+      where: existingUserID ? { ...where, UserID: { [Op.ne]: existingUserID } } : where,
+    });
+    return other ? { field, message: 'is already registered to another user' } : null;
+  }));
+  return conflicts.filter(Boolean);
+}
+
+/**
+ * Normalize and validate User fields. Fields that are absent (undefined) are
+ * skipped unless listed in `required`; null clears a field. Pass
+ * `existingUserID` when updating so the user's own values are not reported as
+ * duplicates. Resolves to { values, errors } where errors is a list of
+ * { field, message }.
+ */
+async function validateUser(input, { required = [], existingUserID = null } = {}) {
+  const values = { ...input };
+  const errors = [];
+
+  required.forEach((field) => {
+    if (values[field] === undefined || values[field] === null || values[field] === '') {
+      errors.push({ field, message: 'is required' });
+    }
+  });
+
+  Object.keys(RULES).forEach((field) => {
+    if (values[field] === undefined || values[field] === null || values[field] === '') {
+      return;
+    }
+    if (NORMALIZERS[field]) {
+      values[field] = NORMALIZERS[field](values[field]);
+    }
+    const [isValid, message] = RULES[field];
+    if (!isValid(values[field])) {
+      errors.push({ field, message });
+    }
+  });
+
+  if (!errors.length) {
+    errors.push(...(await findConflicts(values, existingUserID)));
+  }
+  return { values, errors };
+}
+
+module.exports = {
+  isValidAadhaar,
+  normalizePhoneNumber: NORMALIZERS.PhoneNumber,
+  validateUser,
+};